@@ -0,0 +1,161 @@
+import crypto from "node:crypto";
+import { findMany, newId, update } from "./store.js";
+import { sendMail } from "./mailer.js";
+import { amendTerms, withLedgerStatus, withRelease } from "./notes.js";
+import { createInvite, fillNames, nextSigning, partyName, signingView } from "./signing.js";
+import { buildSchedule } from "../../assets/js/schedule.js";
+import { canonicalJson, canonicalNote } from "../../assets/js/integrity.js";
+import { AMENDMENT_KINDS, executedAmendments, formatTerm, termsDiff } from "../../assets/js/amendments.js";
+import { allSigned, findParty, noteParties } from "../../assets/js/parties.js";
+
+// Amendments (note.amendments, see assets/js/amendments.js) change the terms of an executed note.
+// The lender signs one when proposing it; every other party on the note (the borrower, co-lenders,
+// co-borrowers and guarantors) signs it from an emailed link of their own like the note itself,
+// each link bound to the amendment's hash. Once everyone has signed, its terms replace note.terms;
+// until then the note's terms bind everyone. One amendment can be pending at a time.
+const MAX_REASON = 2000;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+// What the parties sign: the note it amends (fingerprinted as signed), its number and kind, the
+// reason, the effective date and the terms before and after. Any edit to those breaks the link.
+export function amendmentHash(note, amendment) {
+  const { number, kind, reason, effectiveDate, previousTerms, terms } = amendment;
+  return sha256(canonicalJson({
+    noteId: note.id,
+    noteHash: sha256(canonicalJson(canonicalNote(note))),
+    number, kind, reason, effectiveDate, previousTerms, terms,
+  }));
+}
+
+export const findAmendment = (note, id) => (note.amendments || []).find((a) => a.id === id) || null;
+
+// Whether `amendment` is still the pending one a signing link was sent for.
+export const amendmentCurrent = (note, amendment, invite) =>
+  !!amendment && amendment.status === "pending" && amendmentHash(note, amendment) === invite.agreementHash;
+
+// `note.amendments` with `change(amendment)` merged into the one with `id`.
+const changeAmendment = (note, id, change) => (note.amendments || []).map((a) => (a.id === id ? { ...a, ...change(a) } : a));
+
+/**
+ * A pending amendment of `note` to the terms in `input.terms` (only the amendable ones are taken),
+ * already signed by the lender with `lenderSignature` and waiting for every other party's
+ * signature. Numbered after the executed amendments, so a withdrawn proposal leaves no gap.
+ */
+export function newAmendment(note, { kind, reason, effectiveDate, terms }, lenderSignature, createdBy) {
+  const amendment = {
+    id: newId("amd"),
+    number: executedAmendments(note).length + 1,
+    kind: AMENDMENT_KINDS[kind] ? kind : "other",
+    reason: String(reason || "").trim().slice(0, MAX_REASON),
+    effectiveDate,
+    previousTerms: note.terms,
+    terms: amendTerms(note.terms, terms),
+    status: "pending",
+    signatures: { ...Object.fromEntries(noteParties(note).map((p) => [p.key, null])), lender: lenderSignature },
+    signing: null,
+    hash: null,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    executedAt: null,
+    withdrawnAt: null,
+  };
+  amendment.hash = amendmentHash(note, amendment);
+  return amendment;
+}
+
+function amendmentEmail(note, amendment, signer, link, message, expiresAt) {
+  const lender = partyName(note.lender) || "Your lender";
+  const intro = message ? fillNames(message, note, signer.party) + "\n\n" : "";
+  const as = signer.key === "borrower" ? "" : ` as ${signer.label.toLowerCase()}`;
+  const changes = termsDiff(amendment.previousTerms, amendment.terms)
+    .map((c) => `- ${c.label}: ${formatTerm(c.field, c.from)} → ${formatTerm(c.field, c.to)}`)
+    .join("\n");
+  return {
+    subject: `${lender} sent you an amendment to "${note.title}" to sign`,
+    text: intro +
+      `${lender} has proposed Amendment No. ${amendment.number} to "${note.title}" (${AMENDMENT_KINDS[amendment.kind]}), ` +
+      `effective ${amendment.effectiveDate}. It changes:\n${changes}\n\n` +
+      `Open this link to review the amended terms and the new payment schedule and sign${as}:\n${link}\n\n` +
+      `The link works once and expires on ${new Date(expiresAt).toUTCString()}. ` +
+      `Until everyone on the note has signed the amendment, the note's current terms stay in effect.`,
+  };
+}
+
+// Emails `email` a signing link for `party` (the borrower unless given) to sign the pending
+// `amendment`. The caller records the audit entry. Resolves to { invite, amendment }.
+export async function sendAmendmentInvite(note, amendment, { email, message, sentBy, baseUrl, party = "borrower" }) {
+  const { invite, token } = await createInvite(note, { email, message, sentBy, amendment, party });
+  const link = `${baseUrl}/sign.html?token=${token}`;
+  await sendMail({ to: email, ...amendmentEmail(note, amendment, findParty(note, party), link, invite.message, invite.expiresAt) });
+  // Like the note's own signing progress, this doesn't bump the version; amendment.signing follows
+  // the borrower's link and the other parties' links are tracked on the invites.
+  const next = await update("notes", note.id, (cur) => ({
+    amendments: changeAmendment(cur, amendment.id, (a) => (party === "borrower" ? { signing: nextSigning(a, "sent", { recipient: email, viewedAt: null }) } : {})),
+  }));
+  return { invite, amendment: findAmendment(next, amendment.id) };
+}
+
+// update() patch for the borrower first opening the link to `amendmentId`.
+export function amendmentViewed(note, amendmentId) {
+  const amendment = findAmendment(note, amendmentId);
+  if (amendment?.signing?.status !== "sent") return {};
+  return { amendments: changeAmendment(note, amendmentId, (a) => ({ signing: nextSigning(a, "viewed") })) };
+}
+
+// update() patch for the party `key` signing `amendmentId`. Once that was the last signature the
+// amendment is executed: its terms replace note.terms and the status and release follow the
+// ledger under the new terms. Unlike signing progress this changes the agreement, so the version
+// is bumped.
+export function signAmendment(note, amendmentId, key, signature) {
+  const pending = findAmendment(note, amendmentId);
+  const signatures = { ...pending.signatures, [key]: signature };
+  const signing = key === "borrower" ? nextSigning(pending, "signed") : pending.signing;
+  if (!allSigned(note, signatures)) return { amendments: changeAmendment(note, amendmentId, () => ({ signatures, signing })) };
+
+  const amendments = changeAmendment(note, amendmentId, () => ({
+    status: "executed",
+    signatures,
+    signing: nextSigning({ signing }, "executed"),
+    executedAt: signature.signedAt,
+  }));
+  const next = withRelease(withLedgerStatus({ ...note, amendments, terms: findAmendment(note, amendmentId).terms }));
+  return {
+    amendments,
+    terms: next.terms,
+    status: next.status,
+    release: next.release || null,
+    version: (note.version || 1) + 1,
+    updatedAt: signature.signedAt,
+  };
+}
+
+// Withdraws the pending `amendment`; its signing link stops working. Resolves to the amendment.
+export async function withdrawAmendment(note, amendment) {
+  const now = new Date().toISOString();
+  for (const invite of await findMany("signingInvites", (i) => i.amendmentId === amendment.id && !i.usedAt && !i.revokedAt)) {
+    await update("signingInvites", invite.id, { revokedAt: now });
+  }
+  const next = await update("notes", note.id, (cur) => ({
+    amendments: changeAmendment(cur, amendment.id, (a) => (a.status === "pending" ? { status: "withdrawn", withdrawnAt: now } : {})),
+  }));
+  return findAmendment(next, amendment.id);
+}
+
+// An amendment as the API shows it: with what it changes and the payment schedule under its terms.
+export function amendmentView(amendment) {
+  return {
+    ...amendment,
+    changes: termsDiff(amendment.previousTerms, amendment.terms),
+    schedule: buildSchedule(amendment.terms),
+  };
+}
+
+// The signing page's view of an amendment link: the note under the amended terms, with the
+// amendment's signatures and signing progress, plus the amendment itself.
+export function amendmentSigningView(note, amendment, key = "borrower") {
+  return {
+    note: signingView({ ...note, terms: amendment.terms, signatures: amendment.signatures, signing: amendment.signing }, key),
+    amendment: amendmentView(amendment),
+  };
+}
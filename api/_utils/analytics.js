@@ -0,0 +1,101 @@
+import { inRepayment, noteLedger, NOTE_STATUSES, NOTE_TIERS } from "./notes.js";
+import { addMonths, fromCents, toCents } from "../../assets/js/schedule.js";
+
+// The lender's portfolio at a glance (/api/analytics/summary and the dashboard). Everything money
+// comes from each note's ledger as of `asOf` (assets/js/ledger.js), so the figures agree with the
+// Balances table and the contract pages. Notes should already carry their ledger status.
+export const CASH_FLOW_MONTHS = 12;
+
+const rate = (n, total) => (total ? Math.round((1000 * n) / total) / 1000 : null);
+
+// Whether a ledger installment was paid by its due date (onTime), after it (late) or is past due
+// and still unpaid (missed) as of `asOf`; null for one not due yet.
+const paymentOutcome = (row, asOf) => (row.paidOn ? (row.paidOn <= row.dueDate ? "onTime" : "late") : row.dueDate < asOf ? "missed" : null);
+// The month (YYYY-MM) an installment is still expected to come in, or null when nothing more is.
+const expectedMonth = (row, asOf) => (row.remaining && row.dueDate >= asOf ? row.dueDate.slice(0, 7) : null);
+
+// Count and principal of `notes` for each of `keys`, in that order.
+function breakdown(notes, key, keys) {
+  return keys.map((k) => {
+    const group = notes.filter((n) => n[key] === k);
+    return { [key]: k, count: group.length, principal: fromCents(group.reduce((s, n) => s + toCents(n.terms?.principal), 0)) };
+  });
+}
+
+/**
+ * Totals over the notes in repayment:
+ * - outstandingPrincipal and outstanding (with interest, fees and late fees still owed)
+ * - feesEarned: what borrowers have paid beyond principal, of which lateFees in late fees
+ * - cashFlow: what is still scheduled to come in for each of the next CASH_FLOW_MONTHS months
+ *   (from the month of asOf, installments not yet due), pastDue already owed and later after that
+ * - payments: installments paid by their due date (onTime), paid after it (late) or past due and
+ *   still unpaid (missed), with the share of each; upcoming installments are not counted
+ * plus the count and principal of all notes by status and by tier (the filters of My Contracts).
+ */
+export function portfolioSummary(notes, asOf) {
+  const months = Array.from({ length: CASH_FLOW_MONTHS }, (_, i) => addMonths(`${asOf.slice(0, 7)}-01`, i).slice(0, 7));
+  const expected = Object.fromEntries(months.map((m) => [m, { cents: 0, installments: 0 }]));
+  const cents = { principal: 0, outstanding: 0, earned: 0, lateFees: 0, pastDue: 0, later: 0 };
+  const payments = { onTime: 0, late: 0, missed: 0 };
+
+  for (const note of notes.filter(inRepayment)) {
+    const ledger = noteLedger(note, asOf);
+    const principalBalance = toCents(ledger.totals.principalBalance);
+    cents.principal += principalBalance;
+    cents.outstanding += toCents(ledger.totals.outstanding);
+    cents.pastDue += toCents(ledger.totals.pastDue);
+    cents.earned += toCents(ledger.totals.paid) - (toCents(note.terms.principal) - principalBalance);
+    for (const row of ledger.installments) {
+      cents.lateFees += toCents(row.lateFeePaid);
+      const outcome = paymentOutcome(row, asOf);
+      if (outcome) payments[outcome] += 1;
+      const month = expectedMonth(row, asOf);
+      if (!month) continue;
+      const bucket = expected[month];
+      if (bucket) {
+        bucket.cents += toCents(row.remaining);
+        bucket.installments += 1;
+      } else {
+        cents.later += toCents(row.remaining);
+      }
+    }
+  }
+
+  const counted = payments.onTime + payments.late + payments.missed;
+  return {
+    asOf,
+    notes: notes.length,
+    inRepayment: notes.filter(inRepayment).length,
+    outstandingPrincipal: fromCents(cents.principal),
+    outstanding: fromCents(cents.outstanding),
+    feesEarned: { total: fromCents(cents.earned), lateFees: fromCents(cents.lateFees) },
+    cashFlow: {
+      months: months.map((month) => ({ month, expected: fromCents(expected[month].cents), installments: expected[month].installments })),
+      pastDue: fromCents(cents.pastDue),
+      later: fromCents(cents.later),
+    },
+    payments: {
+      ...payments,
+      counted,
+      onTimeRate: rate(payments.onTime, counted),
+      lateRate: rate(payments.late + payments.missed, counted),
+    },
+    byStatus: breakdown(notes, "status", NOTE_STATUSES),
+    byTier: breakdown(notes, "tier", NOTE_TIERS),
+  };
+}
+
+// The dashboard's drill-down filters (GET /api/notes?payments=&due=), so that a figure of
+// portfolioSummary links to the notes it counts: `payments` (onTime, late or missed) keeps the
+// notes with an installment of that outcome, `due` ("past" or a month, YYYY-MM) those with an
+// amount past due or an installment still expected that month. Like the summary, only notes in
+// repayment count.
+export function matchesFigure(note, { payments, due } = {}, asOf) {
+  if (!payments && !due) return true;
+  if (!inRepayment(note)) return false;
+  const ledger = noteLedger(note, asOf);
+  if (payments && !ledger.installments.some((row) => paymentOutcome(row, asOf) === payments)) return false;
+  if (due === "past") return ledger.totals.pastDue > 0;
+  if (due && !ledger.installments.some((row) => expectedMonth(row, asOf) === due)) return false;
+  return true;
+}
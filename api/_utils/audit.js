@@ -0,0 +1,91 @@
+import crypto from "node:crypto";
+import { getById, upsert } from "./store.js";
+import { clientIp, userAgent } from "./request.js";
+import { signDocument } from "./timestamp.js";
+import { canonicalJson } from "../../assets/js/integrity.js";
+
+// Each note has one "audit" doc whose events form a hash chain: every event's hash covers its
+// own fields plus the previous event's hash, so editing, dropping or reordering any entry
+// breaks every hash after it.
+export const GENESIS_HASH = "0".repeat(64);
+const MAX_ACTION = 200;
+const MAX_DETAILS = 2000;
+const HASHED_FIELDS = ["seq", "noteId", "at", "action", "details", "actor", "ip", "userAgent", "clientTime", "prevHash"];
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+export const eventHash = (event) => sha256(canonicalJson(Object.fromEntries(HASHED_FIELDS.map((k) => [k, event[k] ?? null]))));
+
+function detailsText(details) {
+  if (details === undefined || details === null || details === "") return "";
+  return (typeof details === "string" ? details : JSON.stringify(details)).slice(0, MAX_DETAILS);
+}
+
+/**
+ * Appends an event to a note's chain. `actor` is the signed-in user (or null for system and
+ * public actions such as a borrower opening a signing link); IP and user agent come from `req`.
+ */
+export async function appendAudit(noteId, { action, details, actor, clientTime } = {}, req = null) {
+  let appended;
+  await upsert("audit", noteId, (cur) => {
+    const events = cur?.events || [];
+    const prev = events[events.length - 1];
+    const event = {
+      seq: events.length + 1,
+      noteId,
+      at: new Date().toISOString(),
+      action: String(action || "").trim().slice(0, MAX_ACTION),
+      details: detailsText(details),
+      actor: actor ? { id: actor.id, email: actor.email } : null,
+      ip: req ? clientIp(req) : null,
+      userAgent: req ? userAgent(req) : null,
+      clientTime: clientTime ? String(clientTime).slice(0, 40) : null,
+      prevHash: prev ? prev.hash : GENESIS_HASH,
+    };
+    event.hash = eventHash(event);
+    appended = event;
+    return { id: noteId, noteId, events: [...events, event] };
+  });
+  return appended;
+}
+
+export async function auditEvents(noteId) {
+  return (await getById("audit", noteId))?.events || [];
+}
+
+// { valid, brokenAt (seq of the first bad event, or null), head (last hash) }
+export function verifyChain(events) {
+  let prevHash = GENESIS_HASH;
+  for (const [i, event] of events.entries()) {
+    if (event.seq !== i + 1 || event.prevHash !== prevHash || eventHash(event) !== event.hash) {
+      return { valid: false, brokenAt: i + 1, head: events[events.length - 1]?.hash || GENESIS_HASH };
+    }
+    prevHash = event.hash;
+  }
+  return { valid: true, brokenAt: null, head: prevHash };
+}
+
+const partyName = (p) => `${p?.firstName || ""} ${p?.lastName || ""}`.trim();
+
+// Signed snapshot of the chain, served by GET /api/notes/<id>/audit?format=certificate and
+// shipped in the document package as the audit trail.
+export async function auditCertificate(note, events) {
+  const chain = verifyChain(events);
+  const receipt = (note.timestamps || []).slice(-1)[0];
+  return signDocument({
+    type: "trustlend.audit-certificate",
+    version: 1,
+    issuedAt: new Date().toISOString(),
+    note: {
+      id: note.id,
+      title: note.title,
+      status: note.status,
+      lender: partyName(note.lender),
+      borrower: partyName(note.borrower),
+      principal: note.terms.principal,
+      createdAt: note.createdAt,
+    },
+    documentHash: receipt ? receipt.hash : null,
+    chain: { valid: chain.valid, brokenAt: chain.brokenAt, head: chain.head, length: events.length },
+    events,
+  });
+}
@@ -0,0 +1,113 @@
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import { sendJSON } from "./json.js";
+import { getById } from "./store.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = "tl_session";
+export const SESSION_TTL = 12 * 60 * 60;            // seconds
+export const REMEMBER_TTL = 30 * 24 * 60 * 60;
+
+function secret() {
+  const s = process.env.AUTH_SECRET;
+  if (s) return s;
+  if (process.env.NODE_ENV === "production") throw new Error("AUTH_SECRET is not set");
+  return "trustlend-dev-secret";
+}
+
+// ---- passwords ----
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64url"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ---- signed tokens: base64url(json).base64url(hmac) ----
+function hmac(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+}
+
+export function signToken(payload, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds })).toString("base64url");
+  return `${body}.${hmac(body)}`;
+}
+
+export function verifyToken(token) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+  const expected = Buffer.from(hmac(body));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+// ---- cookies ----
+export function parseCookies(req) {
+  const out = {};
+  for (const part of String(req.headers?.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function cookie(name, value, maxAge) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, "Path=/", "HttpOnly", "SameSite=Lax"];
+  if (maxAge !== undefined) parts.push(`Max-Age=${maxAge}`);
+  if (process.env.NODE_ENV === "production") parts.push("Secure");
+  return parts.join("; ");
+}
+
+export function setSessionCookie(res, user, remember = false) {
+  const ttl = remember ? REMEMBER_TTL : SESSION_TTL;
+  const token = signToken({ sub: user.id, ver: user.sessionVersion || 0 }, ttl);
+  // Without "remember me" the cookie lives for the browser session; the token still expires.
+  res.setHeader("Set-Cookie", cookie(SESSION_COOKIE, token, remember ? ttl : undefined));
+}
+
+export function clearSessionCookie(res) {
+  res.setHeader("Set-Cookie", cookie(SESSION_COOKIE, "", 0));
+}
+
+// ---- users ----
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function publicUser(user) {
+  return { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, createdAt: user.createdAt };
+}
+
+export async function getSessionUser(req) {
+  const payload = verifyToken(parseCookies(req)[SESSION_COOKIE]);
+  if (!payload) return null;
+  const user = await getById("users", payload.sub);
+  if (!user || (user.sessionVersion || 0) !== payload.ver) return null;
+  return user;
+}
+
+export function withAuth(handler) {
+  return async (req, res) => {
+    const user = await getSessionUser(req);
+    if (!user) return sendJSON(res, 401, { error: "unauthorized" });
+    req.user = user;
+    return handler(req, res);
+  };
+}
@@ -1,10 +1,23 @@
+import { sendJSON } from "./json.js";
+import { HttpError } from "./errors.js";
+import { logError } from "./redact.js";
+
 export function withCORS(handler) {
   return async (req, res) => {
     const allowed = process.env.ALLOWED_ORIGIN || "*";
     res.setHeader("Access-Control-Allow-Origin", allowed);
-    res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+    res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
     res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+    // Session cookies only cross origins when a concrete origin is configured.
+    if (allowed !== "*") res.setHeader("Access-Control-Allow-Credentials", "true");
     if (req.method === "OPTIONS") { res.status(200).end(); return; }
-    return handler(req, res);
+    // Request helpers throw HttpError for bad input; anything else is a bug, answered without its details.
+    try {
+      return await handler(req, res);
+    } catch (e) {
+      if (e instanceof HttpError) return sendJSON(res, e.status, { error: e.error, ...e.details });
+      logError(e);
+      return sendJSON(res, 500, { error: "internal_error" });
+    }
   };
 }
@@ -0,0 +1,11 @@
+import crypto from "node:crypto";
+
+// Scheduled functions (/api/cron/*) are called by Vercel Cron with "Authorization: Bearer
+// <CRON_SECRET>". Without CRON_SECRET they only run outside production.
+export function cronAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return process.env.NODE_ENV !== "production";
+  const given = Buffer.from(String(req.headers?.authorization || ""));
+  const expected = Buffer.from(`Bearer ${secret}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
@@ -0,0 +1,192 @@
+import { getById, findMany, newId, update } from "./store.js";
+import { appendAudit, auditEvents } from "./audit.js";
+import { sendMail } from "./mailer.js";
+import { entitlementProblem } from "./entitlements.js";
+import { DOCUMENTS, renderNoteDocument } from "./documents.js";
+import { partyName, sendInvite } from "./signing.js";
+import { allSigned, unsignedParties } from "../../assets/js/parties.js";
+import { logError, redactText } from "./redact.js";
+
+// Scheduled deliveries: the lender picks a wall-clock time and time zone for emailing the borrower
+// the signing invitation or the contract package, and the delivery queue (/api/cron/deliveries or
+// scripts/deliveries.js, every few minutes) sends it once that time has passed. They are kept on
+// the note (note.deliveries, written by the server only) so their status shows wherever the note
+// does: scheduled → sending → sent, or failed after MAX_ATTEMPTS, or cancelled by the lender.
+export const DELIVERY_KINDS = { invite: "Signing invitation", package: "Contract package" };
+export const DELIVERY_STATUSES = ["scheduled", "sending", "sent", "failed", "cancelled"];
+export const MAX_ATTEMPTS = 3;
+const RETRY_DELAYS_MS = [5 * 60 * 1000, 30 * 60 * 1000];
+// A run that died mid-send leaves its claim behind; after this long the delivery is tried again.
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const MAX_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_MESSAGE = 2000;
+
+export function validTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds `timeZone` is ahead of UTC at instant `t`.
+function zoneOffset(t, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(t)).map((p) => [p.type, p.value]));
+  return Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) - t;
+}
+
+/**
+ * The instant the wall-clock time `local` ("YYYY-MM-DDTHH:mm", as a datetime-local input gives it)
+ * happens in IANA `timeZone`, or null when either is invalid. A clock time skipped or repeated by a
+ * daylight-saving change resolves to an instant next to it.
+ */
+export function zonedTime(local, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(String(local || ""));
+  if (!m || !validTimeZone(timeZone)) return null;
+  const wall = Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5]);
+  const check = new Date(wall);
+  if (check.getUTCMonth() !== m[2] - 1 || check.getUTCDate() !== +m[3] || +m[4] > 23 || +m[5] > 59) return null;
+  const first = wall - zoneOffset(wall, timeZone);
+  return new Date(wall - zoneOffset(first, timeZone));
+}
+
+// [status, body] when `kind` can't be delivered for `note` right now, or null. Checked when the
+// lender schedules and again when the queue sends.
+export function deliveryProblem(note, kind) {
+  if (!DELIVERY_KINDS[kind]) return [400, { error: "invalid_kind" }];
+  if (kind === "invite") {
+    if (!note.signatures?.lender) return [400, { error: "lender_signature_required" }];
+    if (allSigned(note)) return [409, { error: "already_signed" }];
+  }
+  if (kind === "package") return entitlementProblem(note, "package");
+  return null;
+}
+
+// { sendAt, localTime, timeZone } for a requested time, or { problem: [status, body] }.
+export function deliveryTime({ sendAt, timeZone } = {}, now = new Date()) {
+  if (!validTimeZone(timeZone)) return { problem: [400, { error: "invalid_time_zone" }] };
+  const at = zonedTime(sendAt, timeZone);
+  if (!at) return { problem: [400, { error: "invalid_send_time" }] };
+  if (at <= now) return { problem: [400, { error: "send_time_past" }] };
+  if (at - now > MAX_AHEAD_MS) return { problem: [400, { error: "send_time_too_far" }] };
+  return { sendAt: at.toISOString(), localTime: sendAt, timeZone };
+}
+
+// "Signing invitation to a@b.c at 2026-10-20 09:00 (America/New_York)", for audit entries.
+export function describeDelivery(d) {
+  return `${DELIVERY_KINDS[d.kind]} to ${d.email} at ${d.localTime.replace("T", " ")} (${d.timeZone})`;
+}
+
+export function newDelivery({ kind, email, message, baseUrl, createdBy }, time) {
+  return {
+    id: newId("dlv"),
+    kind,
+    email,
+    message: String(message || "").slice(0, MAX_MESSAGE),
+    ...time,
+    baseUrl,
+    status: "scheduled",
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    sentAt: null,
+    cancelledAt: null,
+  };
+}
+
+// Replaces delivery `id` on the stored note with `fn(delivery)`. Resolves to the new delivery, or
+// null when it's gone or `fn` returns null (nothing is written then).
+export async function updateDelivery(noteId, id, fn) {
+  let changed = null;
+  await update("notes", noteId, (cur) => {
+    const list = cur.deliveries || [];
+    const current = list.find((d) => d.id === id);
+    changed = current ? fn(current) : null;
+    if (!changed) return {};
+    return { deliveries: list.map((d) => (d.id === id ? { ...d, ...changed } : d)) };
+  });
+  return changed;
+}
+
+const retryAt = (d) => d.nextAttemptAt || d.sendAt;
+
+function isDue(d, now) {
+  if (d.status === "scheduled") return retryAt(d) <= now.toISOString();
+  return d.status === "sending" && now - new Date(d.claimedAt) > STALE_SENDING_MS;
+}
+
+const permanent = (code) => Object.assign(new Error(code), { permanent: true });
+
+async function deliver(note, d) {
+  const problem = deliveryProblem(note, d.kind);
+  if (problem) throw permanent(problem[1].error);
+  if (d.kind === "invite") {
+    // The borrower's link goes to the address the lender picked; every other party who hasn't
+    // signed gets their own at the address on the note.
+    for (const p of unsignedParties(note).filter((p) => p.key !== "lender")) {
+      const email = p.key === "borrower" ? d.email : p.party.email;
+      if (!email) continue;
+      const { invite } = await sendInvite(note, { email, message: d.message, sentBy: d.createdBy, baseUrl: d.baseUrl, party: p.key });
+      const to = p.key === "borrower" ? email : `${email} (${p.label})`;
+      await appendAudit(note.id, { action: "Signing link sent", details: `To ${to}, expires ${invite.expiresAt} (scheduled delivery)` });
+    }
+    return;
+  }
+  const spec = DOCUMENTS.package;
+  const pdf = renderNoteDocument("package", note, { events: await auditEvents(note.id) });
+  const lender = partyName(note.lender) || "Your lender";
+  await sendMail({
+    to: d.email,
+    subject: `${lender} sent you the documents for "${note.title}"`,
+    text: (d.message ? `${d.message}\n\n` : "") +
+      `${lender} has sent you the promissory note package for "${note.title}": the note, its payment schedule, ` +
+      `the signature & execution certificate and the UCC attachment, in the attached PDF.`,
+    attachments: [{ filename: spec.filename, contentType: "application/pdf", content: pdf.toString("base64") }],
+  });
+  await appendAudit(note.id, { action: "Document package sent", details: `To ${d.email}, ${spec.filename} (scheduled delivery)` });
+}
+
+/**
+ * Sends every delivery due by `now`. Each one is claimed first (status "sending", in the same
+ * store update that checks it is still due), so overlapping runs never send it twice. A failed
+ * send is retried after RETRY_DELAYS_MS up to MAX_ATTEMPTS; one that can never succeed (the
+ * borrower already signed, the plan lacks the package, ...) fails straight away. Resolves to
+ * { at, sent, retrying, failed }, one entry per delivery.
+ */
+export async function runDeliveries({ now = new Date() } = {}) {
+  const at = now.toISOString();
+  const summary = { at, sent: [], retrying: [], failed: [] };
+  const notes = await findMany("notes", (n) => (n.deliveries || []).some((d) => isDue(d, now)));
+  for (const stored of notes) {
+    for (const due of stored.deliveries.filter((d) => isDue(d, now))) {
+      const claimed = await updateDelivery(stored.id, due.id, (d) => (isDue(d, now)
+        ? { status: "sending", attempts: d.attempts + 1, claimedAt: at }
+        : null));
+      if (!claimed) continue;
+      const d = { ...due, ...claimed };
+      const entry = { noteId: stored.id, deliveryId: d.id, kind: d.kind };
+      try {
+        await deliver(await getById("notes", stored.id), d);
+        await updateDelivery(stored.id, d.id, () => ({ status: "sent", sentAt: new Date().toISOString(), lastError: null, nextAttemptAt: null }));
+        summary.sent.push(entry);
+      } catch (e) {
+        if (!e.permanent) logError(e);
+        const error = redactText(e.message);
+        const retry = !e.permanent && d.attempts < MAX_ATTEMPTS;
+        const nextAttemptAt = retry ? new Date(now.getTime() + RETRY_DELAYS_MS[d.attempts - 1]).toISOString() : null;
+        await updateDelivery(stored.id, d.id, () => ({ status: retry ? "scheduled" : "failed", lastError: error, nextAttemptAt }));
+        await appendAudit(stored.id, retry
+          ? { action: "Scheduled delivery retrying", details: `${describeDelivery(d)}: attempt ${d.attempts} of ${MAX_ATTEMPTS} failed (${error}), retrying at ${nextAttemptAt}` }
+          : { action: "Scheduled delivery failed", details: `${describeDelivery(d)}: ${error}` });
+        (retry ? summary.retrying : summary.failed).push({ ...entry, error });
+      }
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,713 @@
+import { PAGE_HEIGHT, PAGE_WIDTH, PdfDocument, wrapText } from "./pdfwriter.js";
+import { readBody, sendJSON } from "./json.js";
+import { getOwnedNote, noteLedger, noteSchedule } from "./notes.js";
+import { appendAudit, auditEvents, verifyChain } from "./audit.js";
+import { entitlementProblem } from "./entitlements.js";
+import { findAmendment } from "./amendments.js";
+import { update } from "./store.js";
+import { issueReceipt } from "./timestamp.js";
+import { buildSchedule, formatMoney, longDate, scheduleLabel } from "../../assets/js/schedule.js";
+import { stateRules } from "../../assets/js/compliance.js";
+import { COLLATERAL_TYPES, collateralDescription, collateralLabel, filingOffice } from "../../assets/js/collateral.js";
+import {
+  AMENDMENT_KINDS, AMENDMENT_STATUSES, executedAmendments, formatTerm, originalTerms, termsDiff,
+} from "../../assets/js/amendments.js";
+import {
+  guarantors, holders, makers, noteParties, partyNames,
+} from "../../assets/js/parties.js";
+import { disclosureRows, noteSections, paymentClause } from "../../assets/js/templates.js";
+import { DOCUMENT_REF } from "../../assets/js/validation.js";
+import { documentHash } from "../../assets/js/integrity.js";
+
+// The note documents, rendered in-process from the stored note: the promissory note itself, the
+// payment schedule, the signature & execution certificate and the UCC attachment. "package" is
+// all four in one file. Only note data is used (never the current time), so output is stable.
+// Those show the note as signed; the documents that come after it (`afterSigning`) are an
+// amendment, and for a note paid in full (`paidOnly`) the release of note and the UCC-3 termination.
+// Documents with a `feature` are premium: the note's paid plan has to include it.
+export const DOCUMENTS = {
+  contract: { title: "Promissory Note", filename: "TrustLend_Promissory_Note.pdf", sections: ["contract"] },
+  schedule: { title: "Payment Schedule", filename: "TrustLend_Payment_Schedule.pdf", sections: ["schedule"] },
+  certificate: { title: "Signature & Execution Certificate", filename: "TrustLend_Execution_Certificate.pdf", sections: ["certificate"] },
+  ucc: { title: "UCC Attachment", filename: "TrustLend_UCC_Attachment.pdf", sections: ["ucc"], feature: "ucc" },
+  ucc1: {
+    title: "UCC-1 Financing Statement",
+    filename: "TrustLend_UCC1_Financing_Statement.pdf",
+    sections: ["ucc1"],
+    securedOnly: true,
+    feature: "ucc",
+  },
+  package: {
+    title: "Promissory Note Package",
+    filename: "TrustLend_Document_Package.pdf",
+    sections: ["contract", "schedule", "certificate", "ucc", "ucc1"],
+    feature: "package",
+  },
+  amendment: {
+    title: "Amendment to Promissory Note",
+    filename: "TrustLend_Amendment.pdf",
+    sections: ["amendment"],
+    afterSigning: true,
+    perAmendment: true,
+  },
+  release: {
+    title: "Release of Promissory Note",
+    filename: "TrustLend_Release_of_Note.pdf",
+    sections: ["release"],
+    afterSigning: true,
+    paidOnly: true,
+  },
+  ucc3: {
+    title: "UCC-3 Termination Statement",
+    filename: "TrustLend_UCC3_Termination.pdf",
+    sections: ["ucc3"],
+    afterSigning: true,
+    paidOnly: true,
+    securedOnly: true,
+    feature: "ucc",
+  },
+};
+
+// "TrustLend_Amendment_2.pdf" for amendment No. 2; other documents keep their filename.
+export const documentFilename = (kind, amendment) =>
+  (DOCUMENTS[kind].perAmendment ? DOCUMENTS[kind].filename.replace(".pdf", `_${amendment.number}.pdf`) : DOCUMENTS[kind].filename);
+
+const MARGIN = 54;
+const CONTENT = PAGE_WIDTH - MARGIN * 2;
+const BOTTOM = PAGE_HEIGHT - MARGIN - 24;
+const MUTED = "#6b7280";
+const RULE = "#d1d5db";
+
+const partyName = (p) => `${p?.firstName || ""} ${p?.lastName || ""}`.trim() || "—";
+const stamp = (iso) => {
+  const d = iso ? new Date(iso) : null;
+  return d && !Number.isNaN(d.getTime()) ? `${d.toISOString().slice(0, 16).replace("T", " ")} UTC` : "—";
+};
+const percent = (n) => `${Number(n || 0).toFixed(2)}%`;
+const address = (p) => [p?.address, [p?.city, [p?.state, p?.zip].filter(Boolean).join(" ")].filter(Boolean).join(", ")]
+  .filter(Boolean).join(", ") || "Address not provided";
+const stateName = (code) => stateRules(code)?.name || code || "the Lender's state of residence";
+
+// Top-down cursor over PdfDocument pages; each page remembers the section it belongs to so the
+// footer can number pages per document.
+class Layout {
+  constructor(doc) {
+    this.doc = doc;
+    this.pageSections = [];
+    this.y = BOTTOM;
+  }
+
+  startSection(title) {
+    this.section = title;
+    this.newPage();
+  }
+
+  newPage() {
+    this.doc.addPage();
+    this.pageSections.push(this.section);
+    this.y = MARGIN;
+  }
+
+  ensure(height) {
+    if (this.y + height > BOTTOM) this.newPage();
+  }
+
+  space(h = 8) {
+    this.y += h;
+  }
+
+  title(text, subtitle) {
+    this.doc.text(text, MARGIN, this.y, { font: "bold", size: 18, align: "center", width: CONTENT });
+    this.y += 26;
+    if (subtitle) {
+      this.doc.text(subtitle, MARGIN, this.y, { size: 10, color: MUTED, align: "center", width: CONTENT });
+      this.y += 16;
+    }
+    this.doc.line(MARGIN, this.y, MARGIN + CONTENT, this.y, { color: RULE });
+    this.y += 14;
+  }
+
+  heading(text) {
+    this.ensure(40);
+    this.y += 4;
+    this.doc.text(text, MARGIN, this.y, { font: "bold", size: 11.5 });
+    this.y += 18;
+  }
+
+  paragraph(text, { font = "regular", size = 10, color = "#111827", indent = 0, gap = 6 } = {}) {
+    const lineHeight = size * 1.4;
+    for (const line of wrapText(text, CONTENT - indent, font, size)) {
+      this.ensure(lineHeight);
+      this.doc.text(line, MARGIN + indent, this.y, { font, size, color });
+      this.y += lineHeight;
+    }
+    this.y += gap;
+  }
+
+  // Two-column label/value rows.
+  fields(rows, { labelWidth = 150 } = {}) {
+    for (const [label, value] of rows) {
+      const lines = wrapText(value, CONTENT - labelWidth, "regular", 10);
+      this.ensure(lines.length * 14 + 2);
+      this.doc.text(label, MARGIN, this.y, { font: "bold", size: 10, color: "#374151" });
+      lines.forEach((line, i) => this.doc.text(line, MARGIN + labelWidth, this.y + i * 14, { size: 10 }));
+      this.y += lines.length * 14 + 2;
+    }
+    this.y += 6;
+  }
+
+  // columns: [{ label, width, align }]; the header repeats on every page the table spans.
+  table(columns, rows, { footer = null } = {}) {
+    const rowHeight = 16;
+    const header = () => {
+      this.doc.rect(MARGIN, this.y, CONTENT, rowHeight, { fill: "#f3f4f6" });
+      let x = MARGIN;
+      for (const c of columns) {
+        this.doc.text(c.label, x + 4, this.y + 4, { font: "bold", size: 8.5, color: "#374151", align: c.align || "left", width: c.width - 8 });
+        x += c.width;
+      }
+      this.y += rowHeight;
+    };
+    const row = (cells, font = "regular") => {
+      if (this.y + rowHeight > BOTTOM) {
+        this.newPage();
+        header();
+      }
+      let x = MARGIN;
+      columns.forEach((c, i) => {
+        this.doc.text(String(cells[i] ?? ""), x + 4, this.y + 4, { font, size: 8.5, align: c.align || "left", width: c.width - 8 });
+        x += c.width;
+      });
+      this.y += rowHeight;
+      this.doc.line(MARGIN, this.y, MARGIN + CONTENT, this.y, { width: 0.5, color: "#e5e7eb" });
+    };
+    this.ensure(rowHeight * 3);
+    header();
+    rows.forEach((cells) => row(cells));
+    if (footer) row(footer, "bold");
+    this.y += 10;
+  }
+
+  box(lines, { fill = "#f9fafb", stroke = RULE } = {}) {
+    const height = lines.length * 15 + 14;
+    this.ensure(height);
+    this.doc.rect(MARGIN, this.y, CONTENT, height, { fill, stroke });
+    lines.forEach(([label, value], i) => {
+      this.doc.text(label, MARGIN + 10, this.y + 9 + i * 15, { font: "bold", size: 10 });
+      this.doc.text(value, MARGIN + 10, this.y + 9 + i * 15, { size: 10, align: "right", width: CONTENT - 20 });
+    });
+    this.y += height + 10;
+  }
+
+  signature(role, party, sig, x, width) {
+    const top = this.y;
+    if (sig && !(sig.image && this.doc.image(sig.image, x, top, width, 50))) {
+      this.doc.text(sig.name, x, top + 22, { font: "italic", size: 20 });
+    }
+    this.doc.line(x, top + 56, x + width, top + 56, { color: "#374151" });
+    this.doc.text(`${partyName(party)}, ${role}`, x, top + 61, { font: "bold", size: 9.5 });
+    this.doc.text(sig ? `Signed ${stamp(sig.signedAt)} (${sig.method})` : "Not yet signed", x, top + 75, { size: 8.5, color: MUTED });
+  }
+
+  // Two to a row in the order given (noteParties: the borrower first, beside the lender when
+  // there is no one else).
+  signatures(parties, signatures) {
+    const half = (CONTENT - 36) / 2;
+    for (let i = 0; i < parties.length; i += 2) {
+      this.ensure(110);
+      this.space(10);
+      parties.slice(i, i + 2).forEach((p, j) => this.signature(p.label, p.party, signatures?.[p.key], MARGIN + j * (half + 36), half));
+      this.y += 92;
+    }
+  }
+
+  footers(noteId) {
+    const counts = {};
+    this.pageSections.forEach((s) => (counts[s] = (counts[s] || 0) + 1));
+    const seen = {};
+    this.doc.pages.forEach((page, i) => {
+      const section = this.pageSections[i];
+      seen[section] = (seen[section] || 0) + 1;
+      this.doc.page = page;
+      this.doc.line(MARGIN, PAGE_HEIGHT - MARGIN - 10, MARGIN + CONTENT, PAGE_HEIGHT - MARGIN - 10, { width: 0.5, color: RULE });
+      this.doc.text(`TrustLend · ${section} · Note ${noteId}`, MARGIN, PAGE_HEIGHT - MARGIN - 4, { size: 8, color: MUTED });
+      this.doc.text(`Page ${seen[section]} of ${counts[section]}`, MARGIN, PAGE_HEIGHT - MARGIN - 4, { size: 8, color: MUTED, align: "right", width: CONTENT });
+    });
+  }
+}
+
+// ---- promissory note ----
+const PARTY_CAPACITY = { borrower: "maker", co_borrower: "maker", lender: "holder", co_lender: "holder" };
+
+// "Borrower (maker)  Jane Doe — 1 Main St, …" for everyone on the note.
+const partyRows = (note) => noteParties(note).map((p) =>
+  [PARTY_CAPACITY[p.role] ? `${p.label} (${PARTY_CAPACITY[p.role]})` : p.label, `${partyName(p.party)} — ${address(p.party)}`]);
+
+function renderContract(layout, note) {
+  const { terms } = note;
+  layout.title("PROMISSORY NOTE", note.title);
+  layout.fields([
+    ["Principal amount", formatMoney(terms.principal)],
+    ["Date of note", longDate(terms.loanDate)],
+    ...partyRows(note),
+  ]);
+
+  // The clauses of the note's template (assets/js/templates.js), numbered.
+  noteSections(note).forEach((section, i) => {
+    layout.heading(`${i + 1}. ${section.heading}`);
+    if (section.box) layout.box(section.box);
+    else layout.paragraph(section.text);
+  });
+
+  layout.signatures(noteParties(note), note.signatures);
+}
+
+// ---- payment schedule ----
+function renderSchedule(layout, note) {
+  const schedule = noteSchedule(note);
+  layout.title("PAYMENT SCHEDULE", `Attachment to the Promissory Note "${note.title}"`);
+  layout.fields([
+    ["Borrower", partyNames(makers(note))],
+    ["Lender", partyNames(holders(note))],
+    ["Principal", formatMoney(note.terms.principal)],
+    ["Payments", `${schedule.count} (${scheduleLabel(schedule.paymentSchedule)})`],
+    ["Interest", schedule.interestMode === "none" ? "None" : `${percent(schedule.interestRate)} ${schedule.interestMode}`],
+    ["APR / Finance charge", `${percent(schedule.apr)} / ${formatMoney(schedule.financeCharge)}`],
+  ]);
+  scheduleTable(layout, schedule);
+}
+
+function scheduleTable(layout, schedule) {
+  const money = (n) => formatMoney(n);
+  const w = CONTENT / 14;
+  layout.table(
+    [
+      { label: "#", width: w },
+      { label: "Due date", width: w * 3 },
+      { label: "Principal", width: w * 2, align: "right" },
+      { label: "Fee", width: w * 2, align: "right" },
+      { label: "Interest", width: w * 2, align: "right" },
+      { label: "Payment", width: w * 2, align: "right" },
+      { label: "Balance", width: w * 2, align: "right" },
+    ],
+    schedule.installments.map((r) => [r.number, longDate(r.dueDate), money(r.principal), money(r.fee), money(r.interest), money(r.amount), money(r.balance)]),
+    { footer: ["", "Total", money(schedule.totals.principal), money(schedule.totals.fee), money(schedule.totals.interest), money(schedule.totals.amount), ""] },
+  );
+  if (!schedule.count) layout.paragraph("No payment dates have been set for this note.", { color: MUTED });
+}
+
+// ---- signature & execution certificate ----
+function renderCertificate(layout, note, { events }) {
+  const signing = note.signing || {};
+  const receipt = (note.timestamps || []).slice(-1)[0];
+  const chain = verifyChain(events);
+  layout.title("SIGNATURE & EXECUTION CERTIFICATE", note.title);
+  layout.fields([
+    ["Note ID", note.id],
+    ["Created", stamp(note.createdAt)],
+    ["Status", note.status],
+    ["Executed", signing.executedAt ? stamp(signing.executedAt) : "Not executed"],
+  ]);
+
+  layout.heading("Signatures");
+  layout.table(
+    [
+      { label: "Party", width: 70 },
+      { label: "Name", width: 150 },
+      { label: "Method", width: 70 },
+      { label: "Signed (UTC)", width: 214 },
+    ],
+    [...holders(note), ...makers(note), ...guarantors(note)].map((p) => {
+      const sig = note.signatures?.[p.key];
+      return [p.label, sig?.name || partyName(p.party), sig?.method || "—", sig ? stamp(sig.signedAt) : "Not signed"];
+    }),
+  );
+
+  if (note.signing) {
+    layout.heading("Remote Signing");
+    layout.fields([
+      ["Signing link sent to", signing.recipient || "—"],
+      ["Sent", stamp(signing.sentAt)],
+      ["Opened", stamp(signing.viewedAt)],
+      ["Borrower signed", stamp(signing.signedAt)],
+    ]);
+  }
+
+  layout.heading("Document Timestamp");
+  layout.fields(receipt
+    ? [["Document hash", receipt.hash], ["Timestamped", stamp(receipt.signedAt)], ["Signing key", `${receipt.alg} ${receipt.keyId}`]]
+    : [["Document hash", "The contract has not been timestamped yet."]]);
+
+  layout.heading("Audit Trail");
+  layout.paragraph(chain.valid
+    ? `${events.length} event${events.length === 1 ? "" : "s"}; the hash chain is intact. Head hash ${chain.head}.`
+    : `The hash chain is broken at event #${chain.brokenAt}; events from that point may have been altered.`, { size: 9.5 });
+  layout.table(
+    [
+      { label: "#", width: 28 },
+      { label: "Time (UTC)", width: 100 },
+      { label: "Event", width: 236 },
+      { label: "IP address", width: 140 },
+    ],
+    events.map((e) => {
+      const action = wrapText(e.action, 228, "regular", 8.5)[0];
+      return [e.seq, stamp(e.at).replace(" UTC", ""), action === e.action ? action : action + "…", e.ip || "—"];
+    }),
+  );
+}
+
+// ---- UCC attachment ----
+function renderUcc(layout, note) {
+  const schedule = noteSchedule(note);
+  const lender = partyName(note.lender);
+  layout.title("UCC ATTACHMENT", `Negotiability and security terms of "${note.title}"`);
+  layout.heading("Article 3 — Negotiable Instrument");
+  layout.paragraph("This Note is drafted to be a negotiable instrument under Article 3 of the Uniform Commercial Code as adopted in the governing state. The elements are:");
+  layout.fields([
+    ["Unconditional promise", "Section 1 of the Note: Borrower's promise to pay is not subject to any condition."],
+    ["Fixed amount of money", `${formatMoney(note.terms.principal)} principal${schedule.financeCharge > 0 ? ` plus a ${formatMoney(schedule.financeCharge)} finance charge` : ""}.`],
+    ["Payable to order", `Payable to the order of ${partyNames(holders(note))}.`],
+    ["Definite time", schedule.count ? `Final payment due ${longDate(schedule.finalPaymentDate)}.` : "Payment dates not yet set."],
+    ["No other undertaking", "The Note contains no promise or instruction beyond the payment of money, except as the UCC permits."],
+  ], { labelWidth: 140 });
+  layout.paragraph("A holder in due course takes this Note free of most defenses the Borrower could raise against the original Lender (UCC §3-305). The Lender may transfer this Note by endorsement and delivery.");
+
+  layout.heading("Article 9 — Security Interest");
+  if (!note.collateral) {
+    layout.paragraph("This Note is unsecured. Borrower grants no security interest in any property, and no financing statement (UCC-1) is to be filed.");
+  } else {
+    const type = COLLATERAL_TYPES[note.collateral.type] || COLLATERAL_TYPES.other;
+    layout.paragraph("The Security Agreement section of the Note grants Lender a security interest in the Collateral. It attaches when the Note is signed, value has been given and Borrower has rights in the Collateral (UCC §9-203).");
+    layout.fields([
+      ["Collateral", collateralDescription(note.collateral)],
+      ["Secured party", `${lender} — ${address(note.lender)}`],
+      ["Debtor", `${partyName(note.borrower)} — ${address(note.borrower)}`],
+      ["Perfection", type.titled
+        ? "Note Lender as lienholder on the vehicle's certificate of title (UCC §9-311); a UCC-1 alone does not perfect a security interest in a titled vehicle."
+        : `File the attached UCC-1 financing statement with the ${filingOffice(note.borrower?.state) || "filing office of the state where Borrower resides"} (UCC §9-501).`],
+    ], { labelWidth: 140 });
+    layout.paragraph("A filed financing statement lapses after five years unless a continuation statement is filed in the six months before it lapses (UCC §9-515). When the Note is paid in full Lender must file a termination statement (UCC §9-513).");
+  }
+
+  layout.space(6);
+  layout.paragraph("This attachment summarizes how the Note is drafted. It is not legal advice; the enforceability of any note depends on the law of the governing state.", { size: 8.5, color: MUTED });
+}
+
+// ---- UCC forms: labelled boxes as on the national forms ----
+function formBox(layout, label, value, { height = 34 } = {}) {
+  layout.ensure(height + 4);
+  const lines = wrapText(value || "", CONTENT - 16, "regular", 10);
+  const h = Math.max(height, 18 + lines.length * 13);
+  layout.doc.rect(MARGIN, layout.y, CONTENT, h, { stroke: "#374151" });
+  layout.doc.text(label, MARGIN + 6, layout.y + 5, { font: "bold", size: 7.5, color: "#374151" });
+  lines.forEach((line, i) => layout.doc.text(line, MARGIN + 8, layout.y + 17 + i * 13, { size: 10 }));
+  layout.y += h;
+}
+
+// cells: [label, value, width]
+function formColumns(layout, cells) {
+  layout.ensure(38);
+  let x = MARGIN;
+  for (const [label, value, width] of cells) {
+    layout.doc.rect(x, layout.y, width, 34, { stroke: "#374151" });
+    layout.doc.text(label, x + 6, layout.y + 5, { font: "bold", size: 7.5, color: "#374151" });
+    layout.doc.text(value || "", x + 8, layout.y + 17, { size: 10 });
+    x += width;
+  }
+  layout.y += 34;
+}
+
+// The lender files: boxes A–C, the same on the UCC-1 and the UCC-3.
+function filerBoxes(layout, note) {
+  formBox(layout, "A. NAME & PHONE OF CONTACT AT FILER", [partyName(note.lender), note.lender?.phone].filter(Boolean).join(" · "));
+  formBox(layout, "B. E-MAIL CONTACT AT FILER", note.lender?.email);
+  formBox(layout, "C. SEND ACKNOWLEDGMENT TO", `${partyName(note.lender)}, ${address(note.lender)}`);
+}
+
+// ---- UCC-1 financing statement ----
+// Laid out after the national form (UCC1, 04/20/11) so the filer can copy it box by box.
+function renderUcc1(layout, note) {
+  const debtor = note.borrower || {};
+  const office = filingOffice(debtor.state);
+  const w = CONTENT / 10;
+
+  layout.title("UCC FINANCING STATEMENT", "Prepared from the Promissory Note — review before filing");
+  layout.fields([
+    ["File with", office || "The filing office of the state where the debtor resides"],
+    ["Debtor's state", stateName(debtor.state)],
+  ]);
+  if (COLLATERAL_TYPES[note.collateral.type]?.titled) {
+    layout.paragraph("The collateral is a titled motor vehicle: perfect the security interest by having Lender noted as lienholder on the certificate of title. File this statement only if the vehicle is held as inventory for sale.", { size: 9.5, color: "#b45309" });
+  }
+
+  filerBoxes(layout, note);
+  layout.space(8);
+  formBox(layout, "1a. ORGANIZATION'S NAME", "");
+  formColumns(layout, [
+    ["1b. INDIVIDUAL'S SURNAME", debtor.lastName, w * 4],
+    ["FIRST PERSONAL NAME", debtor.firstName, w * 3],
+    ["ADDITIONAL NAME(S)/INITIAL(S)", "", w * 2],
+    ["SUFFIX", "", w],
+  ]);
+  formColumns(layout, [
+    ["1c. MAILING ADDRESS", debtor.address, w * 4],
+    ["CITY", debtor.city, w * 3],
+    ["STATE", debtor.state, w],
+    ["POSTAL CODE", debtor.zip, w],
+    ["COUNTRY", "USA", w],
+  ]);
+  layout.space(8);
+  formBox(layout, "3a. SECURED PARTY — ORGANIZATION'S NAME", "");
+  formColumns(layout, [
+    ["3b. INDIVIDUAL'S SURNAME", note.lender?.lastName, w * 4],
+    ["FIRST PERSONAL NAME", note.lender?.firstName, w * 3],
+    ["ADDITIONAL NAME(S)/INITIAL(S)", "", w * 2],
+    ["SUFFIX", "", w],
+  ]);
+  formColumns(layout, [
+    ["3c. MAILING ADDRESS", note.lender?.address, w * 4],
+    ["CITY", note.lender?.city, w * 3],
+    ["STATE", note.lender?.state, w],
+    ["POSTAL CODE", note.lender?.zip, w],
+    ["COUNTRY", "USA", w],
+  ]);
+  layout.space(8);
+  formBox(layout, "4. COLLATERAL: This financing statement covers the following collateral:", collateralDescription(note.collateral), { height: 70 });
+  formBox(layout, "8. OPTIONAL FILER REFERENCE DATA", `TrustLend note ${note.id} — ${note.title}`);
+  layout.space(8);
+  layout.paragraph(`Collateral type: ${collateralLabel(note.collateral.type)}. The debtor authorized this filing in the Security Agreement section of the Note. A financing statement does not need the debtor's signature (UCC §9-502).`, { size: 8.5, color: MUTED });
+}
+
+// ---- amendment ----
+const DATE_TERMS = ["firstPaymentDue", "dueDate", "lumpSumDueDate"];
+
+function renderAmendment(layout, note, { amendment }) {
+  const schedule = buildSchedule(amendment.terms);
+  const changes = termsDiff(amendment.previousTerms, amendment.terms);
+  const term = (field, value) => (DATE_TERMS.includes(field) && value ? longDate(value) : formatTerm(field, value));
+  const parties = noteParties(note);
+  // Co-lenders, co-borrowers and guarantors sign it too
+  const others = parties.filter((p) => p.key !== p.role);
+  layout.title(`AMENDMENT NO. ${amendment.number} TO PROMISSORY NOTE`, note.title);
+  layout.fields([
+    ["Note", `${note.title} (${note.id})`],
+    ["Date of note", longDate(note.terms.loanDate)],
+    ["Borrower (maker)", `${partyName(note.borrower)} — ${address(note.borrower)}`],
+    ["Lender (holder)", `${partyName(note.lender)} — ${address(note.lender)}`],
+    ...others.map((p) => [p.label, `${partyName(p.party)} — ${address(p.party)}`]),
+    ["Amendment", AMENDMENT_KINDS[amendment.kind]],
+    ["Effective date", longDate(amendment.effectiveDate)],
+    ["Status", AMENDMENT_STATUSES[amendment.status]],
+  ]);
+
+  let section = 0;
+  const heading = (text) => layout.heading(`${++section}. ${text}`);
+
+  if (amendment.reason) {
+    heading("Background");
+    layout.paragraph(amendment.reason);
+  }
+  heading("Amended Terms");
+  layout.paragraph(`${others.length ? "The Lender, the Borrower and every other party signing below" : "The Lender and the Borrower"} agree to amend the promissory note dated ${longDate(note.terms.loanDate)} ` +
+    `in the original principal amount of ${formatMoney(originalTerms(note).principal)} (the "Note") as follows, effective ${longDate(amendment.effectiveDate)}:`);
+  layout.table(
+    [
+      { label: "Term", width: 150 },
+      { label: "Before this amendment", width: 177 },
+      { label: "As amended", width: 177 },
+    ],
+    changes.map((c) => [c.label, term(c.field, c.from), term(c.field, c.to)]),
+  );
+  heading("Payments");
+  layout.paragraph(paymentClause(schedule));
+  layout.paragraph("Payments already made under the Note are credited to the amended schedule in the order they were received.");
+  scheduleTable(layout, schedule);
+  heading("Truth in Lending Disclosure");
+  layout.box(disclosureRows(schedule));
+  heading("Everything Else Unchanged");
+  layout.paragraph("Except as set out in this Amendment, the Note remains in full force and effect, including any security agreement in it. If this Amendment and the Note conflict, this Amendment controls.");
+  if (others.length) layout.paragraph("This Amendment takes effect only once every party named above has signed it; until then the Note's current terms bind all of them.");
+  heading("Amendment Fingerprint");
+  layout.paragraph(`SHA-256 ${amendment.hash}`, { size: 9 });
+  layout.paragraph("The fingerprint covers the Note as signed, this Amendment's number, type, background, effective date and the terms before and after it.", { size: 8.5, color: MUTED });
+
+  layout.signatures(parties, amendment.signatures);
+}
+
+// ---- release of note ----
+function renderRelease(layout, note) {
+  const release = note.release || {};
+  const ledger = noteLedger(note, release.paidOn || note.terms.loanDate);
+  const lenders = holders(note);
+  const lender = partyNames(lenders);
+  const borrower = partyNames(makers(note));
+  const sureties = guarantors(note);
+  const amended = executedAmendments(note).length;
+  const type = note.collateral && (COLLATERAL_TYPES[note.collateral.type] || COLLATERAL_TYPES.other);
+  layout.title("PAID IN FULL — RELEASE OF PROMISSORY NOTE", note.title);
+  layout.fields([
+    ["Note", `${note.title} (${note.id})`],
+    ["Date of note", longDate(note.terms.loanDate)],
+    ["Original principal", formatMoney(originalTerms(note).principal)],
+    ...partyRows(note),
+    ["Paid in full on", longDate(release.paidOn)],
+  ]);
+  layout.box([
+    ["Total received", formatMoney(ledger.totals.paid)],
+    ["Late fees charged", formatMoney(ledger.totals.lateFees)],
+    ["Balance", formatMoney(ledger.totals.outstanding)],
+  ]);
+
+  let section = 0;
+  const heading = (text) => layout.heading(`${++section}. ${text}`);
+
+  heading("Payment in Full");
+  layout.paragraph(`${lender} ("Lender"), the holder of the promissory note made by ${borrower} ("Borrower") dated ${longDate(note.terms.loanDate)} ` +
+    `in the original principal amount of ${formatMoney(originalTerms(note).principal)}` +
+    (amended ? `, as amended by ${amended} amendment${amended === 1 ? "" : "s"}` : "") +
+    ` (the "Note"), acknowledges receipt of payment in full of every amount due under the Note, the final payment having been received on ${longDate(release.paidOn)}.`);
+  heading("Release");
+  layout.paragraph(`Lender releases and discharges Borrower${sureties.length ? ` and ${partyNames(sureties)} ("Guarantor")` : ""} from all obligations under the Note. ` +
+    "The Note is satisfied and marked PAID IN FULL, and Lender will return the original Note, or a copy marked paid, to Borrower on request.");
+  if (note.collateral) {
+    heading("Release of Security Interest");
+    layout.paragraph(`The security interest Borrower granted Lender under the Note is released. Collateral: ${collateralDescription(note.collateral)}`);
+    layout.paragraph(type.titled
+      ? "Lender will sign the lien release on the certificate of title (or the title office's lien release form) so the title can be reissued without Lender as lienholder."
+      : "Lender will file the attached UCC-3 termination statement with the filing office where the UCC-1 financing statement was filed (UCC §9-513).");
+  }
+
+  // A signature and date line for each lender.
+  const half = (CONTENT - 36) / 2;
+  for (const p of lenders) {
+    layout.ensure(100);
+    layout.space(30);
+    layout.doc.line(MARGIN, layout.y + 40, MARGIN + half, layout.y + 40, { color: "#374151" });
+    layout.doc.text(`${partyName(p.party)}, ${p.label}`, MARGIN, layout.y + 45, { font: "bold", size: 9.5 });
+    layout.doc.line(MARGIN + half + 36, layout.y + 40, MARGIN + CONTENT, layout.y + 40, { color: "#374151" });
+    layout.doc.text("Date", MARGIN + half + 36, layout.y + 45, { font: "bold", size: 9.5 });
+    layout.y += 70;
+  }
+  layout.paragraph(`Prepared by TrustLend on ${stamp(release.issuedAt)} from the payment ledger of note ${note.id}.`, { size: 8.5, color: MUTED });
+}
+
+// ---- UCC-3 termination ----
+// Laid out after the national amendment form (UCC3, 04/20/11) with box 2 (termination) marked.
+function renderUcc3(layout, note) {
+  const debtor = note.borrower || {};
+  const office = filingOffice(debtor.state);
+  const w = CONTENT / 10;
+  layout.title("UCC FINANCING STATEMENT AMENDMENT", "Termination — prepared from the Release of Promissory Note — review before filing");
+  layout.fields([
+    ["File with", office || "The filing office where the UCC-1 financing statement was filed"],
+    ["Debtor's state", stateName(debtor.state)],
+  ]);
+  if (COLLATERAL_TYPES[note.collateral.type]?.titled) {
+    layout.paragraph("The collateral is a titled motor vehicle: release the lien on the certificate of title instead. File this termination only if a UCC-1 was filed for the vehicle.", { size: 9.5, color: "#b45309" });
+  }
+
+  filerBoxes(layout, note);
+  layout.space(8);
+  formBox(layout, "1a. INITIAL FINANCING STATEMENT FILE NUMBER", "");
+  layout.paragraph("Copy the file number from the filing office's acknowledgment of the UCC-1.", { size: 8.5, color: MUTED });
+  formBox(layout, "2. [X] TERMINATION: Effectiveness of the Financing Statement identified above is terminated with respect to the security interest(s) of Secured Party authorizing this Termination Statement",
+    `The obligation secured (TrustLend note ${note.id}) was paid in full on ${longDate(note.release?.paidOn)}.`, { height: 46 });
+  layout.space(8);
+  formBox(layout, "9a. NAME OF SECURED PARTY OF RECORD AUTHORIZING THIS AMENDMENT — ORGANIZATION'S NAME", "");
+  formColumns(layout, [
+    ["9b. INDIVIDUAL'S SURNAME", note.lender?.lastName, w * 4],
+    ["FIRST PERSONAL NAME", note.lender?.firstName, w * 3],
+    ["ADDITIONAL NAME(S)/INITIAL(S)", "", w * 2],
+    ["SUFFIX", "", w],
+  ]);
+  layout.space(8);
+  formBox(layout, "DEBTOR (for the filer's reference)", `${partyName(debtor)}, ${address(debtor)}`);
+  formBox(layout, "10. OPTIONAL FILER REFERENCE DATA", `TrustLend note ${note.id} — ${note.title} — paid in full`);
+  layout.space(8);
+  layout.paragraph("Once the secured obligation is paid, the secured party must file a termination statement: within one month for consumer goods, otherwise within 20 days after the debtor's demand (UCC §9-513).", { size: 8.5, color: MUTED });
+}
+
+const RENDERERS = {
+  contract: renderContract,
+  schedule: renderSchedule,
+  certificate: renderCertificate,
+  ucc: renderUcc,
+  ucc1: renderUcc1,
+  amendment: renderAmendment,
+  release: renderRelease,
+  ucc3: renderUcc3,
+};
+
+/**
+ * Renders one of DOCUMENTS for a stored note. `events` (the note's audit events) are needed for
+ * the certificate and the package, `amendment` (one of note.amendments) for an amendment.
+ * Returns the PDF bytes.
+ */
+export function renderNoteDocument(kind, note, { events = [], amendment = null } = {}) {
+  const spec = DOCUMENTS[kind];
+  if (!spec) throw new Error(`unknown document: ${kind}`);
+  const title = spec.perAmendment ? `Amendment No. ${amendment.number} to Promissory Note` : spec.title;
+  const doc = new PdfDocument({ title: `${title} — ${note.title}` });
+  const layout = new Layout(doc);
+  // Amendments replace note.terms; the note's own documents keep the terms it was signed with.
+  const signed = { ...note, terms: originalTerms(note) };
+  for (const section of spec.sections) {
+    if (DOCUMENTS[section].securedOnly && !note.collateral) continue;
+    layout.startSection(spec.perAmendment ? title : DOCUMENTS[section].title);
+    RENDERERS[section](layout, DOCUMENTS[section].afterSigning ? note : signed, { events, amendment });
+  }
+  layout.footers(note.id);
+  return doc.toBuffer();
+}
+
+/**
+ * The timestamp receipt for the contract as the server renders it now (`contract`, when already
+ * rendered, saves rendering it again). The latest receipt is reused while it still covers this
+ * exact contract; otherwise the contract is timestamped, the receipt kept on the note and the
+ * audit trail told. Receipts are only ever issued over the server's own render, so /api/verify
+ * never vouches for a file the owner made up.
+ */
+export async function contractReceipt(req, note, actor, contract = renderNoteDocument("contract", note)) {
+  const latest = (note.timestamps || []).slice(-1)[0];
+  const { hash } = await documentHash(note, contract);
+  if (latest && latest.hash === hash) return latest;
+  const receipt = await issueReceipt(note, contract);
+  // Receipts don't change the agreement, so the note version (and open editors) are left alone.
+  await update("notes", note.id, (cur) => ({ timestamps: [...(cur.timestamps || []), receipt] }));
+  await appendAudit(note.id, { action: "Document timestamped", details: `SHA-256 ${receipt.hash}`, actor }, req);
+  return receipt;
+}
+
+// Why `kind` can't be rendered for `note` (and `amendment`): [status, { error }], or null.
+export function documentProblem(kind, note, amendment) {
+  const spec = DOCUMENTS[kind];
+  if (spec.feature) {
+    const problem = entitlementProblem(note, spec.feature);
+    if (problem) return problem;
+  }
+  if (spec.perAmendment && !amendment) return [404, { error: "amendment_not_found" }];
+  if (spec.paidOnly && !note.release) return [409, { error: "not_paid_in_full" }];
+  if (spec.securedOnly && !note.collateral) return [409, { error: "not_secured" }];
+  return null;
+}
+
+// Handler behind /api/pdf/<kind>: POST { noteId } (plus amendmentId for an amendment) returns the
+// PDF for a note the caller owns.
+export function pdfHandler(kind) {
+  return async (req, res) => {
+    if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+    const { noteId, amendmentId } = await readBody(req, DOCUMENT_REF);
+    const note = await getOwnedNote(noteId, req.user);
+    if (!note) return sendJSON(res, 404, { error: "not_found" });
+    const amendment = DOCUMENTS[kind].perAmendment ? findAmendment(note, amendmentId) : null;
+    const problem = documentProblem(kind, note, amendment);
+    if (problem) return sendJSON(res, ...problem);
+    const events = DOCUMENTS[kind].sections.includes("certificate") ? await auditEvents(note.id) : [];
+    const pdf = renderNoteDocument(kind, note, { events, amendment });
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${documentFilename(kind, amendment)}"`);
+    res.setHeader("Content-Length", String(pdf.length));
+    res.end(pdf);
+  };
+}
@@ -0,0 +1,18 @@
+import { planFor, planIncludes, PLANS } from "../../assets/js/plans.js";
+
+// The plan paid for on the note (written by the Stripe webhook), or null. note.tier is only the
+// plan the lender picked in the wizard and grants nothing.
+export function paidPlan(note) {
+  const id = note?.plan?.id;
+  return id && PLANS[id] ? id : null;
+}
+
+export function hasEntitlement(note, feature) {
+  return planIncludes(paidPlan(note), feature);
+}
+
+// [status, body] for a premium API called on a note whose paid plan lacks `feature`, or null.
+export function entitlementProblem(note, feature) {
+  if (hasEntitlement(note, feature)) return null;
+  return [402, { error: "plan_required", feature, plan: planFor(feature), paidPlan: paidPlan(note) }];
+}
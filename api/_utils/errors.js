@@ -0,0 +1,72 @@
+import { GENERIC_CODES, MIN_PASSWORD_LENGTH } from "../../assets/js/validation.js";
+
+// Every error response has the same envelope: { error, message, fields? } plus whatever the route
+// adds (a plan_required's `plan`, a version_conflict's `note`, ...). `error` is the stable
+// snake_case code pages branch on; `message` is a sentence to show when they don't know it;
+// `fields` lists per-field problems ({ field, code, message }, see assets/js/validation.js).
+// sendJSON fills in `message` for any body with an `error`, so handlers keep returning
+// { error: "code" }.
+export const ERROR_MESSAGES = {
+  invalid_json: "The request body is not valid JSON.",
+  invalid_body: "Some fields are missing or invalid.",
+  invalid_query: "Some query parameters are missing or invalid.",
+  body_too_large: "The request body is too large.",
+  unauthorized: "Sign in to continue.",
+  not_found: "Not found.",
+  method_not_allowed: "This method is not allowed here.",
+  rate_limited: "Too many requests. Please try again later.",
+  internal_error: "Something went wrong. Please try again.",
+  payment_unavailable: "Payments are unavailable right now. Please try again later.",
+  invalid_email: "Enter a valid email address.",
+  missing_email: "Enter an email address.",
+  weak_password: `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+  email_taken: "An account with this email already exists.",
+  invalid_credentials: "The email or password is incorrect.",
+  invalid_token: "This link is invalid or has expired.",
+  invalid_amount: "Enter a valid amount.",
+  invalid_date: "Enter a valid date (YYYY-MM-DD).",
+  invalid_plan: "Unknown plan.",
+  invalid_signature: "The request signature is invalid.",
+  plan_required: "This feature needs a higher plan.",
+  version_conflict: "This note was changed somewhere else. Reload it to see the latest version.",
+  note_executed: "This note has been signed by everyone. Change its terms or parties with an amendment.",
+};
+
+const STATUS_MESSAGES = {
+  400: "The request is invalid.",
+  401: ERROR_MESSAGES.unauthorized,
+  402: ERROR_MESSAGES.plan_required,
+  403: "You don't have access to this.",
+  404: ERROR_MESSAGES.not_found,
+  405: ERROR_MESSAGES.method_not_allowed,
+  409: "This conflicts with the current state. Reload and try again.",
+  413: ERROR_MESSAGES.body_too_large,
+  429: ERROR_MESSAGES.rate_limited,
+};
+
+// Thrown by the request helpers (readBody, readQuery, ...) and answered by withCORS.
+export class HttpError extends Error {
+  constructor(status, error, details = {}) {
+    super(error);
+    this.status = status;
+    this.error = error;
+    this.details = details;
+  }
+}
+
+// The HttpError for validation `errors`: the first route-specific code (so signup still answers
+// weak_password) or `fallback`, the first problem as the message and all of them in `fields`.
+export function validationError(errors, fallback = "invalid_body") {
+  const own = errors.find((e) => !GENERIC_CODES.includes(e.code));
+  return new HttpError(400, own ? own.code : fallback, { message: (own || errors[0]).message, fields: errors });
+}
+
+export function errorMessage(status, error) {
+  return ERROR_MESSAGES[error] || STATUS_MESSAGES[status] || (status >= 500 ? ERROR_MESSAGES.internal_error : STATUS_MESSAGES[400]);
+}
+
+// The envelope for an error `payload` ({ error, ...details }); a handler's own message wins.
+export function errorBody(status, payload) {
+  if (!payload || typeof payload !== "object" || !payload.error) return payload;
+  return { ...payload, message: payload.message || errorMessage(status, payload.error) };
+}
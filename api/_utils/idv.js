@@ -0,0 +1,174 @@
+import crypto from "node:crypto";
+import { findOne, insert, newId, update } from "./store.js";
+import { appendAudit } from "./audit.js";
+import { hasEntitlement } from "./entitlements.js";
+import { partyName } from "./signing.js";
+import { revealField } from "./sensitive.js";
+import { IDV_CALLBACK } from "../../assets/js/validation.js";
+
+// Identity verification of the parties to a note, behind a provider adapter:
+//
+//   {
+//     name,
+//     createSession({ reference, party, returnUrl, baseUrl }) → Promise<{ id, url }>
+//       starts a verification at the provider; `url` is where the party completes it,
+//     verifyWebhook(rawBody, headers) → event | null
+//       checks the signature on a provider callback,
+//     eventSchema
+//       the shape of its events (assets/js/validation.js), checked before parseEvent sees one,
+//     parseEvent(event) → { sessionId, outcome, reason } | null
+//       the result a callback reports (outcome: verified, failed or needs_review), null to ignore it,
+//   }
+//
+// IDV_PROVIDER picks the adapter ("mock" by default, outside production only) and IDV_WEBHOOK_SECRET is the secret its
+// callbacks are signed with. Sessions live in "idvSessions"; the latest outcome for each party is
+// kept on note.identity[role], which never bumps the note's version.
+export const IDV_ROLES = ["lender", "borrower"];
+export const IDV_OUTCOMES = {
+  verified: "Identity verified",
+  failed: "Identity verification failed",
+  needs_review: "Identity verification needs review",
+};
+const SIGNATURE_TOLERANCE_S = 5 * 60;
+
+const hmac = (secret, text) => crypto.createHmac("sha256", secret).update(text).digest("hex");
+const partyLabel = (role, party) => `${role[0].toUpperCase()}${role.slice(1)} ${partyName(party)}`.trim();
+
+// Header value "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>", as Stripe signs webhooks.
+function signPayload(secret, payload, t = Math.floor(Date.now() / 1000)) {
+  return `t=${t},v1=${hmac(secret, `${t}.${payload}`)}`;
+}
+
+function verifySignature(secret, payload, header) {
+  const parts = Object.fromEntries(String(header || "").split(",").map((kv) => kv.trim().split("=")));
+  const t = Number(parts.t);
+  if (!secret || !parts.v1 || !Number.isFinite(t)) return false;
+  if (Math.abs(Date.now() / 1000 - t) > SIGNATURE_TOLERANCE_S) return false;
+  const expected = Buffer.from(hmac(secret, `${t}.${payload}`));
+  const given = Buffer.from(String(parts.v1));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Built-in provider for development and demos: idv-mock.html stands in for the provider's hosted
+// page, and /api/idv/mock signs the outcome picked there so it arrives like any other callback.
+export const mockProvider = {
+  name: "mock",
+  eventSchema: IDV_CALLBACK,
+  async createSession({ returnUrl, baseUrl }) {
+    const id = `mock_${crypto.randomBytes(16).toString("base64url")}`;
+    return { id, url: `${baseUrl}/idv-mock.html?session=${id}&return=${encodeURIComponent(returnUrl)}` };
+  },
+  verifyWebhook(payload, headers) {
+    if (!verifySignature(process.env.IDV_WEBHOOK_SECRET, payload.toString(), headers?.["x-idv-signature"])) return null;
+    try {
+      return JSON.parse(payload.toString());
+    } catch {
+      return null;
+    }
+  },
+  parseEvent(event) {
+    if (event.type !== "session.completed") return null;
+    return { sessionId: String(event.data?.session || ""), outcome: event.data?.outcome, reason: String(event.data?.reason || "") };
+  },
+  // The signed session.completed callback for /api/idv/webhook: { payload, signature }.
+  callback(sessionId, outcome, reason = "") {
+    const payload = JSON.stringify({
+      id: `evt_${crypto.randomBytes(12).toString("base64url")}`,
+      type: "session.completed",
+      created: Math.floor(Date.now() / 1000),
+      data: { session: sessionId, outcome, reason },
+    });
+    return { payload, signature: signPayload(process.env.IDV_WEBHOOK_SECRET, payload) };
+  },
+};
+
+const PROVIDERS = { mock: mockProvider };
+
+// The configured adapter, or null when identity verification isn't set up. The mock signs whatever
+// outcome its page is given, so production refuses it: there IDV_PROVIDER must name a real adapter.
+export function idvProvider() {
+  if (!process.env.IDV_WEBHOOK_SECRET) return null;
+  const adapter = PROVIDERS[process.env.IDV_PROVIDER || "mock"] || null;
+  if (adapter === mockProvider && process.env.NODE_ENV === "production") return null;
+  return adapter;
+}
+
+// A party must pass before signing when the lender asked for it (identity.requiredFor) and the
+// note's paid plan includes identity verification.
+export function identityRequired(note, role) {
+  return !!note.identity?.requiredFor?.includes(role) && hasEntitlement(note, "idv");
+}
+
+export const identityStatus = (note, role) => note.identity?.[role]?.status || null;
+
+export const identityBlocked = (note, role) => identityRequired(note, role) && identityStatus(note, role) !== "verified";
+
+export function sessionSummary(session) {
+  const { id, role, provider, status, reason, createdAt, completedAt } = session;
+  return { id, role, provider, status, reason, createdAt, completedAt };
+}
+
+/**
+ * Starts a verification of `role` on the note with the configured provider and marks that party
+ * pending. Resolves to { session, url } where `url` is the provider page the party completes.
+ * The party's sealed date of birth is opened only to be handed to the provider.
+ */
+export async function startVerification(note, role, { returnUrl, baseUrl, actor = null, req = null }) {
+  const adapter = idvProvider();
+  const party = note[role] || {};
+  const remote = await adapter.createSession({
+    reference: `${note.id}:${role}`,
+    party: { firstName: party.firstName, lastName: party.lastName, email: party.email, dob: revealField(note, role, "dob"), ssnLast4: party.ssnLast4 },
+    returnUrl,
+    baseUrl,
+  });
+  const now = new Date().toISOString();
+  const session = await insert("idvSessions", {
+    id: newId("idv"),
+    noteId: note.id,
+    role,
+    provider: adapter.name,
+    providerSessionId: remote.id,
+    status: "pending",
+    reason: "",
+    createdAt: now,
+    completedAt: null,
+  });
+  await update("notes", note.id, (cur) => ({
+    identity: { ...cur.identity, [role]: { status: "pending", provider: adapter.name, sessionId: session.id, reason: "", updatedAt: now } },
+  }));
+  await appendAudit(note.id, {
+    action: "Identity verification started",
+    details: `${partyLabel(role, party)} via ${adapter.name}`,
+    actor,
+  }, req);
+  return { session, url: remote.url };
+}
+
+/**
+ * Applies a provider callback. The outcome is kept on the session; it reaches the note (and the
+ * audit trail) only while that session is the party's latest one. Resolves to the updated session,
+ * or null when the callback matches no session.
+ */
+export async function recordOutcome(provider, { sessionId, outcome, reason = "" }, req = null) {
+  if (!IDV_OUTCOMES[outcome]) return null;
+  const session = await findOne("idvSessions", (s) => s.provider === provider && s.providerSessionId === sessionId);
+  if (!session) return null;
+  const now = new Date().toISOString();
+  const next = await update("idvSessions", session.id, { status: outcome, reason: reason.slice(0, 500), completedAt: now });
+
+  let current = false;
+  const note = await update("notes", session.noteId, (cur) => {
+    const party = cur.identity?.[session.role];
+    if (party?.sessionId !== session.id) return {};
+    current = true;
+    return { identity: { ...cur.identity, [session.role]: { ...party, status: outcome, reason: next.reason, updatedAt: now } } };
+  });
+  if (note && current) {
+    await appendAudit(note.id, {
+      action: IDV_OUTCOMES[outcome],
+      details: `${partyLabel(session.role, note[session.role])} via ${provider}${next.reason ? `: ${next.reason}` : ""}`,
+    }, req);
+  }
+  return next;
+}
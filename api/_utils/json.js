@@ -1,14 +1,66 @@
-export async function readJson(req) {
-  if (req.body && typeof req.body === "object") return req.body;
-  return new Promise((resolve) => {
+import { redact } from "./redact.js";
+import { errorBody, HttpError, validationError } from "./errors.js";
+import { validate } from "../../assets/js/validation.js";
+
+export const DEFAULT_BODY_LIMIT = 100 * 1024;
+
+// The JSON object in the request body ({} when there is none). Throws HttpError 413
+// body_too_large past `limit` bytes and 400 invalid_json for anything but a JSON object.
+export async function readJson(req, { limit = DEFAULT_BODY_LIMIT } = {}) {
+  if (Number(req.headers?.["content-length"]) > limit) throw new HttpError(413, "body_too_large", { limit });
+  let parsed;
+  try {
+    parsed = req.body; // Vercel's parser throws on malformed JSON
+  } catch {
+    throw new HttpError(400, "invalid_json");
+  }
+  let text = null;
+  if (parsed && typeof parsed === "object" && !Buffer.isBuffer(parsed)) {
+    if (Buffer.byteLength(JSON.stringify(parsed)) > limit) throw new HttpError(413, "body_too_large", { limit });
+  } else {
+    text = typeof parsed === "string" || Buffer.isBuffer(parsed) ? String(parsed) : await readText(req, limit);
+    if (Buffer.byteLength(text) > limit) throw new HttpError(413, "body_too_large", { limit });
+    if (!text.trim()) return {};
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw new HttpError(400, "invalid_json");
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new HttpError(400, "invalid_json");
+  return parsed;
+}
+
+function readText(req, limit) {
+  return new Promise((resolve, reject) => {
     let data = "";
-    req.on("data", (c) => (data += c));
-    req.on("end", () => {
-      try { resolve(JSON.parse(data || "{}")); } catch { resolve({}); }
+    req.on("data", (c) => {
+      data += c;
+      if (data.length > limit) reject(new HttpError(413, "body_too_large", { limit }));
     });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
   });
 }
+
+// The request body checked against `schema` (assets/js/validation.js), with unknown keys dropped.
+export async function readBody(req, schema, opts) {
+  const { value, errors } = validate(schema, await readJson(req, opts));
+  if (errors.length) throw validationError(errors, "invalid_body");
+  return value;
+}
+
+// The query string checked against `schema`; keys it doesn't name (the route's own id) are dropped.
+export function readQuery(req, schema) {
+  const { value, errors } = validate(schema, { ...req.query });
+  if (errors.length) throw validationError(errors, "invalid_query");
+  return value;
+}
+
+// Error bodies get the shared envelope (errors.js) and go through the redaction layer, so no
+// handler can echo a sensitive value in one.
 export function sendJSON(res, status, payload) {
+  if (status >= 400) payload = redact(errorBody(status, payload));
   res.statusCode = status;
   res.setHeader("Content-Type", "application/json; charset=utf-8");
   res.end(JSON.stringify(payload));
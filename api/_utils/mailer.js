@@ -0,0 +1,33 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { redactText } from "./redact.js";
+
+// Transports take { to, subject, text, html?, attachments? } and resolve to { id }; attachments are
+// [{ filename, contentType, content }] with base64 content.
+// MAIL_TRANSPORT picks one by name; "outbox" (the default) writes each message
+// to MAIL_OUTBOX_DIR so development never needs a real mail provider.
+const transports = {
+  outbox: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), ".data", "outbox");
+    await fs.mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2));
+    return { id };
+  },
+  console: async (message) => {
+    const files = (message.attachments || []).map((a) => a.filename).join(", ");
+    console.log(`[mail] to=${message.to} subject=${message.subject}${files ? ` attachments=${files}` : ""}\n${redactText(message.text)}`);
+    return { id: `console-${Date.now()}` };
+  },
+};
+
+export function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+export async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || "outbox";
+  const send = transports[name];
+  if (!send) throw new Error(`unknown mail transport: ${name}`);
+  return send({ from: process.env.MAIL_FROM || "TrustLend <no-reply@trustlend.app>", ...message });
+}
@@ -0,0 +1,342 @@
+import { getById, newId } from "./store.js";
+import { paidPlan } from "./entitlements.js";
+import { buildSchedule, INTEREST_MODES } from "../../assets/js/schedule.js";
+import { checkCompliance } from "../../assets/js/compliance.js";
+import { COLLATERAL_TYPES } from "../../assets/js/collateral.js";
+import { buildLedger, NOTE_STATUS_FOR } from "../../assets/js/ledger.js";
+import { PLANS } from "../../assets/js/plans.js";
+import { REMINDER_KINDS, reminderSettings } from "../../assets/js/reminders.js";
+import { fieldContext, seal, sensitiveOnFile } from "./sensitive.js";
+import { NOTE_STATUSES } from "../../assets/js/validation.js";
+import { AMENDABLE_TERMS } from "../../assets/js/amendments.js";
+import { ADDITIONAL_ROLES, MAX_ADDITIONAL_PARTIES } from "../../assets/js/parties.js";
+import { cleanTemplate, DEFAULT_TEMPLATE, savedTemplate } from "../../assets/js/templates.js";
+import { canonicalJson } from "../../assets/js/integrity.js";
+
+export { NOTE_STATUSES };
+export const NOTE_TIERS = Object.keys(PLANS);
+
+const PARTY_FIELDS = ["firstName", "lastName", "email", "phone", "address", "city", "state", "zip", "county", "ssnLast4"];
+const TERM_FIELDS = ["loanDate", "dueDate", "purpose", "paymentSchedule", "firstPaymentDue", "lumpSumDueDate"];
+const SIGNATURE_FIELDS = ["method", "name", "image", "signedAt"];
+
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+const num = (v) => {
+  const n = Number.parseFloat(v);
+  return Number.isFinite(n) ? n : 0;
+};
+const pick = (src, fields) => Object.fromEntries(fields.map((k) => [k, str(src?.[k])]));
+
+function party(input) {
+  const p = pick(input, PARTY_FIELDS);
+  p.ssnLast4 = (input?.ssn !== undefined ? str(input.ssn) : p.ssnLast4).replace(/\D/g, "").slice(-4);
+  return p;
+}
+
+// The co-lenders, co-borrowers and guarantors (assets/js/parties.js). A party keeps its id across
+// saves, since its signature is filed under it; one sent without an id is new.
+const ADDITIONAL_PARTY_FIELDS = PARTY_FIELDS.filter((k) => !["county", "ssnLast4"].includes(k));
+
+function additionalParties(base, input) {
+  if (!Array.isArray(input)) return base || [];
+  const known = new Set((base || []).map((p) => p.id));
+  return input.slice(0, MAX_ADDITIONAL_PARTIES).filter((p) => ADDITIONAL_ROLES.includes(p?.role)).map((p) => ({
+    id: known.has(p.id) ? p.id : newId("pty"),
+    role: p.role,
+    ...pick(p, ADDITIONAL_PARTY_FIELDS),
+  }));
+}
+
+// A party's date of birth and full SSN arrive on the party (borrower.dob, borrower.ssn) but are
+// only stored sealed, in note.sensitive[role]. An omitted field keeps what is on file; an empty
+// or malformed one removes it.
+function sensitive(note, role, input) {
+  const sealed = { ...note.sensitive?.[role] };
+  const dob = input.dob === undefined ? undefined : str(input.dob);
+  const ssn = input.ssn === undefined ? undefined : str(input.ssn).replace(/\D/g, "");
+  if (dob !== undefined) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dob)) sealed.dob = seal(dob, fieldContext(note.id, role, "dob"));
+    else delete sealed.dob;
+  }
+  if (ssn !== undefined) {
+    if (ssn.length === 9) sealed.ssn = seal(ssn, fieldContext(note.id, role, "ssn"));
+    else delete sealed.ssn;
+  }
+  return { ...note.sensitive, [role]: sealed };
+}
+
+function terms(input = {}) {
+  const lateFee = input.lateFee || {};
+  return {
+    principal: num(input.principal),
+    flatFee: num(input.flatFee),
+    interestMode: INTEREST_MODES[input.interestMode] ? input.interestMode : "none",
+    interestRate: Math.min(100, Math.max(0, num(input.interestRate))),
+    loanTermMonths: Math.max(0, Math.round(num(input.loanTermMonths))),
+    ...pick(input, TERM_FIELDS),
+    lateFee: {
+      enabled: !!lateFee.enabled,
+      type: lateFee.type === "percentage" ? "percentage" : "flat",
+      amount: num(lateFee.amount),
+      graceDays: Math.max(0, Math.round(num(lateFee.graceDays))),
+    },
+  };
+}
+
+// `base` terms with the amendable ones from `changes` (assets/js/amendments.js) applied, cleaned
+// up the way a save would; everything else stays as signed.
+// A new final due date replaces a term in months (the due date wins in the schedule anyway).
+export function amendTerms(base, changes) {
+  const amended = Object.fromEntries(Object.keys(AMENDABLE_TERMS).filter((k) => changes?.[k] !== undefined).map((k) => [k, changes[k]]));
+  if (amended.dueDate && amended.loanTermMonths === undefined) amended.loanTermMonths = 0;
+  return terms({ ...base, ...amended });
+}
+
+// Secured notes only; null when nothing is pledged.
+function collateral(input) {
+  const description = str(input?.description).slice(0, 2000);
+  if (!input || !description) return null;
+  return {
+    type: COLLATERAL_TYPES[input.type] ? input.type : "other",
+    description,
+    serialNumbers: str(input.serialNumbers).slice(0, 500),
+    value: Math.max(0, num(input.value)),
+    location: str(input.location).slice(0, 300),
+  };
+}
+
+// The note's own copy of its contract template (assets/js/templates.js), so later edits to the
+// saved template don't change it; null for the standard one.
+function template(input) {
+  if (!input || input.id === DEFAULT_TEMPLATE) return null;
+  const copy = cleanTemplate(input);
+  return copy.id && copy.clauses.length ? copy : null;
+}
+
+// Which parties must pass identity verification before signing; the outcomes themselves
+// (identity.lender / identity.borrower) are only written by the verification webhook.
+function identity(base, input) {
+  const requiredFor = Array.isArray(input?.requiredFor) ? ["lender", "borrower"].filter((r) => input.requiredFor.includes(r)) : [];
+  return { lender: null, borrower: null, ...base, requiredFor };
+}
+
+// Payment reminder settings and the lender's own wording for any kind of reminder; the job that
+// sends them is api/_utils/reminders.js.
+const TEMPLATE_LIMITS = { subject: 200, text: 5000, sms: 320 };
+
+function reminders(input) {
+  const templates = {};
+  for (const kind of Object.keys(REMINDER_KINDS)) {
+    const given = input?.templates?.[kind];
+    const template = Object.fromEntries(Object.entries(TEMPLATE_LIMITS).map(([f, max]) => [f, str(given?.[f]).slice(0, max)]).filter(([, v]) => v));
+    if (Object.keys(template).length) templates[kind] = template;
+  }
+  return { ...reminderSettings(input), templates };
+}
+
+function signature(input) {
+  if (!input || !input.signedAt) return null;
+  return pick(input, SIGNATURE_FIELDS);
+}
+
+// Payment receipts are written by the server (the Stripe webhook), never taken from a client save.
+export function noteReceipt(input) {
+  return {
+    type: str(input.type) || "payment",
+    reference: str(input.reference),
+    amount: num(input.amount),
+    currency: str(input.currency).toLowerCase() || "usd",
+    status: str(input.status),
+    createdAt: str(input.createdAt) || new Date().toISOString(),
+  };
+}
+
+// Wizard snapshot used to resume create-note.html: raw field values keyed by element id/name,
+// the step the user was on and the in-progress (not yet executed) signature choices. The
+// sensitive inputs are never kept here, whatever the client sends.
+const MAX_WIZARD_FIELDS = 200;
+const SENSITIVE_WIZARD_FIELDS = ["borrowerDob", "borrowerSSN"];
+const MAX_SIGNATURE_IMAGE = 200_000;
+
+function wizardSignature(input) {
+  const image = str(input?.image);
+  return {
+    method: ["draw", "type", "click"].includes(input?.method) ? input.method : "draw",
+    typed: str(input?.typed).slice(0, 200),
+    image: image.startsWith("data:image/png;base64,") && image.length <= MAX_SIGNATURE_IMAGE ? image : "",
+  };
+}
+
+function wizard(input) {
+  const fields = {};
+  for (const [k, v] of Object.entries(input?.fields || {}).slice(0, MAX_WIZARD_FIELDS)) {
+    if (!/^[A-Za-z][\w-]{0,63}$/.test(k) || SENSITIVE_WIZARD_FIELDS.includes(k)) continue;
+    fields[k] = typeof v === "boolean" ? v : str(v).slice(0, 2000);
+  }
+  return {
+    step: Math.min(6, Math.max(1, Math.round(num(input?.step)) || 1)),
+    fields,
+    // The lender's signature pad; the borrower signs on their own link, never in the wizard
+    signatures: { lender: wizardSignature(input?.signatures?.lender) },
+  };
+}
+
+const autoTitle = (note) => (note.terms?.purpose ? `${note.terms.purpose} Loan` : "Promissory Note");
+
+// Applies a client-supplied partial note over `base`; unknown keys are dropped.
+function merge(base, input) {
+  const next = { ...base };
+  const titled = input.title !== undefined ? str(input.title) : base.title !== autoTitle(base) && base.title;
+  if (input.tier !== undefined && NOTE_TIERS.includes(input.tier)) next.tier = input.tier;
+  for (const role of ["lender", "borrower"]) {
+    if (input[role] === undefined) continue;
+    next[role] = party({ ...base[role], ...input[role] });
+    // Notes saved before encryption kept the date of birth on the party; it is sealed on the next save.
+    next.sensitive = sensitive(next, role, { dob: base[role]?.dob, ...input[role] });
+  }
+  if (input.parties !== undefined) next.parties = additionalParties(base.parties, input.parties);
+  if (input.terms !== undefined) {
+    next.terms = terms({ ...base.terms, ...input.terms, lateFee: { ...base.terms?.lateFee, ...input.terms.lateFee } });
+  }
+  if (input.collateral !== undefined) next.collateral = collateral(input.collateral);
+  if (input.template !== undefined) next.template = template(savedTemplate(input.template, paidPlan(base)));
+  if (input.identity !== undefined) next.identity = identity(base.identity, input.identity);
+  if (input.reminders !== undefined) next.reminders = reminders({ ...base.reminders, ...input.reminders });
+  // Signatures are filed under "lender", "borrower" or a party's id. Saving the note signs for the
+  // lender only; everyone else signs on their own link (api/sign.js). A party taken off the note
+  // takes its signature with it.
+  if (input.signatures !== undefined && "lender" in input.signatures) {
+    next.signatures = { ...base.signatures, lender: signature(input.signatures.lender) };
+  }
+  if (input.parties !== undefined) {
+    const signers = ["lender", "borrower", ...(next.parties || []).map((p) => p.id)];
+    next.signatures = Object.fromEntries(Object.entries(next.signatures || {}).filter(([key]) => signers.includes(key)));
+  }
+  if (input.wizard !== undefined) next.wizard = wizard(input.wizard);
+  next.title = titled || autoTitle(next);
+  return signedAgreement(base, next);
+}
+
+// What the parties sign; the lender re-signs in the wizard, everyone else on their own link.
+const SIGNED_FIELDS = ["lender", "borrower", "parties", "terms", "collateral", "template"];
+const signedContent = (note) => canonicalJson(SIGNED_FIELDS.map((k) => note[k] ?? null));
+
+// A note whose agreement changed before it was executed keeps only the lender's signature: the
+// others were given on terms that no longer stand. Their links are already dead (each is bound to
+// the agreement's hash), so the signing progress starts over and the note goes back to draft
+// until the lender sends new ones.
+function signedAgreement(base, next) {
+  if (signedContent(base) === signedContent(next)) return next;
+  const signatures = Object.fromEntries(Object.keys(next.signatures || {}).map((key) => [key, key === "lender" ? next.signatures.lender : null]));
+  return { ...next, signatures, signing: null, status: next.status === "pending_signature" ? "draft" : next.status };
+}
+
+export function createNote(input, ownerId) {
+  const now = new Date().toISOString();
+  const base = {
+    id: newId("note"),
+    ownerId,
+    title: "",
+    status: "draft",
+    tier: "essential",
+    plan: null,
+    lender: party({}),
+    borrower: party({}),
+    parties: [],
+    terms: terms(),
+    collateral: null,
+    template: null,
+    signatures: { lender: null, borrower: null },
+    signing: null,
+    identity: identity(null, {}),
+    sensitive: {},
+    reminders: reminders({}),
+    receipts: [],
+    payments: [],
+    deliveries: [],
+    amendments: [],
+    release: null,
+    wizard: wizard({}),
+    version: 1,
+    createdAt: now,
+    updatedAt: now,
+  };
+  return merge(base, input || {});
+}
+
+export function updateNote(note, input) {
+  return { ...merge(note, input || {}), version: (note.version || 1) + 1, updatedAt: new Date().toISOString() };
+}
+
+// A note as API responses show it: which sensitive fields are on file, never their values (the
+// owner reads those one at a time through /api/notes/<id>/sensitive, which audits each read).
+export function noteView(note) {
+  const { sensitive: sealed, lender, borrower, wizard: draft, ...rest } = note;
+  const unsealed = (p) => {
+    if (!p) return p;
+    const { dob, ...shown } = p;
+    return shown;
+  };
+  const fields = { ...draft?.fields };
+  SENSITIVE_WIZARD_FIELDS.forEach((k) => delete fields[k]);
+  return {
+    ...rest,
+    lender: unsealed(lender),
+    borrower: unsealed(borrower),
+    sensitive: sensitiveOnFile(sealed),
+    wizard: draft && { ...draft, fields },
+  };
+}
+
+export function noteSchedule(note) {
+  return buildSchedule(note.terms);
+}
+
+export function noteCompliance(note) {
+  return checkCompliance({ lenderState: note.lender?.state, borrowerState: note.borrower?.state, terms: note.terms });
+}
+
+// Once a note is executed its status follows the payment ledger (late, defaulted, paid in full),
+// so it stays current as days pass without anyone recording anything.
+const REPAYMENT_STATUSES = ["active", "overdue", "complete"];
+export const inRepayment = (note) => REPAYMENT_STATUSES.includes(note.status);
+
+// What the parties signed. Once a note is executed these change only by an amendment that
+// everyone signs (/api/notes/<id>/amendments), never by saving the note.
+const AGREEMENT_FIELDS = ["lender", "borrower", "parties", "terms", "collateral", "template", "signatures"];
+export const agreementEdits = (note, input) => (inRepayment(note) ? AGREEMENT_FIELDS.filter((k) => input[k] !== undefined) : []);
+
+export function noteLedger(note, asOf) {
+  return buildLedger(note.terms, note.payments || [], asOf);
+}
+
+export function withLedgerStatus(note, asOf) {
+  if (!inRepayment(note)) return note;
+  const status = NOTE_STATUS_FOR[noteLedger(note, asOf).status];
+  return status === note.status ? note : { ...note, status };
+}
+
+// A note paid in full carries note.release { paidOn, issuedAt }, which the release of note and
+// the UCC-3 termination are dated from; a voided payment or an amendment that reopens the balance
+// withdraws it. `note` should already have its ledger status.
+export function withRelease(note, asOf) {
+  if (note.status !== "complete") return note.release ? { ...note, release: null } : note;
+  if (note.release) return note;
+  const paidOn = noteLedger(note, asOf).installments.reduce((last, i) => (i.paidOn > last ? i.paidOn : last), "");
+  return { ...note, release: { paidOn, issuedAt: new Date().toISOString() } };
+}
+
+// Notes belonging to someone else are indistinguishable from missing ones.
+export async function getOwnedNote(id, user) {
+  if (!id) return null;
+  const note = await getById("notes", String(id));
+  return note && note.ownerId === user.id ? note : null;
+}
+
+// Query-string filters used by the contracts list: status, tier, createdAfter (ISO date).
+export function matchesFilters(note, { status, tier, createdAfter } = {}) {
+  if (status && status !== "all" && note.status !== status) return false;
+  if (tier && tier !== "all" && note.tier !== tier) return false;
+  if (createdAfter && note.createdAt < createdAfter) return false;
+  return true;
+}
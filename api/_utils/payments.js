@@ -0,0 +1,130 @@
+import crypto from "node:crypto";
+import { findMany, findOne, insert, newId, update } from "./store.js";
+import { appendAudit } from "./audit.js";
+import { inRepayment, withLedgerStatus, withRelease } from "./notes.js";
+import { formatDate, formatMoney, parseDate } from "../../assets/js/schedule.js";
+import { PAYMENT_METHODS, payoffQuote } from "../../assets/js/ledger.js";
+
+// Repayments recorded on a note (note.payments), by the lender or from a Stripe payment made on a
+// borrower pay link. Pay links (collection "payLinks") work like signing links — only the token's
+// hash is stored — but can be used for every installment until they expire or are replaced.
+export const PAY_LINK_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+export const validDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || "")) && formatDate(parseDate(v)) === v;
+export const paymentAmount = (v) => Math.round(Number.parseFloat(v) * 100) / 100;
+
+// Why a payment of `amount` on `date` can't be taken: [status, { error, ... }], or null.
+export function paymentProblem(note, { date, amount }) {
+  if (!inRepayment(note)) return [409, { error: "note_not_active" }];
+  if (!validDate(date) || date > formatDate(new Date()) || (note.terms.loanDate && date < note.terms.loanDate)) {
+    return [400, { error: "invalid_date" }];
+  }
+  if (!(amount > 0)) return [400, { error: "invalid_amount" }];
+  // Anything above what closes the note on that date (given the payments before it) is refused.
+  const payoff = payoffQuote(note.terms, (note.payments || []).filter((p) => p.date <= date), date);
+  if (amount > payoff.total) return [409, { error: "exceeds_balance", payoff }];
+  return null;
+}
+
+// Payments are repayment records, not edits to the agreement: like timestamps they don't bump the
+// version an open editor is based on. The stored status and release are refreshed from the ledger
+// each time. Resolves to { note, released } (the release on file before the change).
+async function savePayments(noteId, change) {
+  let released = null;
+  const note = await update("notes", noteId, (cur) => {
+    released = cur.release || null;
+    const payments = change(cur.payments || []);
+    const next = withRelease(withLedgerStatus({ ...cur, payments }));
+    return { payments, status: next.status, release: next.release || null };
+  });
+  return { note, released };
+}
+
+// Audit entries for a change that paid the note in full (the release is issued) or reopened it.
+export async function auditRelease(noteId, before, after, { actor = null, req } = {}) {
+  if (!before && after) {
+    await appendAudit(noteId, { action: "Note paid in full", details: `Final payment ${after.paidOn || "—"}; release of note issued`, actor }, req);
+  } else if (before && !after) {
+    await appendAudit(noteId, { action: "Release withdrawn", details: "The note is no longer paid in full", actor }, req);
+  }
+}
+
+/**
+ * Adds { date, amount, method, memo, reference } to the note and the audit trail. `reference` is the
+ * Stripe PaymentIntent for online payments; a reference already on the note is not posted twice.
+ * Resolves to { payment, note } (payment is null for a duplicate).
+ */
+export async function recordPayment(noteId, input, { actor = null, recordedBy, req } = {}) {
+  const payment = {
+    id: newId("pay"),
+    date: input.date,
+    amount: input.amount,
+    method: PAYMENT_METHODS[input.method] ? input.method : "other",
+    memo: String(input.memo || "").trim().slice(0, 500),
+    reference: input.reference || null,
+    recordedAt: new Date().toISOString(),
+    recordedBy,
+  };
+  let duplicate = false;
+  const { note, released } = await savePayments(noteId, (payments) => {
+    duplicate = !!payment.reference && payments.some((p) => p.reference === payment.reference);
+    return duplicate ? payments : [...payments, payment];
+  });
+  if (duplicate) return { payment: null, note };
+  await appendAudit(noteId, {
+    action: "Payment recorded",
+    details: `${formatMoney(payment.amount)} received ${payment.date} by ${PAYMENT_METHODS[payment.method]}` +
+      (payment.reference ? ` (${payment.reference})` : ""),
+    actor,
+  }, req);
+  await auditRelease(noteId, released, note.release, { actor, req });
+  return { payment, note };
+}
+
+export async function voidPayment(noteId, payment, { actor = null, req } = {}) {
+  const { note, released } = await savePayments(noteId, (payments) => payments.filter((p) => p.id !== payment.id));
+  await appendAudit(noteId, {
+    action: "Payment voided",
+    details: `${formatMoney(payment.amount)} received ${payment.date}`,
+    actor,
+  }, req);
+  await auditRelease(noteId, released, note.release, { actor, req });
+  return note;
+}
+
+// ---- borrower pay links ----
+
+export const payLinkUsable = (link) => !!link && !link.revokedAt && new Date(link.expiresAt) > new Date();
+
+// Replaces any outstanding link for the note; resolves to { link, token } (token is never stored).
+export async function createPayLink(note, { email, sentBy }) {
+  const now = new Date().toISOString();
+  for (const old of await findMany("payLinks", (l) => l.noteId === note.id && !l.revokedAt)) {
+    await update("payLinks", old.id, { revokedAt: now });
+  }
+  const token = crypto.randomBytes(32).toString("base64url");
+  const link = await insert("payLinks", {
+    id: newId("pl"),
+    noteId: note.id,
+    email: email || "",
+    tokenHash: sha256(token),
+    sentBy,
+    expiresAt: new Date(Date.now() + PAY_LINK_TTL_MS).toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+    createdAt: now,
+  });
+  return { link, token };
+}
+
+export async function findPayLink(token) {
+  if (!token) return null;
+  return findOne("payLinks", (l) => l.tokenHash === sha256(String(token)));
+}
+
+// Lender-facing summary of a link (no token hash).
+export function payLinkSummary(link) {
+  const { id, email, expiresAt, lastUsedAt, revokedAt, createdAt } = link;
+  return { id, email, expiresAt, lastUsedAt, revokedAt, createdAt };
+}
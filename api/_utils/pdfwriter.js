@@ -0,0 +1,224 @@
+import crypto from "node:crypto";
+import zlib from "node:zlib";
+import { decodePng } from "./png.js";
+
+// Minimal PDF 1.4 writer for the note documents: US Letter pages, the standard Helvetica faces
+// (WinAnsi encoding, so no font files are embedded), lines, boxes and PNG images. Output depends
+// only on what is drawn (no creation date, the file ID is a content hash), so the same note
+// always renders to the same bytes.
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+const FONTS = { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique" };
+const FONT_KEYS = { regular: "F1", bold: "F2", italic: "F3" };
+
+// Advance widths (1/1000 em) for ASCII 32–126 from the Adobe core font metrics.
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+// Characters outside ASCII that the documents use: WinAnsi code, regular width, bold width.
+const EXTRA = {
+  "—": [0x97, 1000, 1000], "–": [0x96, 556, 556], "‘": [0x91, 222, 278], "’": [0x92, 222, 278],
+  "“": [0x93, 333, 500], "”": [0x94, 333, 500], "•": [0x95, 350, 350], "…": [0x85, 1000, 1000],
+  "§": [0xa7, 556, 556], "©": [0xa9, 737, 737], "·": [0xb7, 278, 278], " ": [0xa0, 278, 278],
+};
+const LATIN1_WIDTH = 556;
+
+function encodeChar(ch) {
+  const code = ch.charCodeAt(0);
+  if (code >= 32 && code <= 126) return code;
+  if (EXTRA[ch]) return EXTRA[ch][0];
+  if (code >= 0xa1 && code <= 0xff) return code;
+  return 63; // "?"
+}
+
+function charWidth(ch, font) {
+  const code = ch.charCodeAt(0);
+  if (code >= 32 && code <= 126) return (font === "bold" ? HELVETICA_BOLD : HELVETICA)[code - 32];
+  if (EXTRA[ch]) return EXTRA[ch][font === "bold" ? 2 : 1];
+  return code >= 0xa1 && code <= 0xff ? LATIN1_WIDTH : 556;
+}
+
+const clean = (text) => String(text ?? "").replace(/[\r\t]/g, " ");
+const num = (n) => (Math.round(n * 100) / 100).toString();
+
+function pdfString(text) {
+  const bytes = Array.from(clean(text), encodeChar);
+  let out = "(";
+  for (const b of bytes) {
+    if (b === 0x28 || b === 0x29 || b === 0x5c) out += "\\" + String.fromCharCode(b);
+    else if (b < 32 || b > 126) out += "\\" + b.toString(8).padStart(3, "0");
+    else out += String.fromCharCode(b);
+  }
+  return out + ")";
+}
+
+// Document-info strings are UTF-16BE so titles keep their punctuation.
+const infoString = (text) => "<FEFF" + Array.from(String(text ?? ""), (ch) => ch.charCodeAt(0).toString(16).padStart(4, "0")).join("").toUpperCase() + ">";
+
+const rgb = (hex) => {
+  const n = Number.parseInt(String(hex || "#000000").slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((c) => num(c / 255)).join(" ");
+};
+
+export function textWidth(text, font = "regular", size = 10) {
+  let w = 0;
+  for (const ch of clean(text)) w += charWidth(ch, font);
+  return (w * size) / 1000;
+}
+
+// Greedy word wrap; words longer than the line are broken by character.
+export function wrapText(text, width, font = "regular", size = 10) {
+  const lines = [];
+  for (const paragraph of clean(text).split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/ +/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, font, size) > width && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), font, size) > width) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Page-based drawing surface. Coordinates are in points from the TOP-left corner of the page;
+ * the writer flips them into PDF space.
+ */
+export class PdfDocument {
+  constructor({ title = "", author = "TrustLend" } = {}) {
+    this.info = { title, author };
+    this.pages = [];
+    this.images = [];
+    this.imageCache = new Map();
+  }
+
+  addPage() {
+    const page = { ops: [], images: new Set() };
+    this.pages.push(page);
+    this.page = page;
+    return this.pages.length;
+  }
+
+  text(str, x, y, { font = "regular", size = 10, color = "#111827", align = "left", width = 0 } = {}) {
+    const w = textWidth(str, font, size);
+    const left = align === "right" ? x + width - w : align === "center" ? x + (width - w) / 2 : x;
+    this.page.ops.push(`BT /${FONT_KEYS[font]} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(PAGE_HEIGHT - y - size * 0.8)} Td ${pdfString(str)} Tj ET`);
+  }
+
+  line(x1, y1, x2, y2, { width = 0.75, color = "#9ca3af" } = {}) {
+    this.page.ops.push(`${num(width)} w ${rgb(color)} RG ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+  }
+
+  rect(x, y, w, h, { fill = null, stroke = null, width = 0.75 } = {}) {
+    if (!fill && !stroke) return;
+    const paint = fill && stroke ? "B" : fill ? "f" : "S";
+    this.page.ops.push(
+      `${fill ? rgb(fill) + " rg " : ""}${stroke ? rgb(stroke) + " RG " + num(width) + " w " : ""}` +
+      `${num(x)} ${num(PAGE_HEIGHT - y - h)} ${num(w)} ${num(h)} re ${paint}`,
+    );
+  }
+
+  // Draws a PNG (Buffer or data: URL) scaled to fit w×h, keeping its aspect ratio. Returns false
+  // when the image can't be decoded so callers can fall back to text.
+  image(png, x, y, w, h) {
+    const key = typeof png === "string" ? png : png?.toString("base64");
+    if (!key) return false;
+    let entry = this.imageCache.get(key);
+    if (entry === undefined) {
+      const decoded = decodePng(png);
+      entry = decoded ? { name: `Im${this.images.length + 1}`, ...decoded } : null;
+      if (entry) this.images.push(entry);
+      this.imageCache.set(key, entry);
+    }
+    if (!entry) return false;
+    const scale = Math.min(w / entry.width, h / entry.height);
+    const dw = entry.width * scale;
+    const dh = entry.height * scale;
+    this.page.images.add(entry.name);
+    this.page.ops.push(`q ${num(dw)} 0 0 ${num(dh)} ${num(x)} ${num(PAGE_HEIGHT - y - dh)} cm /${entry.name} Do Q`);
+    return true;
+  }
+
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const stream = (dict, data) => {
+      const packed = zlib.deflateSync(data, { level: 9 });
+      return Buffer.concat([Buffer.from(`<< ${dict} /Filter /FlateDecode /Length ${packed.length} >>\nstream\n`, "latin1"), packed, Buffer.from("\nendstream", "latin1")]);
+    };
+
+    const catalog = add(null);
+    const pagesRef = add(null);
+    const fontRefs = Object.fromEntries(Object.entries(FONTS).map(([key, base]) => [
+      key, add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`),
+    ]));
+    const fontDict = Object.entries(FONT_KEYS).map(([key, name]) => `/${name} ${fontRefs[key]} 0 R`).join(" ");
+
+    const imageRefs = {};
+    for (const img of this.images) {
+      const colorSpace = img.colors === 1 ? "/DeviceGray" : "/DeviceRGB";
+      let smask = "";
+      if (img.alpha) {
+        const maskRef = add(stream(`/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceGray /BitsPerComponent 8`, img.alpha));
+        smask = ` /SMask ${maskRef} 0 R`;
+      }
+      imageRefs[img.name] = add(stream(`/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace ${colorSpace} /BitsPerComponent 8${smask}`, img.pixels));
+    }
+
+    const pageRefs = this.pages.map((page) => {
+      const content = add(stream("", Buffer.from(page.ops.join("\n"), "latin1")));
+      const xobjects = [...page.images].sort().map((name) => `/${name} ${imageRefs[name]} 0 R`).join(" ");
+      return add(
+        `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << ${fontDict} >>${xobjects ? ` /XObject << ${xobjects} >>` : ""} >> /Contents ${content} 0 R >>`,
+      );
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+    objects[pagesRef - 1] = `<< /Type /Pages /Kids [${pageRefs.map((r) => `${r} 0 R`).join(" ")}] /Count ${pageRefs.length} >>`;
+    const info = add(`<< /Title ${infoString(this.info.title)} /Author ${infoString(this.info.author)} /Producer (TrustLend) >>`);
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, i) => {
+      const obj = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, "latin1"), Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"), Buffer.from("\nendobj\n", "latin1")]);
+      chunks.push(obj);
+      const at = offset;
+      offset += obj.length;
+      return at;
+    });
+    const id = crypto.createHash("sha256").update(Buffer.concat(chunks)).digest("hex").slice(0, 32);
+    const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("") +
+      `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R /ID [<${id}> <${id}>] >>\nstartxref\n${offset}\n%%EOF\n`;
+    chunks.push(Buffer.from(xref, "latin1"));
+    return Buffer.concat(chunks);
+  }
+}
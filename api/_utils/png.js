@@ -0,0 +1,88 @@
+import zlib from "node:zlib";
+
+// Just enough PNG decoding to embed signature images in PDFs: 8-bit, non-interlaced grayscale,
+// RGB, gray+alpha or RGBA (what canvas.toDataURL produces). Returns null for anything else.
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function unfilter(data, width, height, bpp) {
+  const stride = width * bpp;
+  const out = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const raw = data[src + x];
+      const left = x >= bpp ? out[row + x - bpp] : 0;
+      const up = y > 0 ? out[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[row - stride + x - bpp] : 0;
+      let value;
+      if (filter === 0) value = raw;
+      else if (filter === 1) value = raw + left;
+      else if (filter === 2) value = raw + up;
+      else if (filter === 3) value = raw + ((left + up) >> 1);
+      else if (filter === 4) value = raw + paeth(left, up, upLeft);
+      else return null;
+      out[row + x] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decodes a PNG (Buffer or data: URL) into { width, height, colors: 1|3, pixels, alpha|null },
+ * where `pixels` holds the color channels and `alpha` the separate 8-bit alpha plane.
+ */
+export function decodePng(input) {
+  const buf = typeof input === "string" ? Buffer.from(input.replace(/^data:[^,]*,/, ""), "base64") : input;
+  if (!buf || buf.length < 33 || !buf.subarray(0, 8).equals(SIGNATURE)) return null;
+
+  let header = null;
+  const idat = [];
+  for (let pos = 8; pos + 8 <= buf.length;) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString("latin1", pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + length);
+    if (type === "IHDR") {
+      header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8], colorType: body[9], interlace: body[12] };
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+    pos += 12 + length;
+  }
+  const channels = header && CHANNELS[header.colorType];
+  if (!channels || header.depth !== 8 || header.interlace !== 0 || !idat.length) return null;
+
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idat));
+  } catch {
+    return null;
+  }
+  const { width, height } = header;
+  if (raw.length < (width * channels + 1) * height) return null;
+  const data = unfilter(raw, width, height, channels);
+  if (!data) return null;
+
+  const hasAlpha = channels === 2 || channels === 4;
+  const colors = hasAlpha ? channels - 1 : channels;
+  if (!hasAlpha) return { width, height, colors, pixels: data, alpha: null };
+  const pixels = Buffer.alloc(width * height * colors);
+  const alpha = Buffer.alloc(width * height);
+  for (let i = 0; i < width * height; i++) {
+    data.copy(pixels, i * colors, i * channels, i * channels + colors);
+    alpha[i] = data[i * channels + colors];
+  }
+  return { width, height, colors, pixels, alpha };
+}
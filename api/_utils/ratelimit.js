@@ -0,0 +1,11 @@
+import { upsert } from "./store.js";
+
+// Fixed-window counter persisted in the store so limits survive cold starts.
+export async function hitRateLimit(key, { limit, windowMs }) {
+  const now = Date.now();
+  const doc = await upsert("rateLimits", `rl:${key}`, (cur) =>
+    !cur || cur.resetAt <= now ? { count: 1, resetAt: now + windowMs } : { ...cur, count: cur.count + 1 }
+  );
+  if (doc.count > limit) return { allowed: false, retryAfter: Math.ceil((doc.resetAt - now) / 1000) };
+  return { allowed: true, retryAfter: 0 };
+}
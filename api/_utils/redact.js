@@ -0,0 +1,23 @@
+// Keeps sensitive values out of what the API echoes, logs and returns in errors: keys that carry
+// dates of birth, full SSNs, passwords or tokens are replaced, and anything in free text shaped
+// like an SSN is cut down to its last four digits.
+const REDACTED = "[redacted]";
+const SENSITIVE_KEYS = /^(ssn|dob|dateofbirth|borrowerssn|borrowerdob|password|newpassword|token|secret)$/i;
+const SSN_PATTERN = /\b\d{3}([- ]?)\d{2}\1(\d{4})\b/g;
+const MAX_DEPTH = 10;
+
+export const redactText = (text) => String(text).replace(SSN_PATTERN, "***-**-$2");
+
+export function redact(value, depth = 0) {
+  if (typeof value === "string") return redactText(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return REDACTED;
+  if (value instanceof Error) return Object.assign(new Error(redactText(value.message)), { name: value.name, stack: redactText(value.stack || "") });
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SENSITIVE_KEYS.test(k) ? REDACTED : redact(v, depth + 1)]));
+}
+
+// console.error for API functions.
+export function logError(...args) {
+  console.error(...args.map((a) => redact(a)));
+}
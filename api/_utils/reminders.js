@@ -0,0 +1,94 @@
+import { findMany, getById, insert, remove, update } from "./store.js";
+import { appendAudit } from "./audit.js";
+import { sendMail } from "./mailer.js";
+import { normalizePhone, sendSms } from "./sms.js";
+import { hasEntitlement } from "./entitlements.js";
+import { inRepayment, noteLedger, withLedgerStatus } from "./notes.js";
+import { logError, redactText } from "./redact.js";
+import { dueReminders, REMINDER_KINDS, reminderMessage, reminderSettings } from "../../assets/js/reminders.js";
+import { formatDate } from "../../assets/js/schedule.js";
+
+// The payment reminder job, run daily by /api/cron/reminders or scripts/reminders.js. It looks at
+// every note in repayment whose paid plan includes reminders and which has them turned on, and
+// sends each unpaid installment the reminder it has reached (assets/js/reminders.js) by email and,
+// when asked for, SMS to the borrower. Collection "reminders" holds one doc per reminder sent, with
+// id "<note id>:<reminder key>"; inserting it before sending claims the reminder, so a rerun or an
+// overlapping run never sends it twice. A send that fails gives the claim back for the next run.
+export const reminderId = (note, reminder) => `${note.id}:${reminder.key}`;
+
+function recipients(note, settings) {
+  return {
+    email: String(note.borrower?.email || "").trim(),
+    phone: settings.sms ? normalizePhone(note.borrower?.phone) : "",
+  };
+}
+
+async function sendReminder(note, reminder, message, { email, phone }) {
+  const channels = [];
+  if (email) {
+    await sendMail({ to: email, subject: message.subject, text: message.text });
+    channels.push(`email to ${email}`);
+  }
+  if (phone) {
+    await sendSms({ to: phone, text: message.sms });
+    channels.push(`SMS to ${phone}`);
+  }
+  await update("reminders", reminderId(note, reminder), { channels, sentAt: new Date().toISOString() });
+  await appendAudit(note.id, {
+    action: "Reminder sent",
+    details: `${REMINDER_KINDS[reminder.kind]} for payment ${reminder.installment} due ${reminder.dueDate} (${reminder.label}): ${channels.join(", ")}`,
+  });
+  return channels;
+}
+
+/**
+ * Sends the reminders due as of `asOf` (YYYY-MM-DD, today by default). With `dryRun` nothing is
+ * sent or claimed. Resolves to { asOf, notes, sent, skipped, failed }, one entry per reminder.
+ */
+export async function runReminders({ asOf = formatDate(new Date()), dryRun = false } = {}) {
+  const summary = { asOf, notes: 0, sent: [], skipped: [], failed: [] };
+  for (const stored of await findMany("notes", inRepayment)) {
+    const note = withLedgerStatus(stored, asOf);
+    const settings = reminderSettings(note.reminders);
+    if (!inRepayment(note) || !settings.enabled || !hasEntitlement(note, "reminders")) continue;
+    summary.notes++;
+    const ledger = noteLedger(note, asOf);
+    const to = recipients(note, settings);
+
+    for (const reminder of dueReminders(ledger, settings, note.terms, asOf)) {
+      const entry = { noteId: note.id, key: reminder.key, kind: reminder.kind };
+      if (!to.email && !to.phone) {
+        summary.skipped.push({ ...entry, reason: "no_contact" });
+        continue;
+      }
+      if (dryRun) {
+        if (await getById("reminders", reminderId(note, reminder))) continue;
+        summary.sent.push({ ...entry, dryRun: true });
+        continue;
+      }
+      try {
+        await insert("reminders", {
+          id: reminderId(note, reminder),
+          noteId: note.id,
+          installment: reminder.installment,
+          kind: reminder.kind,
+          dueDate: reminder.dueDate,
+          asOf,
+          channels: [],
+          sentAt: null,
+        });
+      } catch {
+        continue; // already sent
+      }
+      try {
+        const message = reminderMessage(note, reminder, { pastDue: ledger.totals.pastDue });
+        summary.sent.push({ ...entry, channels: await sendReminder(note, reminder, message, to) });
+      } catch (e) {
+        logError(e);
+        await remove("reminders", reminderId(note, reminder));
+        summary.failed.push({ ...entry, error: redactText(e.message) });
+      }
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,30 @@
+import { HttpError } from "./errors.js";
+
+// Caller details as seen behind Vercel's proxy (first x-forwarded-for hop is the client).
+export function clientIp(req) {
+  const forwarded = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || req.headers?.["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+export function userAgent(req) {
+  return String(req.headers?.["user-agent"] || "").slice(0, 300);
+}
+
+// Webhook signature checks need the exact bytes the sender signed, so webhook functions turn off
+// body parsing and read the body with this. Past `limit` bytes it throws HttpError 413.
+export async function readRawBody(req, { limit = 1024 * 1024 } = {}) {
+  const tooLarge = () => new HttpError(413, "body_too_large", { limit });
+  if (Buffer.isBuffer(req.body) || typeof req.body === "string") {
+    const body = Buffer.from(req.body);
+    if (body.length > limit) throw tooLarge();
+    return body;
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw tooLarge();
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
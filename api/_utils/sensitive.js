@@ -0,0 +1,79 @@
+import crypto from "node:crypto";
+
+// Field-level encryption for the sensitive party attributes kept in note.sensitive[role]:
+// date of birth and full SSN. Values are sealed with AES-256-GCM, bound to the note, party and
+// field they belong to, and stored as "enc:v1:<key id>:<iv>:<ciphertext>:<tag>" (base64url).
+// Only the last four SSN digits (party.ssnLast4) are kept in the clear.
+//
+// FIELD_ENCRYPTION_KEYS is a comma-separated list of "<key id>:<base64 32-byte key>". The first
+// key seals new values; the others still open values sealed before a rotation.
+export const SENSITIVE_FIELDS = {
+  dob: "date of birth",
+  ssn: "Social Security number",
+};
+const PREFIX = "enc:v1";
+
+let cached = null;
+
+function keyring() {
+  if (cached) return cached;
+  const keys = String(process.env.FIELD_ENCRYPTION_KEYS || "").split(",").map((s) => s.trim()).filter(Boolean).map((entry) => {
+    const [kid, secret] = entry.split(":");
+    const key = Buffer.from(secret || "", "base64");
+    if (!/^[\w-]+$/.test(kid || "") || key.length !== 32) throw new Error("FIELD_ENCRYPTION_KEYS entries must be <key id>:<base64 32-byte key>");
+    return { kid, key };
+  });
+  if (!keys.length) {
+    if (process.env.NODE_ENV === "production") throw new Error("FIELD_ENCRYPTION_KEYS is not set");
+    keys.push({ kid: "dev", key: crypto.createHash("sha256").update("trustlend-dev-field-key").digest() });
+  }
+  cached = { active: keys[0], byId: Object.fromEntries(keys.map((k) => [k.kid, k.key])) };
+  return cached;
+}
+
+const aad = (context) => Buffer.from(String(context));
+const b64 = (buf) => buf.toString("base64url");
+
+export const isSealed = (value) => typeof value === "string" && value.startsWith(`${PREFIX}:`);
+
+// `context` names where the value lives (e.g. "<note id>:borrower:dob"); opening it anywhere
+// else fails.
+export function seal(plaintext, context) {
+  const { kid, key } = keyring().active;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(aad(context));
+  const data = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+  return [PREFIX, kid, b64(iv), b64(data), b64(cipher.getAuthTag())].join(":");
+}
+
+// The plaintext, or null when the value is missing, tampered with or sealed with an unknown key.
+export function open(sealed, context) {
+  if (!isSealed(sealed)) return null;
+  const [, , kid, iv, data, tag] = sealed.split(":");
+  const key = keyring().byId[kid];
+  if (!key) return null;
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+    decipher.setAAD(aad(context));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+export const fieldContext = (noteId, role, field) => `${noteId}:${role}:${field}`;
+
+// Plaintext of one sensitive field on a note, or null when none is on file.
+export function revealField(note, role, field) {
+  return open(note.sensitive?.[role]?.[field], fieldContext(note.id, role, field));
+}
+
+// What API responses say about note.sensitive: which fields are on file, never the values.
+export function sensitiveOnFile(sensitive) {
+  return Object.fromEntries(Object.entries(sensitive || {}).map(([role, fields]) => [
+    role,
+    Object.fromEntries(Object.keys(fields || {}).filter((f) => SENSITIVE_FIELDS[f]).map((f) => [f, true])),
+  ]));
+}
@@ -0,0 +1,149 @@
+import crypto from "node:crypto";
+import { findMany, findOne, insert, newId, update } from "./store.js";
+import { sendMail } from "./mailer.js";
+import { noteSchedule } from "./notes.js";
+import { canonicalJson, canonicalNote } from "../../assets/js/integrity.js";
+import { findParty } from "../../assets/js/parties.js";
+
+// Remote signing: the lender sends the borrower a single-use, expiring link. Only the token's
+// hash is stored (collection "signingInvites"), like password resets. note.signing tracks the
+// borrower-facing status: sent → viewed → signed → executed. Co-lenders, co-borrowers and
+// guarantors (assets/js/parties.js) each get a link of their own (invite.party is the key their
+// signature goes under); the note is executed once everyone has signed.
+export const SIGNING_STATUSES = ["sent", "viewed", "signed", "executed"];
+export const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SIGNATURE_METHODS = ["draw", "type", "click"];
+const MAX_SIGNATURE_IMAGE = 200_000;
+const MAX_MESSAGE = 2000;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+export const partyName = (p) => `${p?.firstName || ""} ${p?.lastName || ""}`.trim();
+
+// What the borrower agrees to; editing any of it after the link goes out makes the link unusable.
+export const agreementHash = (note) =>
+  sha256(canonicalJson({ ...canonicalNote(note), signatures: { lender: note.signatures?.lender || null } }));
+
+export const inviteUsable = (invite) =>
+  !!invite && !invite.usedAt && !invite.revokedAt && new Date(invite.expiresAt) > new Date();
+
+// Replaces any outstanding link for the same party to the note (or, with `amendment`, to that
+// amendment, whose hash the link is then bound to); resolves to { invite, token } (token is never
+// stored).
+export async function createInvite(note, { email, message, sentBy, amendment = null, party = "borrower" }) {
+  const now = new Date().toISOString();
+  const amendmentId = amendment?.id || null;
+  const outstanding = (i) => i.noteId === note.id && (i.amendmentId || null) === amendmentId && (i.party || "borrower") === party &&
+    !i.usedAt && !i.revokedAt;
+  for (const old of await findMany("signingInvites", outstanding)) {
+    await update("signingInvites", old.id, { revokedAt: now });
+  }
+  const token = crypto.randomBytes(32).toString("base64url");
+  const invite = await insert("signingInvites", {
+    id: newId("inv"),
+    noteId: note.id,
+    amendmentId,
+    party,
+    role: findParty(note, party)?.role || "borrower",
+    email,
+    message: String(message || "").slice(0, MAX_MESSAGE),
+    tokenHash: sha256(token),
+    agreementHash: amendment ? amendment.hash : agreementHash(note),
+    sentBy,
+    expiresAt: new Date(Date.now() + INVITE_TTL_MS).toISOString(),
+    viewedAt: null,
+    usedAt: null,
+    revokedAt: null,
+    createdAt: now,
+  });
+  return { invite, token };
+}
+
+// The lender's message with the names filled in; [Borrower Name] is whoever the link is for.
+export const fillNames = (text, note, signer = note.borrower) => text
+  .replace(/\[Borrower Name\]/g, partyName(signer) || "there")
+  .replace(/\[Lender Name\]/g, partyName(note.lender) || "your lender");
+
+function inviteEmail(note, signer, link, message, expiresAt) {
+  const lender = partyName(note.lender) || "Your lender";
+  const intro = message ? fillNames(message, note, signer.party) + "\n\n" : "";
+  const as = signer.key === "borrower" ? "" : ` as ${signer.label.toLowerCase()}`;
+  return {
+    subject: `${lender} sent you a promissory note to sign`,
+    text: intro +
+      `${lender} has asked you to review and sign "${note.title}"${as} for ${note.terms.principal.toLocaleString("en-US", { style: "currency", currency: "USD" })}.\n\n` +
+      `Open this link to read the note and sign it:\n${link}\n\n` +
+      `The link works once and expires on ${new Date(expiresAt).toUTCString()}. ` +
+      `If you weren't expecting this, you can ignore this email.`,
+  };
+}
+
+// Emails `email` a new signing link for `party` (the borrower unless given) to sign `note` (pages
+// under `baseUrl`) and moves the note to pending_signature. Used by POST /api/notes/:id/invite and
+// by scheduled deliveries; the caller checks the party and that the lender has signed, and records
+// the audit entry. Resolves to { invite, signing }.
+export async function sendInvite(note, { email, message, sentBy, baseUrl, party = "borrower" }) {
+  const { invite, token } = await createInvite(note, { email, message, sentBy, party });
+  const link = `${baseUrl}/sign.html?token=${token}`;
+  await sendMail({ to: email, ...inviteEmail(note, findParty(note, party), link, invite.message, invite.expiresAt) });
+
+  // Like timestamps, signing progress doesn't bump the version an open editor is based on.
+  // note.signing follows the borrower's link; the other parties' links are tracked on the invites.
+  const next = await update("notes", note.id, (cur) => ({
+    status: cur.status === "draft" ? "pending_signature" : cur.status,
+    signing: party === "borrower" ? nextSigning(cur, "sent", { recipient: email, viewedAt: null }) : cur.signing || null,
+  }));
+  return { invite, signing: next.signing };
+}
+
+export async function findInvite(token) {
+  if (!token) return null;
+  return findOne("signingInvites", (i) => i.tokenHash === sha256(String(token)));
+}
+
+// Lender-facing summary of a link (no token hash).
+export function inviteSummary(invite) {
+  const { id, email, expiresAt, viewedAt, usedAt, revokedAt, createdAt } = invite;
+  return { id, party: invite.party || "borrower", email, expiresAt, viewedAt, usedAt, revokedAt, createdAt };
+}
+
+// Read-only note for the signing page: agreement content (printed there with the note's template,
+// as in its PDF) and schedule, without the owner's
+// draft state or the borrower's identifying numbers. `signer` is who the link is for: the key of
+// their signature, their role and its label.
+export function signingView(note, key = "borrower") {
+  const { dob, ssnLast4, ...borrower } = note.borrower || {};
+  const signer = findParty(note, key);
+  return {
+    id: note.id,
+    title: note.title,
+    status: note.status,
+    lender: note.lender,
+    borrower,
+    parties: note.parties || [],
+    signer: signer && { key: signer.key, role: signer.role, label: signer.label },
+    terms: note.terms,
+    schedule: noteSchedule(note),
+    collateral: note.collateral || null,
+    template: note.template || null,
+    signatures: note.signatures,
+    signing: note.signing || null,
+    createdAt: note.createdAt,
+  };
+}
+
+// Validates a signature submitted on a signing page (the borrower's, or the lender's on an
+// amendment). Drawn signatures need an image; typed and clicked ones need the signer's name (the
+// page also renders those to an image). Returns null when incomplete.
+export function submittedSignature(input, fallbackName) {
+  const method = SIGNATURE_METHODS.includes(input?.method) ? input.method : null;
+  const name = String(input?.name || "").trim().slice(0, 200) || (method === "draw" ? fallbackName : "");
+  const image = String(input?.image || "");
+  const validImage = image.startsWith("data:image/png;base64,") && image.length <= MAX_SIGNATURE_IMAGE;
+  if (!method || !name || (method === "draw" && !validImage)) return null;
+  return { method, name, image: validImage ? image : "", signedAt: new Date().toISOString() };
+}
+
+// note.signing moved to `status`, stamping `<status>At`.
+export function nextSigning(note, status, extra = {}) {
+  return { ...note.signing, ...extra, status, [`${status}At`]: new Date().toISOString() };
+}
@@ -0,0 +1,39 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { redactText } from "./redact.js";
+
+// Text messages, set up like mail: transports take { to, text } and resolve to { id }.
+// SMS_TRANSPORT picks one by name; "outbox" (the default) writes each message to SMS_OUTBOX_DIR
+// so development never needs a real SMS provider. A provider is added with registerSmsTransport.
+const transports = {
+  outbox: async (message) => {
+    const dir = process.env.SMS_OUTBOX_DIR || path.join(process.cwd(), ".data", "sms-outbox");
+    await fs.mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2));
+    return { id };
+  },
+  console: async (message) => {
+    console.log(`[sms] to=${message.to}\n${redactText(message.text)}`);
+    return { id: `console-${Date.now()}` };
+  },
+};
+
+export function registerSmsTransport(name, send) {
+  transports[name] = send;
+}
+
+// Digits with a leading +; US numbers without a country code get +1. Empty when unusable.
+export function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length >= 11 && digits.length <= 15) return `+${digits}`;
+  return "";
+}
+
+export async function sendSms(message) {
+  const name = process.env.SMS_TRANSPORT || "outbox";
+  const send = transports[name];
+  if (!send) throw new Error(`unknown SMS transport: ${name}`);
+  return send({ from: process.env.SMS_FROM || "TrustLend", ...message });
+}
@@ -0,0 +1,169 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// Document store behind a small adapter interface:
+//   all(collection) -> docs[], get(collection, id) -> doc|null,
+//   put(collection, doc), del(collection, id) -> boolean
+// TRUSTLEND_STORE picks the adapter ("json" by default, "sqlite" on Node 22.5+,
+// "memory" for throwaway runs); TRUSTLEND_DATA_FILE overrides where it lives.
+const DATA_DIR = path.join(process.cwd(), ".data");
+
+function jsonFileAdapter(file = path.join(DATA_DIR, "trustlend.json")) {
+  // Single JSON document holding every collection: { users: { [id]: doc }, ... }.
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return {};
+      throw e;
+    }
+  }
+  async function save(db) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(db, null, 2));
+    await fs.rename(tmp, file);
+  }
+  return {
+    async all(collection) {
+      return Object.values((await load())[collection] || {});
+    },
+    async get(collection, id) {
+      return ((await load())[collection] || {})[id] || null;
+    },
+    async put(collection, doc) {
+      const db = await load();
+      (db[collection] ||= {})[doc.id] = doc;
+      await save(db);
+    },
+    async del(collection, id) {
+      const db = await load();
+      if (!db[collection]?.[id]) return false;
+      delete db[collection][id];
+      await save(db);
+      return true;
+    },
+  };
+}
+
+async function sqliteAdapter(file = path.join(DATA_DIR, "trustlend.sqlite")) {
+  const { DatabaseSync } = await import("node:sqlite");
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(`CREATE TABLE IF NOT EXISTS docs (
+    collection TEXT NOT NULL, id TEXT NOT NULL, doc TEXT NOT NULL,
+    PRIMARY KEY (collection, id))`);
+  const q = {
+    all: db.prepare("SELECT doc FROM docs WHERE collection = ?"),
+    get: db.prepare("SELECT doc FROM docs WHERE collection = ? AND id = ?"),
+    put: db.prepare("INSERT OR REPLACE INTO docs (collection, id, doc) VALUES (?, ?, ?)"),
+    del: db.prepare("DELETE FROM docs WHERE collection = ? AND id = ?"),
+  };
+  return {
+    async all(collection) {
+      return q.all.all(collection).map((r) => JSON.parse(r.doc));
+    },
+    async get(collection, id) {
+      const row = q.get.get(collection, id);
+      return row ? JSON.parse(row.doc) : null;
+    },
+    async put(collection, doc) {
+      q.put.run(collection, doc.id, JSON.stringify(doc));
+    },
+    async del(collection, id) {
+      return q.del.run(collection, id).changes > 0;
+    },
+  };
+}
+
+function memoryAdapter() {
+  const db = {};
+  const clone = (v) => (v ? structuredClone(v) : null);
+  return {
+    async all(collection) {
+      return Object.values(db[collection] || {}).map(clone);
+    },
+    async get(collection, id) {
+      return clone(db[collection]?.[id]);
+    },
+    async put(collection, doc) {
+      (db[collection] ||= {})[doc.id] = clone(doc);
+    },
+    async del(collection, id) {
+      if (!db[collection]?.[id]) return false;
+      delete db[collection][id];
+      return true;
+    },
+  };
+}
+
+const adapters = { json: jsonFileAdapter, sqlite: sqliteAdapter, memory: memoryAdapter };
+
+let instance = null;
+function adapter() {
+  if (!instance) {
+    const name = process.env.TRUSTLEND_STORE || "json";
+    const make = adapters[name];
+    if (!make) throw new Error(`unknown store adapter: ${name}`);
+    instance = Promise.resolve(make(process.env.TRUSTLEND_DATA_FILE || undefined));
+  }
+  return instance;
+}
+
+// Writes are serialized per process so read-modify-write sequences don't interleave.
+let queue = Promise.resolve();
+function exclusive(fn) {
+  const run = queue.then(async () => fn(await adapter()));
+  queue = run.catch(() => {});
+  return run;
+}
+
+export function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(9).toString("base64url")}`;
+}
+
+export async function findOne(collection, predicate) {
+  return (await (await adapter()).all(collection)).find(predicate) || null;
+}
+
+export async function findMany(collection, predicate = () => true) {
+  return (await (await adapter()).all(collection)).filter(predicate);
+}
+
+export async function getById(collection, id) {
+  return (await adapter()).get(collection, id);
+}
+
+export function insert(collection, doc) {
+  return exclusive(async (db) => {
+    if (await db.get(collection, doc.id)) throw new Error(`duplicate id ${doc.id} in ${collection}`);
+    await db.put(collection, doc);
+    return doc;
+  });
+}
+
+// `patch` is either a partial object or a function (doc) => partial.
+export function update(collection, id, patch) {
+  return exclusive(async (db) => {
+    const current = await db.get(collection, id);
+    if (!current) return null;
+    const changes = typeof patch === "function" ? patch(current) : patch;
+    const next = { ...current, ...changes, id };
+    await db.put(collection, next);
+    return next;
+  });
+}
+
+// Atomic read-modify-write; `fn` receives the current doc (or null) and returns the new one.
+export function upsert(collection, id, fn) {
+  return exclusive(async (db) => {
+    const next = { ...fn(await db.get(collection, id)), id };
+    await db.put(collection, next);
+    return next;
+  });
+}
+
+export function remove(collection, id) {
+  return exclusive((db) => db.del(collection, id));
+}
@@ -0,0 +1,32 @@
+import Stripe from "stripe";
+
+// One Stripe client for the API. STRIPE_API_BASE points it at a local mock instead of
+// api.stripe.com (e.g. stripe-mock on http://localhost:12111), so payment flows can be exercised
+// without network access. Webhook signatures are checked locally against STRIPE_WEBHOOK_SECRET.
+export const STRIPE_API_VERSION = "2024-06-20";
+
+let client = null;
+export function stripe() {
+  if (!client) {
+    const options = { apiVersion: STRIPE_API_VERSION };
+    if (process.env.STRIPE_API_BASE) {
+      const base = new URL(process.env.STRIPE_API_BASE);
+      options.protocol = base.protocol.replace(":", "");
+      options.host = base.hostname;
+      options.port = Number(base.port) || (options.protocol === "http" ? 80 : 443);
+    }
+    client = new Stripe(process.env.STRIPE_SECRET_KEY || "", options);
+  }
+  return client;
+}
+
+// The event in a webhook request, or null when the Stripe-Signature header doesn't match.
+export function verifyWebhook(payload, signature) {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret || !signature) return null;
+  try {
+    return stripe().webhooks.constructEvent(payload, signature, secret);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,26 @@
+import { getById, newId } from "./store.js";
+import { cleanTemplate } from "../../assets/js/templates.js";
+
+// Contract templates saved on an account (the "templates" collection), next to the built-in ones
+// in assets/js/templates.js. A note keeps its own copy of the one it was made from.
+export const MAX_TEMPLATES = 50;
+
+export async function getOwnedTemplate(id, user) {
+  if (!id) return null;
+  const template = await getById("templates", String(id));
+  return template && template.ownerId === user.id ? template : null;
+}
+
+export function createTemplate(input, ownerId) {
+  const now = new Date().toISOString();
+  return { ...cleanTemplate(input, newId("tpl")), ownerId, createdAt: now, updatedAt: now };
+}
+
+export function updateTemplate(template, input) {
+  return { ...cleanTemplate(input, template.id), updatedAt: new Date().toISOString() };
+}
+
+// A saved template as the API shows it.
+export function templateView({ ownerId, ...template }) {
+  return template;
+}
@@ -0,0 +1,89 @@
+import crypto from "node:crypto";
+import { upsert } from "./store.js";
+import { canonicalJson, documentHash } from "../../assets/js/integrity.js";
+
+export const RECEIPT_VERSION = 1;
+const RECEIPT_FIELDS = ["version", "noteId", "hash", "noteHash", "pdfHash", "pdfSize", "signedAt", "keyId", "alg"];
+
+// ---- signing key: Ed25519, TIMESTAMP_PRIVATE_KEY (PKCS#8 PEM) in production ----
+let cached = null;
+
+function fromPem(pem) {
+  const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, "\n"));
+  const publicKey = crypto.createPublicKey(privateKey);
+  return { privateKey, publicKey };
+}
+
+// Outside production a key pair is generated once and kept in the store, so receipts issued
+// in development stay verifiable across restarts.
+async function signingKey() {
+  if (cached) return cached;
+  let pair;
+  if (process.env.TIMESTAMP_PRIVATE_KEY) {
+    pair = fromPem(process.env.TIMESTAMP_PRIVATE_KEY);
+  } else {
+    if (process.env.NODE_ENV === "production") throw new Error("TIMESTAMP_PRIVATE_KEY is not set");
+    const doc = await upsert("keys", "timestamp", (cur) => cur || {
+      id: "timestamp",
+      privateKey: crypto.generateKeyPairSync("ed25519").privateKey.export({ type: "pkcs8", format: "pem" }),
+      createdAt: new Date().toISOString(),
+    });
+    pair = fromPem(doc.privateKey);
+  }
+  const publicPem = pair.publicKey.export({ type: "spki", format: "pem" });
+  const keyId = crypto.createHash("sha256").update(publicPem).digest("hex").slice(0, 16);
+  cached = { ...pair, publicPem, keyId };
+  return cached;
+}
+
+export async function publicKeyInfo() {
+  const { publicPem, keyId } = await signingKey();
+  return { alg: "Ed25519", keyId, publicKey: publicPem };
+}
+
+const signedPayload = (receipt) => canonicalJson(Object.fromEntries(RECEIPT_FIELDS.map((k) => [k, receipt[k]])));
+
+// Receipt binding the note content and the rendered PDF to a server-signed time.
+export async function issueReceipt(note, pdfBytes) {
+  const { privateKey, keyId } = await signingKey();
+  const receipt = {
+    version: RECEIPT_VERSION,
+    noteId: note.id,
+    ...(await documentHash(note, pdfBytes)),
+    pdfSize: pdfBytes.length,
+    signedAt: new Date().toISOString(),
+    keyId,
+    alg: "Ed25519",
+  };
+  receipt.signature = crypto.sign(null, Buffer.from(signedPayload(receipt)), privateKey).toString("base64");
+  return receipt;
+}
+
+export async function verifyReceipt(receipt) {
+  const { publicKey, keyId } = await signingKey();
+  if (!receipt || receipt.keyId !== keyId || !receipt.signature) return false;
+  try {
+    return crypto.verify(null, Buffer.from(signedPayload(receipt)), publicKey, Buffer.from(receipt.signature, "base64"));
+  } catch {
+    return false;
+  }
+}
+
+// Detached signature over canonicalJson(body + keyId + alg), for other signed artifacts such as
+// the audit certificate. Verify by recomputing over everything except `signature`.
+export async function signDocument(body) {
+  const { privateKey, keyId } = await signingKey();
+  const signed = { ...body, keyId, alg: "Ed25519" };
+  return { ...signed, signature: crypto.sign(null, Buffer.from(canonicalJson(signed)), privateKey).toString("base64") };
+}
+
+export async function verifyDocument(doc) {
+  const { publicKey, keyId } = await signingKey();
+  if (!doc || doc.keyId !== keyId || !doc.signature) return false;
+  const { signature, ...signed } = doc;
+  try {
+    return crypto.verify(null, Buffer.from(canonicalJson(signed)), publicKey, Buffer.from(signature, "base64"));
+  } catch {
+    return false;
+  }
+}
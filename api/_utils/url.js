@@ -0,0 +1,10 @@
+// Public base URL used when building links that go out by email. In production it must come from
+// APP_URL: the Host and X-Forwarded-Host headers are set by the client, and a link built from them
+// (a password reset, say) could point anywhere.
+export function appUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/+$/, "");
+  if (process.env.NODE_ENV === "production") throw new Error("APP_URL is not set");
+  const host = req.headers?.["x-forwarded-host"] || req.headers?.host || "localhost:3000";
+  const proto = req.headers?.["x-forwarded-proto"] || (host.startsWith("localhost") ? "http" : "https");
+  return `${proto}://${host}`;
+}
@@ -0,0 +1,18 @@
+import { withCORS } from "../_utils/cors.js";
+import { readQuery, sendJSON } from "../_utils/json.js";
+import { withAuth } from "../_utils/auth.js";
+import { findMany } from "../_utils/store.js";
+import { withLedgerStatus } from "../_utils/notes.js";
+import { portfolioSummary } from "../_utils/analytics.js";
+import { formatDate } from "../../assets/js/schedule.js";
+import { ANALYTICS_QUERY } from "../../assets/js/validation.js";
+
+// GET ?asOf=YYYY-MM-DD: the signed-in lender's portfolio as of asOf (default today), see
+// api/_utils/analytics.js.
+async function handler(req, res) {
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const asOf = readQuery(req, ANALYTICS_QUERY).asOf || formatDate(new Date());
+  const notes = (await findMany("notes", (n) => n.ownerId === req.user.id)).map((n) => withLedgerStatus(n, asOf));
+  return sendJSON(res, 200, { summary: portfolioSummary(notes, asOf) });
+}
+export default withCORS(withAuth(handler));
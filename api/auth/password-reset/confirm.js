@@ -0,0 +1,35 @@
+import crypto from "node:crypto";
+import { withCORS } from "../../_utils/cors.js";
+import { readBody, sendJSON } from "../../_utils/json.js";
+import { findMany, findOne, update } from "../../_utils/store.js";
+import { hashPassword } from "../../_utils/auth.js";
+import { RESET_CONFIRM } from "../../../assets/js/validation.js";
+
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const body = await readBody(req, RESET_CONFIRM);
+  const password = body.password;
+
+  const tokenHash = crypto.createHash("sha256").update(String(body.token || "")).digest("hex");
+  const reset = await findOne("passwordResets", (r) => r.tokenHash === tokenHash);
+  if (!reset || reset.usedAt || new Date(reset.expiresAt) <= new Date()) {
+    return sendJSON(res, 400, { error: "invalid_token" });
+  }
+
+  // Claim the token first so a concurrent request can't reuse it.
+  const now = new Date().toISOString();
+  const claimed = await update("passwordResets", reset.id, (r) => (r.usedAt ? {} : { usedAt: now }));
+  if (claimed.usedAt !== now) return sendJSON(res, 400, { error: "invalid_token" });
+
+  const passwordHash = await hashPassword(password);
+  // Bumping sessionVersion signs the account out everywhere.
+  const user = await update("users", reset.userId, (u) => ({ passwordHash, sessionVersion: (u.sessionVersion || 0) + 1 }));
+  if (!user) return sendJSON(res, 400, { error: "invalid_token" });
+
+  // Any other outstanding links for this account are now stale.
+  for (const other of await findMany("passwordResets", (r) => r.userId === user.id && !r.usedAt)) {
+    await update("passwordResets", other.id, { usedAt: now });
+  }
+  return sendJSON(res, 200, { ok: true });
+}
+export default withCORS(handler);
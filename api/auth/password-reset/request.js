@@ -0,0 +1,51 @@
+import crypto from "node:crypto";
+import { withCORS } from "../../_utils/cors.js";
+import { readBody, sendJSON } from "../../_utils/json.js";
+import { findOne, insert, newId } from "../../_utils/store.js";
+import { normalizeEmail } from "../../_utils/auth.js";
+import { hitRateLimit } from "../../_utils/ratelimit.js";
+import { sendMail } from "../../_utils/mailer.js";
+import { appUrl } from "../../_utils/url.js";
+import { RESET_REQUEST } from "../../../assets/js/validation.js";
+
+const RESET_TTL_MS = 60 * 60 * 1000;
+const RATE_LIMIT = { limit: 3, windowMs: 15 * 60 * 1000 };
+
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const { email: raw } = await readBody(req, RESET_REQUEST);
+  const email = normalizeEmail(raw);
+  if (!email) return sendJSON(res, 400, { error: "missing_email" });
+
+  const limit = await hitRateLimit(`reset:${email}`, RATE_LIMIT);
+  if (!limit.allowed) {
+    res.setHeader("Retry-After", String(limit.retryAfter));
+    return sendJSON(res, 429, { error: "rate_limited", retryAfter: limit.retryAfter });
+  }
+
+  // Respond identically whether or not the account exists (so resolve the link base first: a
+  // missing APP_URL must fail for every address, not only for registered ones).
+  const base = appUrl(req);
+  const user = await findOne("users", (u) => u.email === email);
+  if (user) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await insert("passwordResets", {
+      id: newId("pwr"),
+      userId: user.id,
+      tokenHash: crypto.createHash("sha256").update(token).digest("hex"),
+      expiresAt: new Date(Date.now() + RESET_TTL_MS).toISOString(),
+      usedAt: null,
+      createdAt: new Date().toISOString(),
+    });
+    const link = `${base}/reset-password.html?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: "Reset your TrustLend password",
+      text: `Someone asked to reset the password for your TrustLend account.\n\n` +
+        `Use this link within the next hour to choose a new one:\n${link}\n\n` +
+        `If you didn't ask for this, you can ignore this email.`,
+    });
+  }
+  return sendJSON(res, 200, { ok: true });
+}
+export default withCORS(handler);
@@ -0,0 +1,9 @@
+import { withCORS } from "../_utils/cors.js";
+import { sendJSON } from "../_utils/json.js";
+import { publicUser, withAuth } from "../_utils/auth.js";
+
+async function handler(req, res) {
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "method_not_allowed" });
+  return sendJSON(res, 200, { user: publicUser(req.user) });
+}
+export default withCORS(withAuth(handler));
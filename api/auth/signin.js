@@ -0,0 +1,19 @@
+import { withCORS } from "../_utils/cors.js";
+import { readBody, sendJSON } from "../_utils/json.js";
+import { findOne } from "../_utils/store.js";
+import { normalizeEmail, publicUser, setSessionCookie, verifyPassword } from "../_utils/auth.js";
+import { SIGNIN } from "../../assets/js/validation.js";
+
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const body = await readBody(req, SIGNIN);
+  const email = normalizeEmail(body.email);
+  const user = email ? await findOne("users", (u) => u.email === email) : null;
+  // Same response for unknown email and wrong password.
+  if (!user || !(await verifyPassword(body.password, user.passwordHash))) {
+    return sendJSON(res, 401, { error: "invalid_credentials" });
+  }
+  setSessionCookie(res, user, !!body.remember);
+  return sendJSON(res, 200, { user: publicUser(user) });
+}
+export default withCORS(handler);
@@ -0,0 +1,15 @@
+import { withCORS } from "../_utils/cors.js";
+import { sendJSON } from "../_utils/json.js";
+import { clearSessionCookie, getSessionUser } from "../_utils/auth.js";
+import { update } from "../_utils/store.js";
+
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  // Session tokens are stateless, so clearing the cookie alone would leave a copied token valid
+  // until it expires; bumping sessionVersion (as a password reset does) revokes every one of them.
+  const user = await getSessionUser(req);
+  if (user) await update("users", user.id, (u) => ({ sessionVersion: (u.sessionVersion || 0) + 1 }));
+  clearSessionCookie(res);
+  return sendJSON(res, 200, { ok: true });
+}
+export default withCORS(handler);
@@ -0,0 +1,26 @@
+import { withCORS } from "../_utils/cors.js";
+import { readBody, sendJSON } from "../_utils/json.js";
+import { findOne, insert, newId } from "../_utils/store.js";
+import { hashPassword, normalizeEmail, publicUser, setSessionCookie } from "../_utils/auth.js";
+import { SIGNUP } from "../../assets/js/validation.js";
+
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const body = await readBody(req, SIGNUP);
+  const email = normalizeEmail(body.email);
+  const password = body.password;
+  if (await findOne("users", (u) => u.email === email)) return sendJSON(res, 409, { error: "email_taken" });
+
+  const user = await insert("users", {
+    id: newId("usr"),
+    email,
+    passwordHash: await hashPassword(password),
+    firstName: String(body.firstName || "").trim(),
+    lastName: String(body.lastName || "").trim(),
+    sessionVersion: 0,
+    createdAt: new Date().toISOString(),
+  });
+  setSessionCookie(res, user, !!body.remember);
+  return sendJSON(res, 201, { user: publicUser(user) });
+}
+export default withCORS(handler);
@@ -0,0 +1,24 @@
+import { withCORS } from "../_utils/cors.js";
+import { readBody, sendJSON } from "../_utils/json.js";
+import { getSessionUser } from "../_utils/auth.js";
+import { getOwnedNote, noteCompliance } from "../_utils/notes.js";
+import { checkCompliance, RULES_REVIEWED } from "../../assets/js/compliance.js";
+import { COMPLIANCE_CHECK } from "../../assets/js/validation.js";
+
+// POST { lenderState, borrowerState, terms } checks unsaved terms; POST { noteId } checks a
+// saved note and needs a session. Violations come back as data, so the status is 200 either way.
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const body = await readBody(req, COMPLIANCE_CHECK);
+  if (body.noteId) {
+    const user = await getSessionUser(req);
+    if (!user) return sendJSON(res, 401, { error: "unauthorized" });
+    const note = await getOwnedNote(body.noteId, user);
+    if (!note) return sendJSON(res, 404, { error: "not_found" });
+    return sendJSON(res, 200, { ...noteCompliance(note), rulesReviewed: RULES_REVIEWED });
+  }
+  if (!body.terms) return sendJSON(res, 400, { error: "missing_terms" });
+  const result = checkCompliance({ lenderState: body.lenderState, borrowerState: body.borrowerState, terms: body.terms });
+  return sendJSON(res, 200, { ...result, rulesReviewed: RULES_REVIEWED });
+}
+export default withCORS(handler);
@@ -1,26 +1,38 @@
-import Stripe from "stripe";
 import { withCORS } from "./_utils/cors.js";
-import { readJson, sendJSON } from "./_utils/json.js";
-
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "", { apiVersion: "2024-06-20" });
+import { readBody, sendJSON } from "./_utils/json.js";
+import { withAuth } from "./_utils/auth.js";
+import { getOwnedNote } from "./_utils/notes.js";
+import { paidPlan } from "./_utils/entitlements.js";
+import { stripe } from "./_utils/stripe.js";
+import { logError } from "./_utils/redact.js";
+import { PLANS, planPrice } from "../assets/js/plans.js";
+import { PLAN_PAYMENT } from "../assets/js/validation.js";
 
+// POST { plan, noteId }: start paying for a TrustLend plan on the caller's note. The amount comes
+// from the plan catalog (less a plan already paid on the note), never from the client. The plan
+// is marked paid on the note by /api/stripe/webhook (payment_intent.succeeded), not by the browser.
 async function handler(req, res) {
   if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
-  const body = await readJson(req);
-  const amount = Number(body.amount || 1499);
-  const noteId = String(body.noteId || "");
+  const body = await readBody(req, PLAN_PAYMENT);
+  const plan = body.plan;
+  const note = await getOwnedNote(body.noteId, req.user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+  const amount = planPrice(plan, paidPlan(note));
+  if (!amount) return sendJSON(res, 409, { error: "plan_already_paid", paidPlan: paidPlan(note) });
+
   try {
-    const pi = await stripe.paymentIntents.create({
+    const pi = await stripe().paymentIntents.create({
       amount, currency: "usd",
       automatic_payment_methods: { enabled: true },
-      metadata: { plan: amount === 2999 ? "maximum" : "essential", noteId }
+      description: `TrustLend ${PLANS[plan].name}: ${note.title}`,
+      metadata: { kind: "plan", plan, noteId: note.id }
     });
     return sendJSON(res, 200, { clientSecret: pi.client_secret, summary: {
-      id: pi.id, amount: pi.amount, currency: pi.currency, status: pi.status, created: pi.created
+      id: pi.id, plan, amount: pi.amount, currency: pi.currency, status: pi.status, created: pi.created
     }});
   } catch (e) {
-    console.error(e);
-    return sendJSON(res, 500, { error: "create-payment-intent failed" });
+    logError(e);
+    return sendJSON(res, 502, { error: "payment_unavailable" });
   }
 }
-export default withCORS(handler);
+export default withCORS(withAuth(handler));
@@ -0,0 +1,13 @@
+import { withCORS } from "../_utils/cors.js";
+import { sendJSON } from "../_utils/json.js";
+import { cronAuthorized } from "../_utils/cron.js";
+import { runDeliveries } from "../_utils/deliveries.js";
+
+// GET (Vercel Cron, every five minutes): sends the scheduled deliveries whose time has come and
+// returns what was sent, what will be retried and what failed.
+async function handler(req, res) {
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "method_not_allowed" });
+  if (!cronAuthorized(req)) return sendJSON(res, 401, { error: "unauthorized" });
+  return sendJSON(res, 200, await runDeliveries());
+}
+export default withCORS(handler);
@@ -0,0 +1,13 @@
+import { withCORS } from "../_utils/cors.js";
+import { sendJSON } from "../_utils/json.js";
+import { cronAuthorized } from "../_utils/cron.js";
+import { runReminders } from "../_utils/reminders.js";
+
+// GET (Vercel Cron, daily): sends the payment reminders and overdue notices due today and returns
+// what was sent.
+async function handler(req, res) {
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "method_not_allowed" });
+  if (!cronAuthorized(req)) return sendJSON(res, 401, { error: "unauthorized" });
+  return sendJSON(res, 200, await runReminders());
+}
+export default withCORS(handler);
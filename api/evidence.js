@@ -1,10 +1,14 @@
 import { withCORS } from "./_utils/cors.js";
-import { readJson, sendJSON } from "./_utils/json.js";
+import { readBody, sendJSON } from "./_utils/json.js";
+import { redact } from "./_utils/redact.js";
+import { EVIDENCE } from "../assets/js/validation.js";
 
+// POST { noteId, kind, description, capturedAt, data }: echoes the evidence fields with a receipt
+// time; anything else in the body is dropped and sensitive values are redacted.
 async function handler(req, res) {
   if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
-  const body = await readJson(req);
+  const body = await readBody(req, EVIDENCE);
   const receivedAt = new Date().toISOString();
-  return sendJSON(res, 200, { ok: true, receivedAt, ...body });
+  return sendJSON(res, 200, { ok: true, receivedAt, ...redact(body) });
 }
 export default withCORS(handler);
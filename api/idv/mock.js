@@ -0,0 +1,28 @@
+import { withCORS } from "../_utils/cors.js";
+import { readBody, sendJSON } from "../_utils/json.js";
+import { findOne } from "../_utils/store.js";
+import { hitRateLimit } from "../_utils/ratelimit.js";
+import { clientIp } from "../_utils/request.js";
+import { IDV_OUTCOMES, idvProvider, mockProvider } from "../_utils/idv.js";
+import { IDV_MOCK } from "../../assets/js/validation.js";
+
+const RATE_LIMIT = { limit: 30, windowMs: 60 * 1000 };
+
+// Backs idv-mock.html, the built-in mock provider's verification page, and only while that
+// provider is configured (never in production, see idvProvider). POST { session, outcome, reason } resolves to the signed callback
+// { payload, signature } the page then posts to /api/idv/webhook (X-IDV-Signature header).
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  if (idvProvider() !== mockProvider) return sendJSON(res, 404, { error: "not_found" });
+  const limit = await hitRateLimit(`idv-mock:${clientIp(req)}`, RATE_LIMIT);
+  if (!limit.allowed) {
+    res.setHeader("Retry-After", String(limit.retryAfter));
+    return sendJSON(res, 429, { error: "rate_limited", retryAfter: limit.retryAfter });
+  }
+  const { session, outcome, reason } = await readBody(req, IDV_MOCK);
+  if (!IDV_OUTCOMES[outcome]) return sendJSON(res, 400, { error: "invalid_outcome" });
+  const pending = await findOne("idvSessions", (s) => s.provider === mockProvider.name && s.providerSessionId === String(session || ""));
+  if (!pending) return sendJSON(res, 404, { error: "not_found" });
+  return sendJSON(res, 200, mockProvider.callback(pending.providerSessionId, outcome, String(reason || "").slice(0, 500)));
+}
+export default withCORS(handler);
@@ -1,6 +1,70 @@
 import { withCORS } from "../_utils/cors.js";
-import { sendJSON } from "../_utils/json.js";
-async function handler(_req, res) {
-  return sendJSON(res, 200, { ok: true, provider: "tbd", session: "demo-session" });
+import { readBody, sendJSON } from "../_utils/json.js";
+import { getSessionUser } from "../_utils/auth.js";
+import { getById } from "../_utils/store.js";
+import { getOwnedNote } from "../_utils/notes.js";
+import { entitlementProblem } from "../_utils/entitlements.js";
+import { hitRateLimit } from "../_utils/ratelimit.js";
+import { clientIp } from "../_utils/request.js";
+import { appUrl } from "../_utils/url.js";
+import { findInvite, inviteUsable } from "../_utils/signing.js";
+import { IDV_ROLES, identityStatus, idvProvider, sessionSummary, startVerification } from "../_utils/idv.js";
+import { logError } from "../_utils/redact.js";
+import { IDV_START } from "../../assets/js/validation.js";
+
+const RATE_LIMIT = { limit: 10, windowMs: 60 * 1000 };
+
+// Only a path on this site is accepted as the page to come back to.
+const localPath = (value, fallback) => (/^\/(?!\/)/.test(String(value || "")) ? String(value) : fallback);
+
+// POST { noteId, role, returnUrl }: the signed-in lender starts a verification of either party on
+// their note. POST { token, returnUrl }: the borrower starts their own from a signing link.
+// Resolves to { session, url }: send the party to `url`, the provider returns them to `returnUrl`
+// and reports the outcome to /api/idv/webhook. Needs a plan that includes identity verification.
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const body = await readBody(req, IDV_START);
+  let note = null;
+  let role = "borrower";
+  let actor = null;
+  let fallback;
+  if (body.token) {
+    const limit = await hitRateLimit(`idv:${clientIp(req)}`, RATE_LIMIT);
+    if (!limit.allowed) {
+      res.setHeader("Retry-After", String(limit.retryAfter));
+      return sendJSON(res, 429, { error: "rate_limited", retryAfter: limit.retryAfter });
+    }
+    const invite = await findInvite(body.token);
+    if (!inviteUsable(invite)) return sendJSON(res, 404, { error: "invalid_token" });
+    note = await getById("notes", invite.noteId);
+    // Only the borrower's link can start a verification (IDV_ROLES).
+    role = invite.party || "borrower";
+    fallback = `/sign.html?token=${encodeURIComponent(body.token)}`;
+  } else {
+    actor = await getSessionUser(req);
+    if (!actor) return sendJSON(res, 401, { error: "unauthorized" });
+    note = await getOwnedNote(body.noteId, actor);
+    role = body.role;
+    fallback = `/create-note.html?draft=${encodeURIComponent(String(body.noteId || ""))}`;
+  }
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+  if (!IDV_ROLES.includes(role)) return sendJSON(res, 400, { error: "invalid_role" });
+  const problem = entitlementProblem(note, "idv");
+  if (problem) return sendJSON(res, ...problem);
+  if (identityStatus(note, role) === "verified") return sendJSON(res, 409, { error: "already_verified" });
+  if (!idvProvider()) return sendJSON(res, 503, { error: "idv_unavailable" });
+
+  try {
+    const { session, url } = await startVerification(note, role, {
+      returnUrl: appUrl(req) + localPath(body.returnUrl, fallback),
+      baseUrl: appUrl(req),
+      actor,
+      req,
+    });
+    return sendJSON(res, 201, { session: sessionSummary(session), url });
+  } catch (e) {
+    logError(e);
+    return sendJSON(res, 502, { error: "idv_unavailable" });
+  }
 }
 export default withCORS(handler);
@@ -1,7 +1,40 @@
 import { withCORS } from "../_utils/cors.js";
-import { readJson, sendJSON } from "../_utils/json.js";
+import { sendJSON } from "../_utils/json.js";
+import { validationError } from "../_utils/errors.js";
+import { validate } from "../../assets/js/validation.js";
+import { insert, remove } from "../_utils/store.js";
+import { readRawBody } from "../_utils/request.js";
+import { idvProvider, recordOutcome } from "../_utils/idv.js";
+import { logError } from "../_utils/redact.js";
+
+export const config = { api: { bodyParser: false } };
+
+// Signed callbacks from the configured identity verification provider (see _utils/idv.js). Each
+// event is handled once, and a failure lets the provider retry. Outcomes go on the session, the
+// note (identity.<role>) and the audit trail.
 async function handler(req, res) {
-  const body = await readJson(req);
-  return sendJSON(res, 200, { ok: true, received: !!body });
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const provider = idvProvider();
+  if (!provider) return sendJSON(res, 503, { error: "idv_unavailable" });
+  const event = provider.verifyWebhook(await readRawBody(req), req.headers || {});
+  if (!event?.id) return sendJSON(res, 400, { error: "invalid_signature" });
+  const { errors } = validate(provider.eventSchema, event);
+  if (errors.length) throw validationError(errors);
+
+  const eventId = `${provider.name}:${event.id}`;
+  try {
+    await insert("idvEvents", { id: eventId, type: event.type, receivedAt: new Date().toISOString() });
+  } catch {
+    return sendJSON(res, 200, { received: true, duplicate: true });
+  }
+  try {
+    const result = provider.parseEvent(event);
+    if (result) await recordOutcome(provider.name, result, req);
+  } catch (e) {
+    logError(e);
+    await remove("idvEvents", eventId);
+    return sendJSON(res, 500, { error: "webhook_failed" });
+  }
+  return sendJSON(res, 200, { received: true });
 }
 export default withCORS(handler);
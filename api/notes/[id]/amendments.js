@@ -0,0 +1,100 @@
+import { withCORS } from "../../_utils/cors.js";
+import { readBody, readQuery, sendJSON } from "../../_utils/json.js";
+import { withAuth, normalizeEmail } from "../../_utils/auth.js";
+import { getOwnedNote } from "../../_utils/notes.js";
+import { update } from "../../_utils/store.js";
+import { appendAudit } from "../../_utils/audit.js";
+import { appUrl } from "../../_utils/url.js";
+import { inviteSummary, partyName, submittedSignature } from "../../_utils/signing.js";
+import {
+  amendmentView, findAmendment, newAmendment, sendAmendmentInvite, withdrawAmendment,
+} from "../../_utils/amendments.js";
+import { buildSchedule, formatDate } from "../../../assets/js/schedule.js";
+import { AMENDMENT_KINDS, formatTerm, pendingAmendment, termsDiff } from "../../../assets/js/amendments.js";
+import { noteParties } from "../../../assets/js/parties.js";
+import { AMENDMENT, AMENDMENT_QUERY } from "../../../assets/js/validation.js";
+
+// Room for a drawn signature image.
+const AMENDMENT_BODY_LIMIT = 512 * 1024;
+const AMENDABLE_STATUSES = ["active", "overdue"];
+
+// GET: the note's amendments, newest first, each with what it changes and the payment schedule
+// under its terms.
+// POST { kind, reason, effectiveDate, terms, consent, signature, email, emails, message }: the
+// lender proposes an amendment to an executed note and signs it; every other party on the note is
+// emailed a link to sign it (email is the borrower's address and emails the others' by party id,
+// each defaulting to the party's own). It takes effect once they all have. One amendment can be
+// pending at a time.
+// DELETE ?amendmentId=: withdraw the pending amendment; its link stops working.
+async function handler(req, res) {
+  const note = await getOwnedNote(req.query?.id, req.user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+
+  if (req.method === "GET") {
+    return sendJSON(res, 200, { amendments: (note.amendments || []).map(amendmentView).reverse() });
+  }
+  if (req.method === "POST") {
+    const body = await readBody(req, AMENDMENT, { limit: AMENDMENT_BODY_LIMIT });
+    if (!AMENDABLE_STATUSES.includes(note.status)) return sendJSON(res, 409, { error: "note_not_active" });
+    if (pendingAmendment(note)) return sendJSON(res, 409, { error: "amendment_pending" });
+    const effectiveDate = body.effectiveDate || formatDate(new Date());
+    if (note.terms.loanDate && effectiveDate < note.terms.loanDate) return sendJSON(res, 400, { error: "invalid_date" });
+    const recipients = noteParties(note).filter((p) => p.key !== "lender").map((p) => ({
+      party: p,
+      email: normalizeEmail((p.key === "borrower" ? body.email : body.emails?.[p.key]) || p.party.email),
+    }));
+    const missing = recipients.find((r) => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(r.email));
+    if (missing) return sendJSON(res, 400, { error: "missing_email", party: missing.party.key });
+    if (body.consent !== true) return sendJSON(res, 400, { error: "consent_required" });
+    const signature = submittedSignature(body.signature, partyName(note.lender));
+    if (!signature) return sendJSON(res, 400, { error: "missing_signature" });
+
+    const amendment = newAmendment(note, { ...body, effectiveDate, terms: body.terms || {} }, signature, req.user.id);
+    const changes = termsDiff(amendment.previousTerms, amendment.terms);
+    if (!changes.length) return sendJSON(res, 400, { error: "no_changes" });
+    if (!buildSchedule(amendment.terms).count) return sendJSON(res, 400, { error: "invalid_terms" });
+
+    let pending = false;
+    const saved = await update("notes", note.id, (cur) => {
+      pending = !!pendingAmendment(cur);
+      return pending ? {} : { amendments: [...(cur.amendments || []), amendment] };
+    });
+    if (pending) return sendJSON(res, 409, { error: "amendment_pending" });
+    await appendAudit(note.id, {
+      action: "Amendment proposed",
+      details: `Amendment No. ${amendment.number} (${AMENDMENT_KINDS[amendment.kind]}), signed by the lender: ` +
+        changes.map((c) => `${c.label} ${formatTerm(c.field, c.from)} → ${formatTerm(c.field, c.to)}`).join("; ") +
+        `; SHA-256 ${amendment.hash}`,
+      actor: req.user,
+    }, req);
+
+    let sent = amendment;
+    const invites = [];
+    for (const { party, email } of recipients) {
+      const result = await sendAmendmentInvite(saved, amendment, {
+        email, message: body.message, sentBy: req.user.id, baseUrl: appUrl(req), party: party.key,
+      });
+      sent = result.amendment;
+      invites.push(result.invite);
+      const to = party.key === "borrower" ? email : `${email} (${party.label})`;
+      await appendAudit(note.id, {
+        action: "Amendment signing link sent",
+        details: `Amendment No. ${amendment.number} to ${to}, expires ${result.invite.expiresAt}`,
+        actor: req.user,
+      }, req);
+    }
+    // `invite` is the borrower's link, as before; `invites` has everyone's.
+    return sendJSON(res, 201, { amendment: amendmentView(sent), invite: inviteSummary(invites[0]), invites: invites.map(inviteSummary) });
+  }
+  if (req.method === "DELETE") {
+    const { amendmentId } = readQuery(req, AMENDMENT_QUERY);
+    const amendment = findAmendment(note, amendmentId);
+    if (!amendment) return sendJSON(res, 404, { error: "amendment_not_found" });
+    if (amendment.status !== "pending") return sendJSON(res, 409, { error: "amendment_not_pending" });
+    const withdrawn = await withdrawAmendment(note, amendment);
+    await appendAudit(note.id, { action: "Amendment withdrawn", details: `Amendment No. ${amendment.number}`, actor: req.user }, req);
+    return sendJSON(res, 200, { amendment: amendmentView(withdrawn) });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
@@ -0,0 +1,26 @@
+import { withCORS } from "../../_utils/cors.js";
+import { readBody, readQuery, sendJSON } from "../../_utils/json.js";
+import { withAuth } from "../../_utils/auth.js";
+import { getOwnedNote } from "../../_utils/notes.js";
+import { appendAudit, auditCertificate, auditEvents, verifyChain } from "../../_utils/audit.js";
+import { AUDIT_EVENT, AUDIT_QUERY } from "../../../assets/js/validation.js";
+
+// GET: the note's audit events plus chain status (?format=certificate for the signed certificate).
+// POST { action, details, clientTime }: append an event; IP and user agent are taken from the request.
+async function handler(req, res) {
+  const note = await getOwnedNote(req.query?.id, req.user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+
+  if (req.method === "GET") {
+    const events = await auditEvents(note.id);
+    if (readQuery(req, AUDIT_QUERY).format === "certificate") return sendJSON(res, 200, { certificate: await auditCertificate(note, events) });
+    return sendJSON(res, 200, { events, chain: verifyChain(events) });
+  }
+  if (req.method === "POST") {
+    const { action, details, clientTime } = await readBody(req, AUDIT_EVENT);
+    const event = await appendAudit(note.id, { action, details, clientTime, actor: req.user }, req);
+    return sendJSON(res, 201, { event });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
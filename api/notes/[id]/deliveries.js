@@ -0,0 +1,62 @@
+import { withCORS } from "../../_utils/cors.js";
+import { readBody, readQuery, sendJSON } from "../../_utils/json.js";
+import { withAuth, normalizeEmail } from "../../_utils/auth.js";
+import { getOwnedNote } from "../../_utils/notes.js";
+import { update } from "../../_utils/store.js";
+import { appendAudit } from "../../_utils/audit.js";
+import { appUrl } from "../../_utils/url.js";
+import {
+  deliveryProblem, deliveryTime, describeDelivery, newDelivery, updateDelivery,
+} from "../../_utils/deliveries.js";
+import { DELIVERY, DELIVERY_QUERY, DELIVERY_TIME } from "../../../assets/js/validation.js";
+
+// GET: the note's scheduled deliveries, newest first.
+// POST { kind: "invite" | "package", email, message, sendAt: "YYYY-MM-DDTHH:mm", timeZone }: email
+// the borrower the signing invitation or the contract package at that wall-clock time in timeZone.
+// PATCH ?deliveryId= { sendAt, timeZone }: reschedule a delivery that hasn't been sent yet.
+// DELETE ?deliveryId=: cancel a delivery that hasn't been sent yet.
+async function handler(req, res) {
+  const note = await getOwnedNote(req.query?.id, req.user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+  const deliveries = note.deliveries || [];
+
+  if (req.method === "GET") {
+    return sendJSON(res, 200, { deliveries: [...deliveries].sort((a, b) => b.createdAt.localeCompare(a.createdAt)) });
+  }
+  if (req.method === "POST") {
+    const body = await readBody(req, DELIVERY);
+    const problem = deliveryProblem(note, body.kind);
+    if (problem) return sendJSON(res, ...problem);
+    const email = normalizeEmail(body.email || note.borrower?.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return sendJSON(res, 400, { error: "missing_email" });
+    const time = deliveryTime(body);
+    if (time.problem) return sendJSON(res, ...time.problem);
+
+    const delivery = newDelivery({ kind: body.kind, email, message: body.message, baseUrl: appUrl(req), createdBy: req.user.id }, time);
+    // Server-written like payments: scheduling doesn't bump the version an open editor is based on.
+    await update("notes", note.id, (cur) => ({ deliveries: [...(cur.deliveries || []), delivery] }));
+    await appendAudit(note.id, { action: "Delivery scheduled", details: describeDelivery(delivery), actor: req.user }, req);
+    return sendJSON(res, 201, { delivery });
+  }
+  if (req.method === "PATCH" || req.method === "DELETE") {
+    const found = deliveries.find((d) => d.id === readQuery(req, DELIVERY_QUERY).deliveryId);
+    if (!found) return sendJSON(res, 404, { error: "delivery_not_found" });
+    let changes = { status: "cancelled", cancelledAt: new Date().toISOString() };
+    if (req.method === "PATCH") {
+      const time = deliveryTime(await readBody(req, DELIVERY_TIME));
+      if (time.problem) return sendJSON(res, ...time.problem);
+      changes = { ...time, attempts: 0, nextAttemptAt: null, lastError: null };
+    }
+    const changed = await updateDelivery(note.id, found.id, (d) => (d.status === "scheduled" ? changes : null));
+    if (!changed) return sendJSON(res, 409, { error: "delivery_not_pending" });
+    const delivery = { ...found, ...changed };
+    await appendAudit(note.id, {
+      action: req.method === "PATCH" ? "Delivery rescheduled" : "Delivery cancelled",
+      details: describeDelivery(delivery),
+      actor: req.user,
+    }, req);
+    return sendJSON(res, 200, { delivery });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
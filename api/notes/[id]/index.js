@@ -0,0 +1,47 @@
+import { withCORS } from "../../_utils/cors.js";
+import { readBody, sendJSON } from "../../_utils/json.js";
+import { withAuth } from "../../_utils/auth.js";
+import { agreementEdits, getOwnedNote, noteView, updateNote, withLedgerStatus } from "../../_utils/notes.js";
+import { remove, update } from "../../_utils/store.js";
+import { IDV_ROLES, identityBlocked } from "../../_utils/idv.js";
+import { NOTE } from "../../../assets/js/validation.js";
+
+// Notes carry signature images and the wizard snapshot.
+const NOTE_BODY_LIMIT = 1024 * 1024;
+
+async function handler(req, res) {
+  const note = await getOwnedNote(req.query?.id, req.user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+
+  if (req.method === "GET") return sendJSON(res, 200, { note: noteView(withLedgerStatus(note)) });
+  if (req.method === "PUT" || req.method === "PATCH") {
+    const body = await readBody(req, NOTE, { limit: NOTE_BODY_LIMIT });
+    // Optimistic concurrency: a save based on an older version than the stored one is rejected
+    // so edits from another tab or device aren't silently overwritten.
+    let conflict = null;
+    let executed = [];
+    let unverified = null;
+    const next = await update("notes", note.id, (current) => {
+      if (body.baseVersion !== undefined && body.baseVersion !== current.version) {
+        conflict = current;
+        return {};
+      }
+      executed = agreementEdits(current, body);
+      if (executed.length) return {};
+      // A party who has to pass identity verification can't be signed for until they have.
+      const updated = updateNote(current, body);
+      unverified = IDV_ROLES.find((role) => updated.signatures?.[role] && !current.signatures?.[role] && identityBlocked(updated, role));
+      return unverified ? {} : updated;
+    });
+    if (conflict) return sendJSON(res, 409, { error: "version_conflict", note: noteView(conflict) });
+    if (executed.length) return sendJSON(res, 409, { error: "note_executed" });
+    if (unverified) return sendJSON(res, 403, { error: "identity_verification_required", role: unverified });
+    return sendJSON(res, 200, { note: noteView(next) });
+  }
+  if (req.method === "DELETE") {
+    await remove("notes", note.id);
+    return sendJSON(res, 200, { ok: true });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
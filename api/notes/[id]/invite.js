@@ -0,0 +1,46 @@
+import { withCORS } from "../../_utils/cors.js";
+import { readBody, sendJSON } from "../../_utils/json.js";
+import { withAuth, normalizeEmail } from "../../_utils/auth.js";
+import { getOwnedNote } from "../../_utils/notes.js";
+import { findMany } from "../../_utils/store.js";
+import { appendAudit } from "../../_utils/audit.js";
+import { appUrl } from "../../_utils/url.js";
+import { inviteSummary, sendInvite } from "../../_utils/signing.js";
+import { findParty } from "../../../assets/js/parties.js";
+import { INVITE } from "../../../assets/js/validation.js";
+
+// GET: the note's signing status and the links sent for it.
+// POST { party, email, message }: email a party a new signing link (any earlier unused link for
+// that party stops working). `party` is "borrower" (the default) or the id of a co-lender,
+// co-borrower or guarantor; email defaults to the party's. The lender must have signed first; the
+// note moves to pending_signature.
+async function handler(req, res) {
+  const note = await getOwnedNote(req.query?.id, req.user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+
+  if (req.method === "GET") {
+    // Links for amendments are listed with the amendment (/api/notes/:id/amendments).
+    const invites = (await findMany("signingInvites", (i) => i.noteId === note.id && !i.amendmentId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return sendJSON(res, 200, { signing: note.signing || null, invites: invites.map(inviteSummary) });
+  }
+  if (req.method === "POST") {
+    const body = await readBody(req, INVITE);
+    // The lender signs in the wizard, not from a link.
+    const party = findParty(note, body.party || "borrower");
+    if (!party || party.key === "lender") return sendJSON(res, 400, { error: "unknown_party" });
+    const email = normalizeEmail(body.email || party.party.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return sendJSON(res, 400, { error: "missing_email" });
+    if (!note.signatures?.lender) return sendJSON(res, 400, { error: "lender_signature_required" });
+    if (note.signatures?.[party.key]) return sendJSON(res, 409, { error: "already_signed" });
+
+    const { invite, signing } = await sendInvite(note, {
+      email, message: body.message, sentBy: req.user.id, baseUrl: appUrl(req), party: party.key,
+    });
+    const to = party.key === "borrower" ? email : `${email} (${party.label})`;
+    await appendAudit(note.id, { action: "Signing link sent", details: `To ${to}, expires ${invite.expiresAt}`, actor: req.user }, req);
+    return sendJSON(res, 201, { signing, invite: inviteSummary(invite) });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
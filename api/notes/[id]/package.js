@@ -0,0 +1,81 @@
+import crypto from "node:crypto";
+import { withCORS } from "../../_utils/cors.js";
+import { sendJSON } from "../../_utils/json.js";
+import { withAuth } from "../../_utils/auth.js";
+import { getById } from "../../_utils/store.js";
+import { getOwnedNote } from "../../_utils/notes.js";
+import { entitlementProblem } from "../../_utils/entitlements.js";
+import { appendAudit, auditCertificate, auditEvents } from "../../_utils/audit.js";
+import { contractReceipt, DOCUMENTS, documentFilename, renderNoteDocument } from "../../_utils/documents.js";
+import { createZip } from "../../_utils/zip.js";
+import { executedAmendments } from "../../../assets/js/amendments.js";
+
+const ZIP_NAME = "TrustLend_Document_Package.zip";
+const AUDIT_TRAIL_NAME = "TrustLend_Audit_Trail.json";
+
+const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+// POST: one ZIP with the main contract, UCC attachment (plus the UCC-1 for secured notes), execution
+// certificate, each executed amendment, the release of note (plus the UCC-3 termination for secured
+// notes) once it's paid in full and the signed audit trail, plus manifest.json listing each file's SHA-256, size and
+// generation time. The contract's hash and size are the ones recorded in the note's timestamp
+// receipt (included in the manifest).
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const owned = await getOwnedNote(req.query?.id, req.user);
+  if (!owned) return sendJSON(res, 404, { error: "not_found" });
+  const problem = entitlementProblem(owned, "package");
+  if (problem) return sendJSON(res, ...problem);
+
+  const files = [];
+  const add = (document, name, data) => {
+    files.push({ document, name, data, generatedAt: new Date().toISOString() });
+  };
+
+  add("main_contract", DOCUMENTS.contract.filename, renderNoteDocument("contract", owned));
+  const receipt = await contractReceipt(req, owned, req.user, files[0].data);
+  await appendAudit(owned.id, {
+    action: "Document package generated",
+    details: `Main contract SHA-256 ${receipt.pdfHash}`,
+    actor: req.user,
+  }, req);
+
+  // Re-read so the certificate and audit trail include the receipt and the events just added.
+  const note = await getById("notes", owned.id);
+  const events = await auditEvents(note.id);
+  add("ucc_attachment", DOCUMENTS.ucc.filename, renderNoteDocument("ucc", note));
+  if (note.collateral) add("ucc1_financing_statement", DOCUMENTS.ucc1.filename, renderNoteDocument("ucc1", note));
+  add("execution_certificate", DOCUMENTS.certificate.filename, renderNoteDocument("certificate", note, { events }));
+  for (const amendment of executedAmendments(note)) {
+    add(`amendment_${amendment.number}`, documentFilename("amendment", amendment), renderNoteDocument("amendment", note, { amendment }));
+  }
+  if (note.release) {
+    add("release_of_note", DOCUMENTS.release.filename, renderNoteDocument("release", note));
+    if (note.collateral) add("ucc3_termination", DOCUMENTS.ucc3.filename, renderNoteDocument("ucc3", note));
+  }
+  add("audit_trail", AUDIT_TRAIL_NAME, Buffer.from(JSON.stringify(await auditCertificate(note, events), null, 2)));
+
+  const generatedAt = new Date().toISOString();
+  const manifest = {
+    type: "trustlend.document-package",
+    version: 1,
+    noteId: note.id,
+    title: note.title,
+    generatedAt,
+    receipt,
+    files: files.map(({ document, name, data, generatedAt: at }) => ({
+      name, document, sha256: sha256(data), size: data.length, generatedAt: at,
+    })),
+  };
+  const zip = createZip([
+    ...files.map(({ name, data, generatedAt: at }) => ({ name, data, date: new Date(at) })),
+    { name: "manifest.json", data: JSON.stringify(manifest, null, 2), date: new Date(generatedAt) },
+  ]);
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="${ZIP_NAME}"`);
+  res.setHeader("Content-Length", String(zip.length));
+  res.end(zip);
+}
+export default withCORS(withAuth(handler));
@@ -0,0 +1,66 @@
+import { withCORS } from "../../_utils/cors.js";
+import { readBody, sendJSON } from "../../_utils/json.js";
+import { withAuth, normalizeEmail } from "../../_utils/auth.js";
+import { getOwnedNote, inRepayment, noteLedger } from "../../_utils/notes.js";
+import { findMany, update } from "../../_utils/store.js";
+import { appendAudit } from "../../_utils/audit.js";
+import { sendMail } from "../../_utils/mailer.js";
+import { appUrl } from "../../_utils/url.js";
+import { partyName } from "../../_utils/signing.js";
+import { createPayLink, payLinkSummary } from "../../_utils/payments.js";
+import { formatMoney } from "../../../assets/js/schedule.js";
+import { PAY_LINK } from "../../../assets/js/validation.js";
+
+function payLinkEmail(note, link, expiresAt) {
+  const lender = partyName(note.lender) || "Your lender";
+  const next = noteLedger(note).nextDue;
+  return {
+    subject: `Pay your loan from ${lender} online`,
+    text: `${lender} has set up online payments for "${note.title}".\n\n` +
+      (next ? `Your next payment of ${formatMoney(next.amount)} is due ${next.dueDate}.\n\n` : "") +
+      `Open this link to pay by card or bank transfer (ACH):\n${link}\n\n` +
+      `You can use the link for each payment until ${new Date(expiresAt).toUTCString()}. ` +
+      `Payments show up on your loan once your bank confirms them.`,
+  };
+}
+
+// GET: the pay links created for the note.
+// POST { email }: create a borrower pay link (replacing any earlier one) and email it when an
+// address is given or on file; the link is returned either way so the lender can share it.
+// DELETE: turn off the current link.
+async function handler(req, res) {
+  const note = await getOwnedNote(req.query?.id, req.user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+
+  if (req.method === "GET") {
+    const links = (await findMany("payLinks", (l) => l.noteId === note.id))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return sendJSON(res, 200, { payLinks: links.map(payLinkSummary) });
+  }
+  if (req.method === "POST") {
+    if (!inRepayment(note)) return sendJSON(res, 409, { error: "note_not_active" });
+    const body = await readBody(req, PAY_LINK);
+    const email = normalizeEmail(body.email || note.borrower?.email || "");
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return sendJSON(res, 400, { error: "invalid_email" });
+
+    const { link, token } = await createPayLink(note, { email, sentBy: req.user.id });
+    const url = `${appUrl(req)}/pay.html?token=${token}`;
+    if (email) await sendMail({ to: email, ...payLinkEmail(note, url, link.expiresAt) });
+    await appendAudit(note.id, {
+      action: "Pay link created",
+      details: `${email ? `Sent to ${email}, ` : ""}expires ${link.expiresAt}`,
+      actor: req.user,
+    }, req);
+    return sendJSON(res, 201, { payLink: payLinkSummary(link), url });
+  }
+  if (req.method === "DELETE") {
+    const now = new Date().toISOString();
+    for (const link of await findMany("payLinks", (l) => l.noteId === note.id && !l.revokedAt)) {
+      await update("payLinks", link.id, { revokedAt: now });
+    }
+    await appendAudit(note.id, { action: "Pay link turned off", actor: req.user }, req);
+    return sendJSON(res, 200, { ok: true });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
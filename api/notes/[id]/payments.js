@@ -0,0 +1,45 @@
+import { withCORS } from "../../_utils/cors.js";
+import { readBody, readQuery, sendJSON } from "../../_utils/json.js";
+import { withAuth } from "../../_utils/auth.js";
+import { getOwnedNote, noteLedger } from "../../_utils/notes.js";
+import { paymentAmount, paymentProblem, recordPayment, voidPayment } from "../../_utils/payments.js";
+import { formatDate } from "../../../assets/js/schedule.js";
+import { payoffQuote } from "../../../assets/js/ledger.js";
+import { PAYMENT, PAYMENTS_QUERY } from "../../../assets/js/validation.js";
+
+// GET ?asOf=YYYY-MM-DD&payoffDate=YYYY-MM-DD: the payments, the ledger as of asOf (default today)
+// and a payoff quote for payoffDate (default asOf).
+// POST { date, amount, method, memo }: record a payment received on an executed note.
+// DELETE ?paymentId=: void a payment recorded by mistake.
+async function handler(req, res) {
+  const note = await getOwnedNote(req.query?.id, req.user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+
+  const query = readQuery(req, PAYMENTS_QUERY);
+  if (req.method === "GET") {
+    const asOf = query.asOf || formatDate(new Date());
+    const payoffDate = query.payoffDate || asOf;
+    const payments = note.payments || [];
+    return sendJSON(res, 200, {
+      payments,
+      ledger: noteLedger(note, asOf),
+      payoff: payoffQuote(note.terms, payments, payoffDate),
+    });
+  }
+  if (req.method === "POST") {
+    const body = await readBody(req, PAYMENT);
+    const input = { ...body, date: body.date || formatDate(new Date()), amount: paymentAmount(body.amount), reference: null };
+    const problem = paymentProblem(note, input);
+    if (problem) return sendJSON(res, ...problem);
+    const { payment, note: next } = await recordPayment(note.id, input, { actor: req.user, recordedBy: req.user.id, req });
+    return sendJSON(res, 201, { payment, status: next.status, release: next.release, ledger: noteLedger(next) });
+  }
+  if (req.method === "DELETE") {
+    const payment = (note.payments || []).find((p) => p.id === query.paymentId);
+    if (!payment) return sendJSON(res, 404, { error: "payment_not_found" });
+    const next = await voidPayment(note.id, payment, { actor: req.user, req });
+    return sendJSON(res, 200, { ok: true, status: next.status, release: next.release, ledger: noteLedger(next) });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
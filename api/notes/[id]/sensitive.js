@@ -0,0 +1,27 @@
+import { withCORS } from "../../_utils/cors.js";
+import { readQuery, sendJSON } from "../../_utils/json.js";
+import { withAuth } from "../../_utils/auth.js";
+import { getOwnedNote } from "../../_utils/notes.js";
+import { appendAudit } from "../../_utils/audit.js";
+import { revealField, SENSITIVE_FIELDS } from "../../_utils/sensitive.js";
+import { SENSITIVE_QUERY } from "../../../assets/js/validation.js";
+
+// GET ?role=borrower&field=dob|ssn: the full value of one sealed field, for the note's owner only.
+// Every read is recorded on the note's audit trail, whether or not a value is on file.
+async function handler(req, res) {
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const note = await getOwnedNote(req.query?.id, req.user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+  const { role, field } = readQuery(req, SENSITIVE_QUERY);
+
+  const value = revealField(note, role, field);
+  await appendAudit(note.id, {
+    action: "Sensitive data viewed",
+    details: `${role[0].toUpperCase()}${role.slice(1)} ${SENSITIVE_FIELDS[field]}${value === null ? " (none on file)" : ""}`,
+    actor: req.user,
+  }, req);
+  res.setHeader("Cache-Control", "no-store");
+  if (value === null) return sendJSON(res, 404, { error: "not_on_file" });
+  return sendJSON(res, 200, { role, field, value });
+}
+export default withCORS(withAuth(handler));
@@ -0,0 +1,31 @@
+import { withCORS } from "../_utils/cors.js";
+import { readBody, readQuery, sendJSON } from "../_utils/json.js";
+import { withAuth } from "../_utils/auth.js";
+import { findMany, insert } from "../_utils/store.js";
+import { createNote, matchesFilters, noteView, withLedgerStatus } from "../_utils/notes.js";
+import { appendAudit } from "../_utils/audit.js";
+import { matchesFigure } from "../_utils/analytics.js";
+import { formatDate } from "../../assets/js/schedule.js";
+import { NOTE, NOTES_QUERY } from "../../assets/js/validation.js";
+
+// Notes carry signature images and the wizard snapshot.
+const NOTE_BODY_LIMIT = 1024 * 1024;
+
+async function handler(req, res) {
+  if (req.method === "GET") {
+    const { status, tier, createdAfter, payments, due } = readQuery(req, NOTES_QUERY);
+    const today = formatDate(new Date());
+    const notes = (await findMany("notes", (n) => n.ownerId === req.user.id))
+      .map((n) => withLedgerStatus(n, today))
+      .filter((n) => matchesFilters(n, { status, tier, createdAfter }) && matchesFigure(n, { payments, due }, today));
+    notes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return sendJSON(res, 200, { notes: notes.map(noteView) });
+  }
+  if (req.method === "POST") {
+    const note = await insert("notes", createNote(await readBody(req, NOTE, { limit: NOTE_BODY_LIMIT }), req.user.id));
+    await appendAudit(note.id, { action: "Note created", actor: req.user }, req);
+    return sendJSON(res, 201, { note: noteView(note) });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
@@ -0,0 +1,83 @@
+import { withCORS } from "./_utils/cors.js";
+import { readBody, readQuery, sendJSON } from "./_utils/json.js";
+import { getById, update } from "./_utils/store.js";
+import { hitRateLimit } from "./_utils/ratelimit.js";
+import { clientIp } from "./_utils/request.js";
+import { inRepayment, noteLedger } from "./_utils/notes.js";
+import { partyName } from "./_utils/signing.js";
+import { findPayLink, payLinkUsable, paymentAmount } from "./_utils/payments.js";
+import { stripe } from "./_utils/stripe.js";
+import { logError } from "./_utils/redact.js";
+import { toCents } from "../assets/js/schedule.js";
+import { PAY, TOKEN_QUERY } from "../assets/js/validation.js";
+
+const RATE_LIMIT = { limit: 30, windowMs: 60 * 1000 };
+const MIN_AMOUNT = 0.5; // Stripe's minimum charge in USD
+const METHOD_TYPES = { card: "card", ach: "us_bank_account" };
+
+// What the borrower sees: who they owe, what is due and the key for Stripe.js.
+function payView(note) {
+  const ledger = noteLedger(note);
+  return {
+    title: note.title,
+    lender: partyName(note.lender),
+    borrower: partyName(note.borrower),
+    status: ledger.status,
+    nextDue: ledger.nextDue,
+    pastDue: ledger.totals.pastDue,
+    outstanding: ledger.totals.outstanding,
+    payoff: ledger.payoff.total,
+    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || null,
+  };
+}
+
+// Public, authorized by the pay-link token.
+// GET ?token=: the balance summary for the note.
+// POST { token, amount, method: "card" | "ach" }: start a Stripe payment; resolves to the
+// PaymentIntent client secret for Stripe.js. The payment is posted to the ledger by the webhook.
+async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const limit = await hitRateLimit(`pay:${clientIp(req)}`, RATE_LIMIT);
+  if (!limit.allowed) {
+    res.setHeader("Retry-After", String(limit.retryAfter));
+    return sendJSON(res, 429, { error: "rate_limited", retryAfter: limit.retryAfter });
+  }
+
+  const body = req.method === "POST" ? await readBody(req, PAY) : readQuery(req, TOKEN_QUERY);
+  const link = await findPayLink(body.token);
+  if (!payLinkUsable(link)) {
+    if (!link) return sendJSON(res, 404, { error: "invalid_token" });
+    return sendJSON(res, 410, { error: link.revokedAt ? "link_replaced" : "link_expired" });
+  }
+  const note = await getById("notes", link.noteId);
+  if (!note) return sendJSON(res, 404, { error: "invalid_token" });
+  if (!inRepayment(note)) return sendJSON(res, 409, { error: "note_not_active" });
+
+  if (req.method === "GET") return sendJSON(res, 200, { note: payView(note), expiresAt: link.expiresAt });
+
+  const method = METHOD_TYPES[body.method] ? body.method : "card";
+  const amount = paymentAmount(body.amount);
+  if (!(amount >= MIN_AMOUNT)) return sendJSON(res, 400, { error: "invalid_amount" });
+  const { payoff } = payView(note);
+  if (amount > payoff) return sendJSON(res, 409, { error: "exceeds_balance", payoff });
+
+  try {
+    const intent = await stripe().paymentIntents.create({
+      amount: toCents(amount),
+      currency: "usd",
+      payment_method_types: [METHOD_TYPES[method]],
+      description: `Loan payment: ${note.title}`,
+      ...(link.email ? { receipt_email: link.email } : {}),
+      metadata: { kind: "repayment", noteId: note.id, payLinkId: link.id, method },
+    });
+    await update("payLinks", link.id, { lastUsedAt: new Date().toISOString() });
+    return sendJSON(res, 200, {
+      clientSecret: intent.client_secret,
+      paymentIntent: { id: intent.id, amount: intent.amount, status: intent.status },
+    });
+  } catch (e) {
+    logError(e);
+    return sendJSON(res, 502, { error: "payment_unavailable" });
+  }
+}
+export default withCORS(handler);
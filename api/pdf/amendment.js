@@ -0,0 +1,6 @@
+import { withCORS } from "../_utils/cors.js";
+import { withAuth } from "../_utils/auth.js";
+import { pdfHandler } from "../_utils/documents.js";
+
+// POST { noteId, amendmentId }: one amendment to the note with both parties' signatures (404 amendment_not_found otherwise).
+export default withCORS(withAuth(pdfHandler("amendment")));
@@ -0,0 +1,6 @@
+import { withCORS } from "../_utils/cors.js";
+import { withAuth } from "../_utils/auth.js";
+import { pdfHandler } from "../_utils/documents.js";
+
+// POST { noteId }: the promissory note with both signature blocks (application/pdf).
+export default withCORS(withAuth(pdfHandler("contract")));
@@ -0,0 +1,6 @@
+import { withCORS } from "../_utils/cors.js";
+import { withAuth } from "../_utils/auth.js";
+import { pdfHandler } from "../_utils/documents.js";
+
+// POST { noteId }: note, schedule, execution certificate and UCC attachment in one file (application/pdf); needs a plan with the evidence package.
+export default withCORS(withAuth(pdfHandler("package")));
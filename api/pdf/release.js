@@ -0,0 +1,6 @@
+import { withCORS } from "../_utils/cors.js";
+import { withAuth } from "../_utils/auth.js";
+import { pdfHandler } from "../_utils/documents.js";
+
+// POST { noteId }: release of promissory note for a note paid in full (409 not_paid_in_full otherwise), to sign and give the borrower.
+export default withCORS(withAuth(pdfHandler("release")));
@@ -0,0 +1,6 @@
+import { withCORS } from "../_utils/cors.js";
+import { withAuth } from "../_utils/auth.js";
+import { pdfHandler } from "../_utils/documents.js";
+
+// POST { noteId }: the UCC Article 3 / Article 9 attachment (application/pdf); needs a plan with UCC documents.
+export default withCORS(withAuth(pdfHandler("ucc")));
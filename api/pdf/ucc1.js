@@ -0,0 +1,6 @@
+import { withCORS } from "../_utils/cors.js";
+import { withAuth } from "../_utils/auth.js";
+import { pdfHandler } from "../_utils/documents.js";
+
+// POST { noteId }: pre-filled UCC-1 financing statement for a secured note (409 not_secured otherwise); needs a plan with UCC documents.
+export default withCORS(withAuth(pdfHandler("ucc1")));
@@ -0,0 +1,6 @@
+import { withCORS } from "../_utils/cors.js";
+import { withAuth } from "../_utils/auth.js";
+import { pdfHandler } from "../_utils/documents.js";
+
+// POST { noteId }: pre-filled UCC-3 termination for a secured note paid in full (409 not_paid_in_full / not_secured otherwise); needs a plan with UCC documents.
+export default withCORS(withAuth(pdfHandler("ucc3")));
@@ -1,23 +1,32 @@
-import Stripe from "stripe";
-import { withCORS } from "../../_utils/cors.js";
-import { sendJSON } from "../../_utils/json.js";
-
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "", { apiVersion: "2024-06-20" });
+import { withCORS } from "../_utils/cors.js";
+import { readQuery, sendJSON } from "../_utils/json.js";
+import { withAuth } from "../_utils/auth.js";
+import { getOwnedNote } from "../_utils/notes.js";
+import { stripe } from "../_utils/stripe.js";
+import { RECEIPT_QUERY } from "../../assets/js/validation.js";
 
+// GET /api/receipt/<pi>: a Stripe payment on one of the caller's notes (a plan purchase from
+// create-payment-intent or a borrower repayment from /api/pay). Payments on other people's notes,
+// and ones Stripe doesn't know, are not_found.
 async function handler(req, res) {
-  const { pi } = req.query || {};
-  if (!pi) return sendJSON(res, 400, { error: "missing_pi" });
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const { pi } = readQuery(req, RECEIPT_QUERY);
+  let intent;
   try {
-    const intent = await stripe.paymentIntents.retrieve(String(pi));
-    return sendJSON(res, 200, {
-      id: intent.id, amount: intent.amount, currency: intent.currency,
-      status: intent.status, created: intent.created,
-      charges: (intent.charges?.data || []).map((c) => ({
-        id: c.id, paid: c.paid, created: c.created, receipt_url: c.receipt_url, balance_transaction: c.balance_transaction,
-      })),
-    });
-  } catch (e) {
+    intent = await stripe().paymentIntents.retrieve(pi, { expand: ["latest_charge"] });
+  } catch {
     return sendJSON(res, 404, { error: "not_found" });
   }
+  if (!(await getOwnedNote(intent.metadata?.noteId, req.user))) return sendJSON(res, 404, { error: "not_found" });
+
+  const charge = intent.latest_charge && typeof intent.latest_charge === "object" ? intent.latest_charge : null;
+  return sendJSON(res, 200, {
+    id: intent.id, amount: intent.amount, currency: intent.currency,
+    status: intent.status, created: intent.created,
+    kind: intent.metadata.kind || "plan", noteId: intent.metadata.noteId,
+    charges: charge ? [{
+      id: charge.id, paid: charge.paid, created: charge.created, receipt_url: charge.receipt_url, balance_transaction: charge.balance_transaction,
+    }] : [],
+  });
 }
-export default withCORS(handler);
+export default withCORS(withAuth(handler));
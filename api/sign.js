@@ -0,0 +1,162 @@
+import { withCORS } from "./_utils/cors.js";
+import { readBody, readQuery, sendJSON } from "./_utils/json.js";
+import { getById, update } from "./_utils/store.js";
+import { hitRateLimit } from "./_utils/ratelimit.js";
+import { clientIp } from "./_utils/request.js";
+import { appendAudit } from "./_utils/audit.js";
+import { sendMail } from "./_utils/mailer.js";
+import { appUrl } from "./_utils/url.js";
+import {
+  agreementHash, findInvite, inviteUsable, nextSigning, partyName, signingView, submittedSignature,
+} from "./_utils/signing.js";
+import {
+  amendmentCurrent, amendmentSigningView, amendmentViewed, findAmendment, signAmendment,
+} from "./_utils/amendments.js";
+import { auditRelease } from "./_utils/payments.js";
+import { identityBlocked, identityRequired, identityStatus } from "./_utils/idv.js";
+import { allSigned, findParty, guarantors, holders, joinNames, makers } from "../assets/js/parties.js";
+import { SIGN, TOKEN_QUERY } from "../assets/js/validation.js";
+
+const RATE_LIMIT = { limit: 30, windowMs: 60 * 1000 };
+// Room for a drawn signature image.
+const SIGN_BODY_LIMIT = 512 * 1024;
+
+function linkError(invite) {
+  if (!invite) return [404, "invalid_token"];
+  if (invite.usedAt) return [410, "link_used"];
+  if (invite.revokedAt) return [410, "link_replaced"];
+  return [410, "link_expired"];
+}
+
+// Whether the party has to verify their identity before signing, and how far they got. Only the
+// borrower can be asked to.
+const identityView = (note, key) => (key === "borrower"
+  ? { required: identityRequired(note, "borrower"), status: identityStatus(note, "borrower") }
+  : { required: false, status: null });
+
+// Everyone who signs `note` and each of its amendments, lenders first.
+const signers = (note) => [...holders(note), ...makers(note), ...guarantors(note)];
+
+// The confirmation goes to whoever signed last (at the address the link was sent to), the other
+// parties on the note and the owner, who also gets a link to the audit trail.
+async function sendExecutedEmails(req, note, signerEmail, amendment = null) {
+  const owner = await getById("users", note.ownerId);
+  const parties = signers(note);
+  const what = amendment ? `Amendment No. ${amendment.number} to "${note.title}"` : `"${note.title}"`;
+  const text = `${what} between ${joinNames(parties.map((p) => `${partyName(p.party)} (${p.label.toLowerCase()})`))} ` +
+    `has been signed by ${parties.length > 2 ? "all" : "both"} parties and is now in effect.\n\n` +
+    `The signing history for this note is recorded in its audit trail.`;
+  const others = parties.filter((p) => p.key !== "lender").map((p) => p.party.email);
+  const recipients = new Set([signerEmail, ...others, owner?.email].filter(Boolean));
+  for (const to of recipients) {
+    const lenderCopy = to === owner?.email;
+    await sendMail({
+      to,
+      subject: `${amendment ? "Amendment" : "Promissory note"} executed: ${note.title}`,
+      text: lenderCopy ? `${text}\n${appUrl(req)}/audit-trail.html?note=${note.id}` : text,
+    });
+  }
+}
+
+// Public, authorized by the signing-link token.
+// GET ?token=: the read-only note (the borrower's first open moves the note to "viewed") and
+// whether the signer has to verify their identity first (POST /api/idv/start with the same token).
+// POST { token, consent, signature: { method, name, image } }: the party the link was sent to (the
+// borrower, or a co-lender, co-borrower or guarantor) signs. The link is used up, and once every
+// party has signed the note is executed and becomes active.
+// A link sent for an amendment answers with the note under the amended terms plus `amendment`;
+// the lender signed it when proposing it, and once every other party has signed it too it is
+// executed and its terms replace the note's.
+async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const limit = await hitRateLimit(`sign:${clientIp(req)}`, RATE_LIMIT);
+  if (!limit.allowed) {
+    res.setHeader("Retry-After", String(limit.retryAfter));
+    return sendJSON(res, 429, { error: "rate_limited", retryAfter: limit.retryAfter });
+  }
+
+  const body = req.method === "POST" ? await readBody(req, SIGN, { limit: SIGN_BODY_LIMIT }) : readQuery(req, TOKEN_QUERY);
+  const invite = await findInvite(body.token);
+  if (!inviteUsable(invite)) {
+    const [status, error] = linkError(invite);
+    return sendJSON(res, status, { error });
+  }
+  const note = await getById("notes", invite.noteId);
+  if (!note) return sendJSON(res, 404, { error: "invalid_token" });
+  const amendmentId = invite.amendmentId || null;
+  const signerKey = invite.party || "borrower";
+  // Whether the note (or the amendment) is still what the link was sent for.
+  const current = (n) => (amendmentId ? amendmentCurrent(n, findAmendment(n, amendmentId), invite) : agreementHash(n) === invite.agreementHash);
+  const view = (n) => (amendmentId ? amendmentSigningView(n, findAmendment(n, amendmentId), signerKey) : { note: signingView(n, signerKey) });
+  const signer = findParty(note, signerKey);
+  if (!current(note) || !signer) return sendJSON(res, 409, { error: "note_changed" });
+
+  if (req.method === "GET") {
+    if (!invite.viewedAt) {
+      const now = new Date().toISOString();
+      const claimed = await update("signingInvites", invite.id, (i) => (i.viewedAt ? {} : { viewedAt: now }));
+      if (claimed.viewedAt === now) {
+        const viewed = await update("notes", note.id, (cur) => {
+          if (amendmentId) return signerKey === "borrower" ? amendmentViewed(cur, amendmentId) : {};
+          return signerKey === "borrower" && cur.signing?.status === "sent" ? { signing: nextSigning(cur, "viewed") } : {};
+        });
+        await appendAudit(note.id, { action: amendmentId ? "Amendment signing link opened" : "Signing link opened", details: `By ${invite.email}` }, req);
+        return sendJSON(res, 200, { ...view(viewed), identity: identityView(viewed, signerKey), email: invite.email, expiresAt: invite.expiresAt });
+      }
+    }
+    return sendJSON(res, 200, { ...view(note), identity: identityView(note, signerKey), email: invite.email, expiresAt: invite.expiresAt });
+  }
+
+  if (body.consent !== true) return sendJSON(res, 400, { error: "consent_required" });
+  const signature = submittedSignature(body.signature, partyName(signer.party));
+  if (!signature) return sendJSON(res, 400, { error: "missing_signature" });
+  if (signerKey === "borrower" && identityBlocked(note, "borrower")) return sendJSON(res, 403, { error: "identity_verification_required", role: "borrower" });
+
+  // Claim the link first so a double submit can't sign twice.
+  const claimed = await update("signingInvites", invite.id, (i) => (i.usedAt ? {} : { usedAt: signature.signedAt }));
+  if (claimed.usedAt !== signature.signedAt) return sendJSON(res, 410, { error: "link_used" });
+
+  let changed = false;
+  const signed = await update("notes", note.id, (cur) => {
+    if (!current(cur)) {
+      changed = true;
+      return {};
+    }
+    if (amendmentId) return signAmendment(cur, amendmentId, signerKey, signature);
+    const signatures = { ...cur.signatures, [signerKey]: signature };
+    const signing = signerKey === "borrower" ? nextSigning(cur, "signed") : cur.signing || null;
+    if (!allSigned(cur, signatures)) return { signatures, signing };
+    return { signatures, status: "active", signing: nextSigning({ signing }, "executed") };
+  });
+  if (changed) return sendJSON(res, 409, { error: "note_changed" });
+
+  if (amendmentId) {
+    const amendment = findAmendment(signed, amendmentId);
+    await appendAudit(note.id, {
+      action: `${signer.label} signed amendment`,
+      details: `Amendment No. ${amendment.number}: ${signature.name} (${signature.method}) via link sent to ${invite.email}`,
+    }, req);
+    if (amendment.status === "executed") {
+      const everyone = joinNames(signers(signed).map((p) => p.label.toLowerCase()));
+      await appendAudit(note.id, {
+        action: "Amendment executed",
+        details: `Amendment No. ${amendment.number}, signed by ${everyone}; SHA-256 ${amendment.hash}`,
+      }, req);
+      await auditRelease(note.id, note.release, signed.release, { req });
+      await sendExecutedEmails(req, signed, invite.email, amendment);
+    }
+    return sendJSON(res, 200, view(signed));
+  }
+
+  await appendAudit(note.id, {
+    action: `${signer.label} signed`,
+    details: `${signature.name} (${signature.method}) via link sent to ${invite.email}`,
+  }, req);
+  if (signed.status === "active" && note.status !== "active") {
+    const everyone = joinNames(signers(signed).map((p) => p.label.toLowerCase()));
+    await appendAudit(note.id, { action: "Note executed", details: `Signed by ${everyone}` }, req);
+    await sendExecutedEmails(req, signed, invite.email);
+  }
+  return sendJSON(res, 200, { note: signingView(signed, signerKey) });
+}
+export default withCORS(handler);
@@ -0,0 +1,96 @@
+import { withCORS } from "../_utils/cors.js";
+import { sendJSON } from "../_utils/json.js";
+import { getById, insert, remove, update } from "../_utils/store.js";
+import { appendAudit } from "../_utils/audit.js";
+import { noteReceipt } from "../_utils/notes.js";
+import { paidPlan } from "../_utils/entitlements.js";
+import { recordPayment } from "../_utils/payments.js";
+import { readRawBody } from "../_utils/request.js";
+import { verifyWebhook } from "../_utils/stripe.js";
+import { logError } from "../_utils/redact.js";
+import { formatDate, formatMoney } from "../../assets/js/schedule.js";
+import { PLANS } from "../../assets/js/plans.js";
+
+export const config = { api: { bodyParser: false } };
+
+const dollars = (cents) => Math.round(cents) / 100;
+
+// metadata.kind "plan" (create-payment-intent): the lender's TrustLend plan for metadata.noteId.
+// The paid plan is what the entitlement checks read; a late confirmation for a cheaper plan
+// never replaces a pricier one already paid.
+async function planPaid(intent, req) {
+  const { noteId, plan } = intent.metadata || {};
+  const note = noteId && (await getById("notes", noteId));
+  if (!note || (note.receipts || []).some((r) => r.reference === intent.id)) return;
+  const receipt = noteReceipt({
+    type: "plan",
+    reference: intent.id,
+    amount: dollars(intent.amount_received || intent.amount),
+    currency: intent.currency,
+    status: intent.status,
+    createdAt: new Date(intent.created * 1000).toISOString(),
+  });
+  await update("notes", note.id, (cur) => {
+    const current = PLANS[paidPlan(cur)];
+    const upgrade = PLANS[plan] && (!current || PLANS[plan].price > current.price);
+    return {
+      receipts: [...(cur.receipts || []), receipt],
+      ...(upgrade ? { tier: plan, plan: { id: plan, paymentIntent: intent.id, paidAt: receipt.createdAt } } : {}),
+    };
+  });
+  await appendAudit(note.id, { action: "Plan payment received", details: `${plan || "TrustLend"} plan, ${formatMoney(receipt.amount)} (${intent.id})` }, req);
+}
+
+// metadata.kind "repayment" (/api/pay): the borrower paid on a pay link; the money is already
+// collected, so it is posted to the ledger as is.
+async function repaymentReceived(intent, event, req) {
+  const { noteId, method } = intent.metadata || {};
+  if (!noteId || !(await getById("notes", noteId))) return;
+  await recordPayment(noteId, {
+    date: formatDate(new Date(event.created * 1000)),
+    amount: dollars(intent.amount_received || intent.amount),
+    method: method === "ach" ? "ach" : "card",
+    memo: "Paid online",
+    reference: intent.id,
+  }, { recordedBy: "stripe", req });
+}
+
+async function paymentFailed(intent, req) {
+  const { kind, noteId } = intent.metadata || {};
+  if (!noteId || !(await getById("notes", noteId))) return;
+  const reason = intent.last_payment_error?.message || "declined";
+  await appendAudit(noteId, {
+    action: kind === "repayment" ? "Online payment failed" : "Plan payment failed",
+    details: `${formatMoney(dollars(intent.amount))}: ${reason} (${intent.id})`,
+  }, req);
+}
+
+// Stripe calls this with signed events (Stripe-Signature, STRIPE_WEBHOOK_SECRET). Each event id is
+// handled once, and a failure lets Stripe retry: payment_intent.succeeded marks a plan purchase
+// paid or posts a borrower repayment; payment_intent.payment_failed goes to the audit trail.
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const event = verifyWebhook(await readRawBody(req), req.headers?.["stripe-signature"]);
+  if (!event) return sendJSON(res, 400, { error: "invalid_signature" });
+
+  try {
+    await insert("stripeEvents", { id: event.id, type: event.type, receivedAt: new Date().toISOString() });
+  } catch {
+    return sendJSON(res, 200, { received: true, duplicate: true });
+  }
+  try {
+    const intent = event.data?.object || {};
+    if (event.type === "payment_intent.succeeded") {
+      if (intent.metadata?.kind === "repayment") await repaymentReceived(intent, event, req);
+      else await planPaid(intent, req);
+    } else if (event.type === "payment_intent.payment_failed") {
+      await paymentFailed(intent, req);
+    }
+  } catch (e) {
+    logError(e);
+    await remove("stripeEvents", event.id);
+    return sendJSON(res, 500, { error: "webhook_failed" });
+  }
+  return sendJSON(res, 200, { received: true });
+}
+export default withCORS(handler);
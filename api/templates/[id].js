@@ -0,0 +1,26 @@
+import { withCORS } from "../_utils/cors.js";
+import { readBody, sendJSON } from "../_utils/json.js";
+import { withAuth } from "../_utils/auth.js";
+import { remove, update } from "../_utils/store.js";
+import { getOwnedTemplate, templateView, updateTemplate } from "../_utils/templates.js";
+import { TEMPLATE } from "../../assets/js/validation.js";
+
+// GET, PUT { name, description, clauses } and DELETE one of the account's saved templates. Notes
+// made from it keep their own copy, so neither changes them.
+async function handler(req, res) {
+  const template = await getOwnedTemplate(req.query?.id, req.user);
+  if (!template) return sendJSON(res, 404, { error: "not_found" });
+
+  if (req.method === "GET") return sendJSON(res, 200, { template: templateView(template) });
+  if (req.method === "PUT") {
+    const body = await readBody(req, TEMPLATE);
+    const next = await update("templates", template.id, updateTemplate(template, body));
+    return sendJSON(res, 200, { template: templateView(next) });
+  }
+  if (req.method === "DELETE") {
+    await remove("templates", template.id);
+    return sendJSON(res, 200, { ok: true });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
@@ -0,0 +1,25 @@
+import { withCORS } from "../_utils/cors.js";
+import { readBody, sendJSON } from "../_utils/json.js";
+import { withAuth } from "../_utils/auth.js";
+import { findMany, insert } from "../_utils/store.js";
+import { createTemplate, MAX_TEMPLATES, templateView } from "../_utils/templates.js";
+import { BUILTIN_TEMPLATES } from "../../assets/js/templates.js";
+import { TEMPLATE } from "../../assets/js/validation.js";
+
+// GET: the built-in templates and the account's own, most recently edited first.
+// POST { name, description, clauses }: save a new template on the account.
+async function handler(req, res) {
+  const own = await findMany("templates", (t) => t.ownerId === req.user.id);
+  if (req.method === "GET") {
+    own.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    return sendJSON(res, 200, { builtIn: Object.values(BUILTIN_TEMPLATES), templates: own.map(templateView) });
+  }
+  if (req.method === "POST") {
+    const body = await readBody(req, TEMPLATE);
+    if (own.length >= MAX_TEMPLATES) return sendJSON(res, 409, { error: "too_many_templates", max: MAX_TEMPLATES });
+    const template = await insert("templates", createTemplate(body, req.user.id));
+    return sendJSON(res, 201, { template: templateView(template) });
+  }
+  return sendJSON(res, 405, { error: "method_not_allowed" });
+}
+export default withCORS(withAuth(handler));
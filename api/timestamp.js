@@ -1,8 +1,24 @@
 import { withCORS } from "./_utils/cors.js";
-import { readJson, sendJSON } from "./_utils/json.js";
+import { readBody, sendJSON } from "./_utils/json.js";
+import { getSessionUser } from "./_utils/auth.js";
+import { getOwnedNote } from "./_utils/notes.js";
+import { publicKeyInfo } from "./_utils/timestamp.js";
+import { contractReceipt } from "./_utils/documents.js";
+import { TIMESTAMP } from "../assets/js/validation.js";
+
+// GET: the public key receipts are signed with (anyone can verify a receipt offline).
+// POST { noteId }: render the note's contract, hash the note + that PDF, sign it and keep the
+// receipt on the note. The server renders the same bytes /api/pdf/contract downloads, so the
+// receipt covers the file the lender has; uploaded PDFs are never timestamped.
 async function handler(req, res) {
+  if (req.method === "GET") return sendJSON(res, 200, await publicKeyInfo());
   if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
-  const { hash } = await readJson(req);
-  return sendJSON(res, 200, { ok: true, hash, receipt: "demo-receipt-id" });
+
+  const user = await getSessionUser(req);
+  if (!user) return sendJSON(res, 401, { error: "unauthorized" });
+  const { noteId } = await readBody(req, TIMESTAMP);
+  const note = await getOwnedNote(noteId, user);
+  if (!note) return sendJSON(res, 404, { error: "not_found" });
+  return sendJSON(res, 200, { ok: true, receipt: await contractReceipt(req, note, user) });
 }
 export default withCORS(handler);
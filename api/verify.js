@@ -0,0 +1,59 @@
+import { withCORS } from "./_utils/cors.js";
+import { readBody, sendJSON } from "./_utils/json.js";
+import { findOne } from "./_utils/store.js";
+import { hitRateLimit } from "./_utils/ratelimit.js";
+import { clientIp } from "./_utils/request.js";
+import { verifyReceipt } from "./_utils/timestamp.js";
+import { combinedHash, sha256Hex } from "../assets/js/integrity.js";
+import { VERIFY } from "../assets/js/validation.js";
+
+const RATE_LIMIT = { limit: 30, windowMs: 60 * 1000 };
+// A whole PDF may be sent, base64-encoded.
+const BODY_LIMIT = 6 * 1024 * 1024;
+
+// Public. POST { pdfHash } (verify.html hashes the file in the browser) or { pdf: base64 }.
+// status: "verified" (recorded and unaltered), "altered" (the PDF was recorded but the note
+// has changed since, or the receipt no longer checks out) or "unknown" (never recorded).
+async function handler(req, res) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "method_not_allowed" });
+  const limit = await hitRateLimit(`verify:${clientIp(req)}`, RATE_LIMIT);
+  if (!limit.allowed) {
+    res.setHeader("Retry-After", String(limit.retryAfter));
+    return sendJSON(res, 429, { error: "rate_limited", retryAfter: limit.retryAfter });
+  }
+
+  const body = await readBody(req, VERIFY, { limit: BODY_LIMIT });
+  let pdfHash = String(body.pdfHash || "").toLowerCase();
+  if (!pdfHash && body.pdf) {
+    pdfHash = await sha256Hex(Buffer.from(body.pdf.replace(/^data:[^,]*,/, ""), "base64"));
+  }
+  if (!/^[0-9a-f]{64}$/.test(pdfHash)) return sendJSON(res, 400, { error: "missing_pdf" });
+
+  const note = await findOne("notes", (n) => (n.timestamps || []).some((r) => r.pdfHash === pdfHash));
+  if (!note) return sendJSON(res, 200, { status: "unknown", match: false, pdfHash });
+
+  const receipt = [...note.timestamps].reverse().find((r) => r.pdfHash === pdfHash);
+  const current = await combinedHash(note, pdfHash);
+  const checks = {
+    pdfRecorded: true,
+    noteUnaltered: current.noteHash === receipt.noteHash && current.hash === receipt.hash,
+    signatureValid: await verifyReceipt(receipt),
+  };
+  const match = checks.noteUnaltered && checks.signatureValid;
+  return sendJSON(res, 200, {
+    status: match ? "verified" : "altered",
+    match,
+    pdfHash,
+    checks,
+    receipt,
+    note: {
+      id: note.id,
+      title: note.title,
+      lender: `${note.lender.firstName} ${note.lender.lastName}`.trim(),
+      borrower: `${note.borrower.firstName} ${note.borrower.lastName}`.trim(),
+      principal: note.terms.principal,
+      loanDate: note.terms.loanDate,
+    },
+  });
+}
+export default withCORS(handler);
@@ -1,6 +1,25 @@
 (function(){
-  var AUTH_KEY = 'userToken';
-  function isAuthed(){ try { return !!localStorage.getItem(AUTH_KEY); } catch(e){ return false; } }
+  var PROFILE_KEY = 'userProfile';
+  var session = null;
+  function isAuthed(){ return !!(session && session.user); }
+
+  function fetchSession(){
+    return fetch('/api/auth/session', { credentials: 'same-origin' })
+      .then(function(r){ return r.ok ? r.json() : null; })
+      .catch(function(){ return null; });
+  }
+
+  // Keep the cached profile (used to pre-fill lender info) in step with the signed-in account.
+  function syncProfile(user){
+    try {
+      var cached = JSON.parse(localStorage.getItem(PROFILE_KEY) || '{}');
+      if(cached.email && cached.email !== user.email) cached = {};
+      cached.firstName = cached.firstName || user.firstName;
+      cached.lastName = cached.lastName || user.lastName;
+      cached.email = user.email;
+      localStorage.setItem(PROFILE_KEY, JSON.stringify(cached));
+    } catch(e){}
+  }
 
   function navHTML(){
     if(isAuthed()){
@@ -26,6 +45,15 @@
       '</nav></div></header>'].join('');
   }
 
+  function signOut(){
+    return fetch('/api/auth/signout', { method: 'POST', credentials: 'same-origin' })
+      .catch(function(){})
+      .then(function(){
+        try{ localStorage.removeItem(PROFILE_KEY); }catch(e){}
+        location.href = 'index.html';
+      });
+  }
+
   function mountNav(){
     var root = document.getElementById('siteNav');
     if(!root) return;
@@ -41,29 +69,40 @@
         }
       });
     });
-    var signOut = root.querySelector('#signOutBtn');
-    if(signOut){
-      signOut.addEventListener('click', function(){
-        try{ localStorage.removeItem(AUTH_KEY); localStorage.removeItem('userProfile'); }catch(e){}
-        location.href = 'index.html';
-      });
+    var signOutBtn = root.querySelector('#signOutBtn');
+    if(signOutBtn){
+      signOutBtn.addEventListener('click', signOut);
     }
   }
 
   function hardGateProtected(){
-    var protectedPages = ['create-note.html','dashboard.html','contracts.html','profile.html'];
+    var protectedPages = ['create-note.html','dashboard.html','contracts.html','contract.html','profile.html','audit-trail.html'];
     var path = (location.pathname || '').toLowerCase();
     var page = path.split('/').pop();
     var onProtected = protectedPages.indexOf(page) >= 0;
     if(onProtected && !isAuthed()){
       var msg = encodeURIComponent('Please sign in to continue.');
-      var redirect = encodeURIComponent(page);
+      var redirect = encodeURIComponent(page + location.search);
       location.replace('signin.html?redirect=' + redirect + '&msg=' + msg);
     }
   }
 
+  var ready = fetchSession().then(function(s){
+    session = s;
+    if(isAuthed()) syncProfile(session.user);
+    return isAuthed() ? session.user : null;
+  });
+
+  window.TrustLendAuth = {
+    ready: ready,
+    user: function(){ return isAuthed() ? session.user : null; },
+    signOut: signOut
+  };
+
   document.addEventListener('DOMContentLoaded', function(){
-    hardGateProtected();
-    mountNav();
+    ready.then(function(){
+      hardGateProtected();
+      mountNav();
+    });
   });
 })();
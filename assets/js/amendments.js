@@ -0,0 +1,69 @@
+/**
+ * TrustLend amendments.js — changes to the terms of an executed note
+ * - Pure ES module (no DOM): /api/notes/<id>/amendments, the signing page and the contract page
+ * - An amendment carries the complete amended terms. Once every party on the note has signed it
+ *   they replace note.terms, so the schedule, ledger, reminders and pay links follow the new terms;
+ *   payments already recorded stay on the ledger and are applied to the amended schedule
+ * - Only AMENDABLE_TERMS change (the loan date and late fee stay as signed). Extensions push the
+ *   final due date, skipped payments push the first payment and the final due date, and partial
+ *   forgiveness lowers the principal
+ * - Each amendment keeps the terms it replaced, so the first executed one holds the terms the note
+ *   was signed with (originalTerms), which is what the note's own documents and hashes use
+ */
+import { formatMoney, INTEREST_MODES, scheduleLabel } from "./schedule.js";
+
+export const AMENDMENT_KINDS = {
+  extension: "Due date extension",
+  skipped_payments: "Skipped payments",
+  forgiveness: "Partial forgiveness",
+  other: "Other change",
+};
+
+// pending: proposed and signed by the lender, waiting for the other parties; executed: signed by
+// every party and in effect; withdrawn: cancelled by the lender before everyone signed.
+export const AMENDMENT_STATUSES = {
+  pending: "Awaiting signatures",
+  executed: "In Effect",
+  withdrawn: "Withdrawn",
+};
+
+export const AMENDABLE_TERMS = {
+  principal: "Principal",
+  flatFee: "Flat fee",
+  interestMode: "Interest type",
+  interestRate: "Interest rate",
+  paymentSchedule: "Payment schedule",
+  firstPaymentDue: "First payment due",
+  dueDate: "Final due date",
+  lumpSumDueDate: "Lump sum due date",
+  loanTermMonths: "Loan term",
+};
+
+const MONEY_TERMS = ["principal", "flatFee"];
+
+// A term as the amendment documents print it.
+export function formatTerm(field, value) {
+  if (value === undefined || value === null || value === "") return "—";
+  if (MONEY_TERMS.includes(field)) return formatMoney(value);
+  if (field === "interestRate") return `${Number(value).toFixed(2)}%`;
+  if (field === "interestMode") return INTEREST_MODES[value]?.short || String(value);
+  if (field === "paymentSchedule") return scheduleLabel(value);
+  if (field === "loanTermMonths") return Number(value) ? `${value} months` : "—";
+  return String(value);
+}
+
+// The amendable terms that differ: [{ field, label, from, to }] in AMENDABLE_TERMS order.
+export function termsDiff(before = {}, after = {}) {
+  const same = (a, b) => String(a ?? "") === String(b ?? "");
+  return Object.keys(AMENDABLE_TERMS)
+    .filter((field) => !same(before[field], after[field]))
+    .map((field) => ({ field, label: AMENDABLE_TERMS[field], from: before[field] ?? "", to: after[field] ?? "" }));
+}
+
+export const executedAmendments = (note) => (note?.amendments || []).filter((a) => a.status === "executed");
+export const pendingAmendment = (note) => (note?.amendments || []).find((a) => a.status === "pending") || null;
+
+// The terms every party signed the note with, before any amendment.
+export function originalTerms(note) {
+  return executedAmendments(note)[0]?.previousTerms || note.terms;
+}
@@ -0,0 +1,70 @@
+/**
+ * TrustLend collateral.js — secured notes (UCC Article 9)
+ * - Pure ES module (no DOM): the wizard preview, the stored note and the PDFs share these texts
+ * - COLLATERAL_TYPES: what the borrower pledges and how its identifying number is labelled
+ * - securityAgreementClause: the grant of a security interest added to secured notes
+ * - filingOffice: where a UCC-1 is filed for a debtor in a given state. For an individual the
+ *   debtor is "located" at their principal residence (UCC §9-307), so the borrower's state decides.
+ *   Like STATE_RULES this is a screening aid; confirm with the office before filing
+ */
+import { formatMoney } from "./schedule.js";
+import { STATE_RULES } from "./compliance.js";
+
+// titled: perfected by notation on the certificate of title rather than a UCC-1 (UCC §9-311)
+export const COLLATERAL_TYPES = {
+  vehicle: { label: "Motor vehicle", serialLabel: "VIN", titled: true },
+  equipment: { label: "Equipment", serialLabel: "Serial number" },
+  inventory: { label: "Inventory", serialLabel: "Serial / SKU" },
+  accounts: { label: "Accounts receivable", serialLabel: "Account reference" },
+  consumer_goods: { label: "Consumer goods", serialLabel: "Serial number" },
+  other: { label: "Other personal property", serialLabel: "Serial / ID number" },
+};
+
+// Offices that are not the Secretary of State; everywhere else files with the Secretary of State.
+const FILING_OFFICES = {
+  AZ: "Arizona Secretary of State, UCC Division",
+  DC: "District of Columbia Recorder of Deeds",
+  DE: "Delaware Department of State, UCC Section",
+  FL: "Florida Secured Transaction Registry",
+  GA: "Clerk of any Georgia Superior Court (GSCCCA central index)",
+  HI: "Hawaii Bureau of Conveyances",
+  LA: "Clerk of Court of any Louisiana parish",
+  MD: "Maryland State Department of Assessments and Taxation",
+  NJ: "New Jersey Division of Revenue and Enterprise Services",
+  NY: "New York Department of State, UCC Unit",
+  OK: "Oklahoma County Clerk (central filing office)",
+  PA: "Pennsylvania Department of State, Bureau of Corporations and Charitable Organizations",
+  UT: "Utah Division of Corporations and Commercial Code",
+  VA: "Virginia State Corporation Commission, Clerk's Office",
+  WA: "Washington Department of Licensing, UCC Filing",
+  WI: "Wisconsin Department of Financial Institutions",
+};
+
+export function filingOffice(stateCode) {
+  const code = String(stateCode || "").toUpperCase();
+  if (FILING_OFFICES[code]) return FILING_OFFICES[code];
+  return STATE_RULES[code] ? `${STATE_RULES[code].name} Secretary of State, UCC Division` : null;
+}
+
+export const collateralLabel = (type) => COLLATERAL_TYPES[type]?.label || COLLATERAL_TYPES.other.label;
+
+// Indication of collateral for the financing statement and the note (UCC §9-108 / §9-504).
+export function collateralDescription(collateral) {
+  if (!collateral) return "";
+  const type = COLLATERAL_TYPES[collateral.type] || COLLATERAL_TYPES.other;
+  const parts = [`${type.label}: ${collateral.description}`];
+  if (collateral.serialNumbers) parts.push(`${type.serialLabel}: ${collateral.serialNumbers}`);
+  if (collateral.location) parts.push(`Located at ${collateral.location}`);
+  return parts.join("; ") + ", together with all accessions, replacements and proceeds.";
+}
+
+export function securityAgreementClause(collateral) {
+  if (!collateral) return "";
+  const value = collateral.value > 0 ? ` Borrower represents that the Collateral has a fair market value of about ${formatMoney(collateral.value)}.` : "";
+  return "To secure payment of this Note, Borrower grants Lender a security interest in the following property " +
+    `(the "Collateral"): ${collateralDescription(collateral)}${value} ` +
+    "Borrower owns the Collateral free of other liens, will keep it insured and in good repair, and will not sell or move it " +
+    "without Lender's written consent. Borrower authorizes Lender to file a UCC-1 financing statement describing the Collateral. " +
+    "On default, Lender has the rights of a secured party under Article 9 of the Uniform Commercial Code, including the right " +
+    "to take possession of and sell the Collateral and apply the proceeds to the unpaid balance.";
+}
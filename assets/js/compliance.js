@@ -0,0 +1,179 @@
+/**
+ * TrustLend compliance.js — state lending rules for private (non-licensed) loans
+ * - Pure ES module (no DOM): the wizard blocks on it and /api/compliance/check returns the same result
+ * - STATE_RULES is data: general civil usury caps for written loans between individuals,
+ *   late-fee limits and required disclosures. It is a screening aid, not legal advice, and
+ *   must be reviewed whenever a statute or an indexed rate changes (see RULES_REVIEWED)
+ * - The effective rate is the schedule APR, so a flat fee counts toward the usury cap
+ * - When lender and borrower are in different states both states' rules are applied
+ */
+import { buildSchedule, formatMoney } from "./schedule.js";
+
+export const RULES_REVIEWED = "2026-10-01";
+
+const INDEXED = "Cap is tied to a published index rate; the value here is the current approximation.";
+const PLAIN_LANGUAGE = "plain_language";
+
+// usury: max annual % (null = no general cap for written agreements), or tiers of
+// [max principal, cap] checked in order. lateFee overrides DEFAULT_LATE_FEE.
+export const STATE_RULES = {
+  AL: { name: "Alabama", usury: 8 },
+  AK: { name: "Alaska", usury: 10.5, note: INDEXED },
+  AZ: { name: "Arizona", usury: null },
+  AR: { name: "Arkansas", usury: 17 },
+  CA: { name: "California", usury: 10, lateFee: { minGraceDays: 10 }, disclosures: ["ca_translation"] },
+  CO: { name: "Colorado", usury: 12 },
+  CT: { name: "Connecticut", usury: 12, disclosures: [PLAIN_LANGUAGE] },
+  DE: { name: "Delaware", usury: 10, note: INDEXED },
+  DC: { name: "District of Columbia", usury: 24 },
+  FL: { name: "Florida", usury: [[500000, 18], [Infinity, 25]] },
+  GA: { name: "Georgia", usury: [[3000, 16], [Infinity, 60]], lateFee: { maxPercent: 5, minGraceDays: 15 } },
+  HI: { name: "Hawaii", usury: 12 },
+  ID: { name: "Idaho", usury: null },
+  IL: { name: "Illinois", usury: 9 },
+  IN: { name: "Indiana", usury: 25 },
+  IA: { name: "Iowa", usury: 12, note: INDEXED },
+  KS: { name: "Kansas", usury: 15 },
+  KY: { name: "Kentucky", usury: 8, note: INDEXED },
+  LA: { name: "Louisiana", usury: 12 },
+  ME: { name: "Maine", usury: null, disclosures: [PLAIN_LANGUAGE] },
+  MD: { name: "Maryland", usury: 24 },
+  MA: { name: "Massachusetts", usury: 20, lateFee: { maxPercent: 5, minGraceDays: 10 } },
+  MI: { name: "Michigan", usury: 7 },
+  MN: { name: "Minnesota", usury: 8 },
+  MS: { name: "Mississippi", usury: 10 },
+  MO: { name: "Missouri", usury: 10 },
+  MT: { name: "Montana", usury: 15, note: INDEXED },
+  NE: { name: "Nebraska", usury: 16 },
+  NV: { name: "Nevada", usury: null },
+  NH: { name: "New Hampshire", usury: null },
+  NJ: { name: "New Jersey", usury: 16, disclosures: [PLAIN_LANGUAGE] },
+  NM: { name: "New Mexico", usury: null },
+  NY: { name: "New York", usury: 16, lateFee: { maxPercent: 2, minGraceDays: 15 }, disclosures: [PLAIN_LANGUAGE] },
+  NC: { name: "North Carolina", usury: [[25000, 8], [Infinity, null]], lateFee: { maxPercent: 4, minGraceDays: 15 } },
+  ND: { name: "North Dakota", usury: 10, note: INDEXED },
+  OH: { name: "Ohio", usury: 8 },
+  OK: { name: "Oklahoma", usury: 10 },
+  OR: { name: "Oregon", usury: 12 },
+  PA: { name: "Pennsylvania", usury: [[50000, 6], [Infinity, null]] },
+  RI: { name: "Rhode Island", usury: 21 },
+  SC: { name: "South Carolina", usury: null, lateFee: { maxPercent: 5, minGraceDays: 10 } },
+  SD: { name: "South Dakota", usury: null },
+  TN: { name: "Tennessee", usury: 10, note: INDEXED },
+  TX: { name: "Texas", usury: 18, lateFee: { maxPercent: 5, minGraceDays: 10 } },
+  UT: { name: "Utah", usury: null },
+  VT: { name: "Vermont", usury: 12 },
+  VA: { name: "Virginia", usury: 12 },
+  WA: { name: "Washington", usury: 12 },
+  WV: { name: "West Virginia", usury: 8 },
+  WI: { name: "Wisconsin", usury: 12 },
+  WY: { name: "Wyoming", usury: 10 },
+};
+
+// Late fees above 10% of the installment are generally treated as an unenforceable penalty.
+export const DEFAULT_LATE_FEE = { maxPercent: 10, maxFlat: null, minGraceDays: 0 };
+
+export const DISCLOSURES = {
+  finance_charge: "State the amount financed, finance charge, APR, total of payments and payment schedule in the note.",
+  late_fee: "State the late fee and the grace period in the note.",
+  afr: "Family loans over $10,000 at no interest (or below the IRS Applicable Federal Rate) can have gift or imputed-interest tax consequences.",
+  ca_translation: "California Civil Code §1632: if the loan was negotiated mainly in Spanish, Chinese, Tagalog, Vietnamese or Korean, give the borrower a translation before signing.",
+  [PLAIN_LANGUAGE]: "This state requires consumer loan agreements to be written in plain, everyday language.",
+};
+
+export function stateRules(code) {
+  const rules = STATE_RULES[String(code || "").toUpperCase()];
+  return rules ? { ...rules, lateFee: { ...DEFAULT_LATE_FEE, ...rules.lateFee } } : null;
+}
+
+// Cap (annual %) that applies to `principal`, or null when the state has none.
+export function usuryCap(rules, principal) {
+  if (!Array.isArray(rules.usury)) return rules.usury;
+  const tier = rules.usury.find(([max]) => principal <= max);
+  return tier ? tier[1] : null;
+}
+
+const num = (v) => {
+  const n = Number.parseFloat(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Checks loan terms against the lender's and borrower's state rules.
+ *   input: { lenderState, borrowerState, terms } with terms shaped like a note's terms
+ * Returns { ok, apr, financeCharge, states, violations, disclosures }. Each violation is
+ * { code, severity: "error" | "warning", state, field, message, limit, actual }; only errors
+ * make `ok` false.
+ */
+export function checkCompliance(input = {}) {
+  const terms = input.terms || {};
+  const schedule = buildSchedule(terms);
+  const principal = num(terms.principal);
+  const lateFee = terms.lateFee || {};
+  const violations = [];
+  const disclosures = new Map();
+  const disclose = (code, state = null) => {
+    if (!disclosures.has(code)) disclosures.set(code, { code, state, text: DISCLOSURES[code] });
+  };
+
+  const states = [...new Set([input.lenderState, input.borrowerState].map((s) => String(s || "").toUpperCase()).filter(Boolean))];
+  if (!states.length) {
+    violations.push({ code: "state_missing", severity: "warning", state: null, field: "borrowerState", message: "Select the lender and borrower states to check state lending rules." });
+  }
+
+  for (const state of states) {
+    const rules = stateRules(state);
+    if (!rules) {
+      violations.push({ code: "state_unknown", severity: "warning", state, field: null, message: `No lending rules on file for ${state}.` });
+      continue;
+    }
+
+    const cap = usuryCap(rules, principal);
+    if (cap !== null && schedule.count && schedule.apr > cap) {
+      violations.push({
+        code: "usury_cap_exceeded",
+        severity: "error",
+        state,
+        field: num(terms.interestRate) > 0 ? "interestRate" : "flatFee",
+        message: `The effective rate of ${schedule.apr.toFixed(2)}% (APR, fees included) is above ${rules.name}'s ${cap}% limit.`,
+        limit: cap,
+        actual: schedule.apr,
+      });
+    } else if (cap !== null && rules.note && schedule.apr > cap * 0.9) {
+      violations.push({ code: "usury_cap_indexed", severity: "warning", state, field: "interestRate", message: `${rules.name}: ${rules.note}`, limit: cap, actual: schedule.apr });
+    }
+
+    if (lateFee.enabled) {
+      const amount = num(lateFee.amount);
+      const installment = schedule.paymentAmount || principal;
+      const { maxPercent, maxFlat, minGraceDays } = rules.lateFee;
+      if (lateFee.type === "percentage" && maxPercent !== null && amount > maxPercent) {
+        violations.push({ code: "late_fee_exceeded", severity: "error", state, field: "lateFeeAmount", message: `${rules.name} limits late fees to ${maxPercent}% of the installment.`, limit: maxPercent, actual: amount });
+      } else if (lateFee.type !== "percentage") {
+        const limit = Math.max(maxFlat || 0, maxPercent === null ? Infinity : Math.round(installment * maxPercent) / 100);
+        if (amount > limit) {
+          violations.push({ code: "late_fee_exceeded", severity: "error", state, field: "lateFeeAmount", message: `${rules.name} limits this late fee to ${formatMoney(limit)} (${maxPercent}% of the ${formatMoney(installment)} installment).`, limit, actual: amount });
+        }
+      }
+      const grace = num(lateFee.graceDays);
+      if (grace < minGraceDays) {
+        violations.push({ code: "grace_period_too_short", severity: "error", state, field: "graceDays", message: `${rules.name} requires a grace period of at least ${minGraceDays} days before a late fee.`, limit: minGraceDays, actual: grace });
+      }
+    }
+
+    (rules.disclosures || []).forEach((code) => disclose(code, state));
+  }
+
+  if (schedule.financeCharge > 0) disclose("finance_charge");
+  if (lateFee.enabled) disclose("late_fee");
+  if (principal > 10000 && !(num(terms.interestRate) > 0 && terms.interestMode !== "none")) disclose("afr");
+
+  return {
+    ok: !violations.some((v) => v.severity === "error"),
+    apr: schedule.apr,
+    financeCharge: schedule.financeCharge,
+    states,
+    violations,
+    disclosures: [...disclosures.values()],
+  };
+}
@@ -2,30 +2,46 @@
 /**
  * TrustLend contracts.js (cleanup)
  * - Removes any legacy duplicate "Payment Breakdown in Preview"
- * - Exposes a helper to pull canonical inputs for PDF payloads & Documint
+ * - Exposes a helper to pull canonical inputs from the wizard form
+ * - Breakdown rows come from the shared schedule engine, not from scraping #breakdownBody
+ * - Carries the interest terms and the APR / finance-charge disclosure with the amortization rows
  */
+import { breakdownRows, buildSchedule } from "./schedule.js";
+
 export function collectContractData(){
-  const $ = (id)=>document.getElementById(id);
   const clean = (s)=> (s||"").toString().trim();
   const num = (s)=> (isFinite(parseFloat(s)) ? parseFloat(s) : 0);
   const get = (id)=> (document.getElementById(id)?.value ?? "");
 
-  return {
+  const terms = {
     principal: num(get('principal')),
+    flatFee: num(get('flatFee')),
+    interestMode: clean(get('interestMode')) || 'none',
+    interestRate: num(get('interestRate')),
     loanDate: clean(get('loanDate')),
     dueDate: clean(get('dueDate')),
-    schedule: clean(get('paymentSchedule')),
+    loanTermMonths: clean(get('loanTermMonths')),
+    paymentSchedule: clean(get('paymentSchedule')),
     firstPaymentDue: clean(get('firstPaymentDue')),
+    lumpSumDueDate: clean(get('lumpSumDueDate'))
+  };
+  const schedule = buildSchedule(terms);
+
+  return {
+    principal: terms.principal,
+    flatFee: terms.flatFee,
+    interestMode: schedule.interestMode,
+    interestRate: schedule.interestRate,
+    apr: schedule.apr,
+    financeCharge: schedule.financeCharge,
+    amountFinanced: schedule.amountFinanced,
+    loanDate: terms.loanDate,
+    dueDate: terms.dueDate,
+    schedule: terms.paymentSchedule,
+    firstPaymentDue: schedule.firstPaymentDate || terms.firstPaymentDue,
     borrowerName: clean(get('borrowerFullName') || get('borrowerName')),
     lenderName: clean(get('lenderFullName') || get('lenderName')),
-    // breakdown rows (if present)
-    breakdown: Array.from(document.querySelectorAll('#breakdownBody tr')).map(tr => {
-      const tds = tr.querySelectorAll('td');
-      return {
-        index: (tds[0]?.textContent||'').trim(),
-        date: (tds[1]?.textContent||'').trim(),
-        amount: (tds[2]?.textContent||'').replace('$','').trim()
-      };
-    })
+    totals: schedule.totals,
+    breakdown: breakdownRows(schedule)
   };
 }
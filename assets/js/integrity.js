@@ -0,0 +1,59 @@
+/**
+ * TrustLend integrity.js — document fingerprints shared by the browser and api/
+ * - canonicalJson: key-sorted JSON with no whitespace, so the same note always hashes the same
+ * - canonicalNote: the parts of a note that make up the agreement (not drafts, versions or receipts),
+ *   with the terms it was signed with; amendments carry their own hashes (amendments.js)
+ * - documentHash = SHA-256( canonicalJson(note) + "\n" + sha256(pdf bytes) ), all hex
+ * - Uses Web Crypto (crypto.subtle), available in browsers and in Node 20+
+ */
+import { originalTerms } from "./amendments.js";
+
+export function canonicalJson(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value ?? null);
+  if (Array.isArray(value)) return "[" + value.map(canonicalJson).join(",") + "]";
+  return "{" + Object.keys(value)
+    .filter((k) => value[k] !== undefined)
+    .sort()
+    .map((k) => JSON.stringify(k) + ":" + canonicalJson(value[k]))
+    .join(",") + "}";
+}
+
+// Agreement content only: editing any of these after a receipt is issued shows up as "altered".
+export function canonicalNote(note) {
+  return {
+    id: note.id,
+    title: note.title,
+    lender: note.lender,
+    borrower: note.borrower,
+    // Co-lenders, co-borrowers and guarantors; omitted when there are none, like collateral
+    parties: note.parties?.length ? note.parties : undefined,
+    // Executed amendments replace note.terms; the note itself still fingerprints as signed
+    terms: originalTerms(note),
+    // Omitted for unsecured notes so their fingerprints are unchanged
+    collateral: note.collateral || undefined,
+    // The contract template's clauses; omitted for the standard template
+    template: note.template || undefined,
+    signatures: note.signatures,
+    createdAt: note.createdAt,
+  };
+}
+
+const hex = (buf) => Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+
+// `data` is a string (hashed as UTF-8), an ArrayBuffer or a typed array.
+export async function sha256Hex(data) {
+  const bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+  return hex(await globalThis.crypto.subtle.digest("SHA-256", bytes));
+}
+
+// Combined hash for a note whose PDF fingerprint is already known (what /api/verify recomputes).
+export async function combinedHash(note, pdfHash) {
+  const canonical = canonicalJson(canonicalNote(note));
+  return { hash: await sha256Hex(canonical + "\n" + pdfHash), noteHash: await sha256Hex(canonical), pdfHash };
+}
+
+export async function documentHash(note, pdfBytes) {
+  return combinedHash(note, await sha256Hex(pdfBytes));
+}
+
+export const shortHash = (h) => (h ? `${h.slice(0, 10)}…${h.slice(-6)}` : "");
@@ -0,0 +1,233 @@
+/**
+ * TrustLend ledger.js — repayments recorded against a note's payment schedule
+ * - Pure ES module (no DOM): /api/notes/<id>/payments, the contract page and the dashboard
+ * - Payments are applied in date order: first the installments already due, then assessed late
+ *   fees, then the next installment (so paying a few days early counts as the regular payment),
+ *   then the rest prepays principal, latest installment first. The schedule is not re-amortized
+ * - Within an installment money goes to interest, then the fee, then principal
+ * - A late fee (terms.lateFee) is assessed once for each installment still unpaid when its grace
+ *   period ends: a flat amount or a percentage of the installment
+ * - A payment that covers the payoff quote closes the note; interest that has not accrued yet is
+ *   not charged. The payoff quote is unpaid principal, fees and late fees plus interest due or
+ *   accrued (actual/365) since the last due date
+ * - Status: paid_in_full, defaulted (an installment more than DEFAULT_DAYS past due, as in the
+ *   note's Default section), late (anything past due), current
+ */
+import { addDays, buildSchedule, daysBetween, formatDate, fromCents, toCents } from "./schedule.js";
+
+export const PAYMENT_METHODS = {
+  cash: "Cash",
+  check: "Check",
+  ach: "Bank transfer (ACH)",
+  zelle: "Zelle",
+  venmo: "Venmo",
+  paypal: "PayPal",
+  card: "Card",
+  other: "Other",
+};
+
+export const LEDGER_STATUSES = {
+  current: "Current",
+  late: "Late",
+  defaulted: "Defaulted",
+  paid_in_full: "Paid in Full",
+};
+
+// note.status that goes with each ledger status once a note is in repayment
+export const NOTE_STATUS_FOR = { current: "active", late: "overdue", defaulted: "overdue", paid_in_full: "complete" };
+
+export const DEFAULT_DAYS = 30;
+
+const PARTS = ["interest", "fee", "principal"];
+const sum = (o) => o.interest + o.fee + o.principal;
+const dollars = (o) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k, fromCents(v)]));
+
+function lateFeeCents(lateFee, amountCents) {
+  if (!lateFee?.enabled || !(lateFee.amount > 0)) return 0;
+  return lateFee.type === "percentage" ? Math.round((amountCents * lateFee.amount) / 100) : toCents(lateFee.amount);
+}
+
+// Takes up to `cents` from the row's unpaid parts, in `order`; returns what was taken.
+function take(row, cents, order = PARTS) {
+  let taken = 0;
+  for (const part of order) {
+    const t = Math.min(cents - taken, row.owed[part]);
+    row.owed[part] -= t;
+    taken += t;
+  }
+  return taken;
+}
+
+// Payments sorted for application: by date, then by when they were recorded.
+export function sortPayments(payments = []) {
+  return payments.slice().sort((a, b) => a.date.localeCompare(b.date) || String(a.recordedAt || "").localeCompare(String(b.recordedAt || "")));
+}
+
+/**
+ * Applies `payments` ([{ id, date, amount, method, memo }]) dated on or before `asOf` to the
+ * schedule of `terms`. Returns the installments with what is still owed, the running ledger
+ * (payments and late fees with the balance after each), totals, the next due installment,
+ * the status and a payoff quote as of `asOf`. Money is in dollars.
+ */
+export function buildLedger(terms = {}, payments = [], asOf = formatDate(new Date())) {
+  const schedule = buildSchedule(terms);
+  const grace = Math.max(0, Math.round(Number(terms.lateFee?.graceDays) || 0));
+  const rate = schedule.interestMode === "none" ? 0 : schedule.interestRate / 100;
+  const rows = schedule.installments.map((r) => ({
+    number: r.number,
+    dueDate: r.dueDate,
+    amount: toCents(r.amount),
+    owed: { interest: toCents(r.interest), fee: toCents(r.fee), principal: toCents(r.principal) },
+    lateDate: addDays(r.dueDate, grace + 1),
+    assessed: false,
+    lateFee: 0,
+    lateFeePaid: 0,
+    paidOn: null,
+  }));
+  const entries = [];
+  const outstanding = () => rows.reduce((s, r) => s + sum(r.owed) + r.lateFee - r.lateFeePaid, 0);
+
+  const assessUntil = (date) => {
+    for (const row of rows) {
+      if (row.assessed || row.lateDate > date) continue;
+      row.assessed = true;
+      const fee = sum(row.owed) > 0 ? lateFeeCents(terms.lateFee, row.amount) : 0;
+      if (!fee) continue;
+      row.lateFee = fee;
+      entries.push({ type: "late_fee", date: row.lateDate, installment: row.number, amount: fee, balance: outstanding() });
+    }
+  };
+
+  const payoffAt = (date) => {
+    const quote = { principal: 0, interest: 0, fees: 0, lateFees: 0 };
+    let lastDue = terms.loanDate || "";
+    let accruing = 0;
+    for (const row of rows) {
+      quote.principal += row.owed.principal;
+      quote.fees += row.owed.fee;
+      quote.lateFees += row.lateFee - row.lateFeePaid;
+      if (row.dueDate <= date) {
+        quote.interest += row.owed.interest;
+        lastDue = row.dueDate;
+      } else {
+        accruing += row.owed.principal;
+      }
+    }
+    if (rate && lastDue) quote.interest += Math.round((accruing * rate * Math.max(0, daysBetween(lastDue, date))) / 365);
+    return { ...quote, total: quote.principal + quote.interest + quote.fees + quote.lateFees };
+  };
+
+  for (const payment of sortPayments(payments).filter((p) => p.date <= asOf)) {
+    assessUntil(payment.date);
+    let left = toCents(payment.amount);
+    const applied = { installments: 0, lateFees: 0, principal: 0 };
+    const quote = payoffAt(payment.date);
+
+    if (quote.total > 0 && left >= quote.total) {
+      for (const row of rows) {
+        if (row.dueDate <= payment.date) applied.installments += sum(row.owed);
+        applied.lateFees += row.lateFee - row.lateFeePaid;
+        row.owed = { interest: 0, fee: 0, principal: 0 };
+        row.lateFeePaid = row.lateFee;
+      }
+      applied.principal = quote.total - applied.installments - applied.lateFees;
+      left -= quote.total;
+    } else {
+      const next = rows.find((r) => sum(r.owed) > 0 && r.dueDate > payment.date);
+      for (const row of rows.filter((r) => r.dueDate <= payment.date)) {
+        const t = take(row, left);
+        applied.installments += t;
+        left -= t;
+      }
+      for (const row of rows) {
+        const t = Math.min(left, row.lateFee - row.lateFeePaid);
+        row.lateFeePaid += t;
+        applied.lateFees += t;
+        left -= t;
+      }
+      if (next) {
+        const t = take(next, left);
+        applied.installments += t;
+        left -= t;
+      }
+      for (const row of rows.slice().reverse()) {
+        const t = take(row, left, ["principal"]);
+        applied.principal += t;
+        left -= t;
+      }
+      // Principal is gone but scheduled fees/interest remain: settle those in due order.
+      for (const row of rows) {
+        const t = take(row, left);
+        applied.installments += t;
+        left -= t;
+      }
+    }
+    for (const row of rows) {
+      if (!row.paidOn && sum(row.owed) === 0) row.paidOn = payment.date;
+    }
+    entries.push({
+      type: "payment",
+      id: payment.id,
+      date: payment.date,
+      amount: toCents(payment.amount),
+      method: payment.method,
+      memo: payment.memo || "",
+      applied: dollars(applied),
+      unapplied: left,
+      balance: outstanding(),
+    });
+  }
+  assessUntil(asOf);
+
+  const unpaid = rows.filter((r) => sum(r.owed) > 0);
+  const overdue = unpaid.filter((r) => r.dueDate < asOf);
+  const daysPastDue = overdue.length ? daysBetween(overdue[0].dueDate, asOf) : 0;
+  const balance = outstanding();
+  let status = "current";
+  if (rows.length && balance === 0) status = "paid_in_full";
+  else if (daysPastDue > DEFAULT_DAYS) status = "defaulted";
+  else if (daysPastDue > 0) status = "late";
+
+  const paid = entries.filter((e) => e.type === "payment").reduce((s, e) => s + e.amount - e.unapplied, 0);
+  const lateFees = rows.reduce((s, r) => s + r.lateFee, 0);
+  return {
+    asOf,
+    status,
+    daysPastDue,
+    nextDue: unpaid.length ? { number: unpaid[0].number, dueDate: unpaid[0].dueDate, amount: fromCents(sum(unpaid[0].owed)) } : null,
+    installments: rows.map((r) => {
+      const remaining = sum(r.owed);
+      let rowStatus = "upcoming";
+      if (!remaining) rowStatus = "paid";
+      else if (r.dueDate < asOf) rowStatus = "late";
+      else if (r.dueDate === asOf) rowStatus = "due";
+      else if (remaining < r.amount) rowStatus = "partial";
+      return {
+        number: r.number,
+        dueDate: r.dueDate,
+        amount: fromCents(r.amount),
+        paid: fromCents(r.amount - remaining),
+        remaining: fromCents(remaining),
+        lateFee: fromCents(r.lateFee),
+        lateFeePaid: fromCents(r.lateFeePaid),
+        paidOn: r.paidOn,
+        status: rowStatus,
+      };
+    }),
+    entries: entries.map((e) => ({ ...e, amount: fromCents(e.amount), balance: fromCents(e.balance), ...(e.type === "payment" ? { unapplied: fromCents(e.unapplied) } : {}) })),
+    totals: {
+      scheduled: schedule.totals.amount,
+      paid: fromCents(paid),
+      lateFees: fromCents(lateFees),
+      outstanding: fromCents(balance),
+      principalBalance: fromCents(rows.reduce((s, r) => s + r.owed.principal, 0)),
+      pastDue: fromCents(overdue.reduce((s, r) => s + sum(r.owed) + r.lateFee - r.lateFeePaid, 0)),
+    },
+    payoff: { date: asOf, ...dollars(payoffAt(asOf)) },
+  };
+}
+
+// Amount that closes the note on `date`, given the payments made by then.
+export function payoffQuote(terms, payments, date) {
+  return buildLedger(terms, payments, date).payoff;
+}
@@ -0,0 +1,175 @@
+/**
+ * TrustLend notes-client.js
+ * - Thin wrapper around /api/notes for the dashboard, My Contracts and create-note pages,
+ *   /api/templates for the contract templates (create-note and profile) and /api/analytics for the
+ *   dashboard's portfolio charts
+ * - Exposes window.TrustLendNotes { list, get, create, update, remove, timestamp, audit, appendAudit,
+ *   auditCertificate, invite, invites, payments, recordPayment, voidPayment, payLink, payLinks,
+ *   verifyIdentity, sensitiveField, deliveries, scheduleDelivery, rescheduleDelivery, cancelDelivery,
+ *   amendments, proposeAmendment, withdrawAmendment, templates, saveTemplate, deleteTemplate,
+ *   analytics }
+ *   plus display helpers
+ * - Rejects with an Error whose .code is the API error string (e.g. "not_found", "unauthorized") and
+ *   .fields the per-field problems of a rejected body ([{ field, code, message }], see validation.js)
+ */
+(function(){
+  async function request(path, options = {}){
+    const resp = await fetch(path, {
+      credentials: 'same-origin',
+      ...options,
+      headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      const err = new Error(data.error || 'HTTP ' + resp.status);
+      err.code = data.error;
+      err.status = resp.status;
+      err.fields = data.fields || [];
+      err.data = data;
+      throw err;
+    }
+    return data;
+  }
+
+  function list(filters = {}){
+    const qs = new URLSearchParams();
+    Object.keys(filters).forEach((k) => { if (filters[k]) qs.set(k, filters[k]); });
+    const q = qs.toString();
+    return request('/api/notes' + (q ? '?' + q : '')).then((d) => d.notes);
+  }
+  const get = (id) => request('/api/notes/' + encodeURIComponent(id)).then((d) => d.note);
+  const create = (note) => request('/api/notes', { method: 'POST', body: note }).then((d) => d.note);
+  const update = (id, patch) => request('/api/notes/' + encodeURIComponent(id), { method: 'PATCH', body: patch }).then((d) => d.note);
+  const remove = (id) => request('/api/notes/' + encodeURIComponent(id), { method: 'DELETE' });
+  // Timestamps the contract as the server renders it; resolves to the signed receipt stored on the note
+  const timestamp = (id) => request('/api/timestamp', { method: 'POST', body: { noteId: id } }).then((d) => d.receipt);
+  // audit: { events, chain: { valid, brokenAt, head } }; appendAudit resolves to the stored event
+  const audit = (id) => request('/api/notes/' + encodeURIComponent(id) + '/audit');
+  const appendAudit = (id, event) => request('/api/notes/' + encodeURIComponent(id) + '/audit', { method: 'POST', body: event }).then((d) => d.event);
+  const auditCertificate = (id) => request('/api/notes/' + encodeURIComponent(id) + '/audit?format=certificate').then((d) => d.certificate);
+  // invite: emails the borrower (or payload.party, a co-party's id) a signing link, resolves to
+  // { signing, invite }; invites: { signing, invites }
+  const invite = (id, payload) => request('/api/notes/' + encodeURIComponent(id) + '/invite', { method: 'POST', body: payload });
+  const invites = (id) => request('/api/notes/' + encodeURIComponent(id) + '/invite');
+  // payments: { payments, ledger, payoff } for query { asOf, payoffDate }; record/void resolve to
+  // { status, release, ledger } after the change
+  const payments = (id, query = {}) => {
+    const qs = new URLSearchParams();
+    Object.keys(query).forEach((k) => { if (query[k]) qs.set(k, query[k]); });
+    const q = qs.toString();
+    return request('/api/notes/' + encodeURIComponent(id) + '/payments' + (q ? '?' + q : ''));
+  };
+  const recordPayment = (id, payment) => request('/api/notes/' + encodeURIComponent(id) + '/payments', { method: 'POST', body: payment });
+  const voidPayment = (id, paymentId) => request('/api/notes/' + encodeURIComponent(id) + '/payments?paymentId=' + encodeURIComponent(paymentId), { method: 'DELETE' });
+  // payLink: creates (and emails) a borrower pay link, resolves to { payLink, url }; payLinks: { payLinks }
+  const payLink = (id, payload) => request('/api/notes/' + encodeURIComponent(id) + '/pay-link', { method: 'POST', body: payload });
+  const payLinks = (id) => request('/api/notes/' + encodeURIComponent(id) + '/pay-link');
+  // verifyIdentity: starts identity verification of 'lender' or 'borrower', resolves to { session, url };
+  // send the party to url, they come back to returnUrl (a path on this site)
+  const verifyIdentity = (id, role, returnUrl) => request('/api/idv/start', { method: 'POST', body: { noteId: id, role, returnUrl } });
+  // sensitiveField: the full value of a party's sealed 'dob' or 'ssn' (each read is audited); notes
+  // themselves only say which are on file (note.sensitive.borrower.dob === true)
+  const sensitiveField = (id, role, field) => request('/api/notes/' + encodeURIComponent(id) + '/sensitive?role=' + encodeURIComponent(role) + '&field=' + encodeURIComponent(field)).then((d) => d.value);
+  // deliveries: the note's scheduled sends; schedule { kind: 'invite'|'package', email, message,
+  // sendAt: 'YYYY-MM-DDTHH:mm', timeZone } and reschedule { sendAt, timeZone } resolve to the delivery
+  const deliveriesPath = (id, deliveryId) => '/api/notes/' + encodeURIComponent(id) + '/deliveries' + (deliveryId ? '?deliveryId=' + encodeURIComponent(deliveryId) : '');
+  const deliveries = (id) => request(deliveriesPath(id)).then((d) => d.deliveries);
+  const scheduleDelivery = (id, payload) => request(deliveriesPath(id), { method: 'POST', body: payload }).then((d) => d.delivery);
+  const rescheduleDelivery = (id, deliveryId, payload) => request(deliveriesPath(id, deliveryId), { method: 'PATCH', body: payload }).then((d) => d.delivery);
+  const cancelDelivery = (id, deliveryId) => request(deliveriesPath(id, deliveryId), { method: 'DELETE' }).then((d) => d.delivery);
+  // amendments: the note's amendments, newest first; propose { kind, reason, effectiveDate, terms,
+  // consent, signature, email, message } resolves to { amendment, invite }, withdraw to the amendment
+  const amendmentsPath = (id, amendmentId) => '/api/notes/' + encodeURIComponent(id) + '/amendments' + (amendmentId ? '?amendmentId=' + encodeURIComponent(amendmentId) : '');
+  const amendments = (id) => request(amendmentsPath(id)).then((d) => d.amendments);
+  const proposeAmendment = (id, payload) => request(amendmentsPath(id), { method: 'POST', body: payload });
+  const withdrawAmendment = (id, amendmentId) => request(amendmentsPath(id, amendmentId), { method: 'DELETE' }).then((d) => d.amendment);
+  // { builtIn, templates }: the built-in contract templates and the account's own
+  const templates = () => request('/api/templates');
+  // Creates a template, or replaces the saved one with `id`
+  const saveTemplate = (id, template) => (id
+    ? request('/api/templates/' + encodeURIComponent(id), { method: 'PUT', body: template })
+    : request('/api/templates', { method: 'POST', body: template })).then((d) => d.template);
+  const deleteTemplate = (id) => request('/api/templates/' + encodeURIComponent(id), { method: 'DELETE' });
+  // The portfolio summary for the dashboard (see api/_utils/analytics.js); asOf defaults to today
+  const analytics = (asOf) => request('/api/analytics/summary' + (asOf ? '?asOf=' + encodeURIComponent(asOf) : '')).then((d) => d.summary);
+
+  // ---- display helpers shared by the list pages ----
+  const STATUS = {
+    draft: { label: 'Draft', cls: 'bg-gray-100 text-gray-800' },
+    pending_signature: { label: 'Pending Signature', cls: 'bg-yellow-100 text-yellow-800' },
+    active: { label: 'Active', cls: 'bg-green-100 text-green-800' },
+    overdue: { label: 'Overdue', cls: 'bg-red-100 text-red-800' },
+    complete: { label: 'Complete', cls: 'bg-gray-100 text-gray-800' },
+    cancelled: { label: 'Cancelled', cls: 'bg-gray-100 text-gray-500' }
+  };
+  // note.signing.status for notes sent out for remote signing
+  const SIGNING = {
+    sent: { label: 'Link Sent', cls: 'bg-blue-100 text-blue-800' },
+    viewed: { label: 'Viewed by Borrower', cls: 'bg-indigo-100 text-indigo-800' },
+    signed: { label: 'Borrower Signed', cls: 'bg-teal-100 text-teal-800' },
+    executed: { label: 'Executed', cls: 'bg-green-100 text-green-800' }
+  };
+  // ledger.status from /payments
+  const LEDGER = {
+    current: { label: 'Current', cls: 'bg-green-100 text-green-800' },
+    late: { label: 'Late', cls: 'bg-orange-100 text-orange-800' },
+    defaulted: { label: 'Defaulted', cls: 'bg-red-100 text-red-800' },
+    paid_in_full: { label: 'Paid in Full', cls: 'bg-gray-100 text-gray-800' }
+  };
+  // note.identity.<role>.status from identity verification
+  const IDENTITY = {
+    pending: { label: 'ID Check Pending', cls: 'bg-yellow-100 text-yellow-800' },
+    verified: { label: 'ID Verified', cls: 'bg-green-100 text-green-800' },
+    failed: { label: 'ID Check Failed', cls: 'bg-red-100 text-red-800' },
+    needs_review: { label: 'ID Needs Review', cls: 'bg-orange-100 text-orange-800' }
+  };
+  // note.deliveries[].status and .kind for scheduled deliveries
+  const DELIVERY = {
+    scheduled: { label: 'Scheduled', cls: 'bg-blue-100 text-blue-800' },
+    sending: { label: 'Sending', cls: 'bg-indigo-100 text-indigo-800' },
+    sent: { label: 'Sent', cls: 'bg-green-100 text-green-800' },
+    failed: { label: 'Failed', cls: 'bg-red-100 text-red-800' },
+    cancelled: { label: 'Cancelled', cls: 'bg-gray-100 text-gray-500' }
+  };
+  const DELIVERY_KINDS = { invite: 'Signing invitation', package: 'Contract package' };
+  // note.amendments[].status
+  const AMENDMENT = {
+    pending: { label: 'Awaiting signatures', cls: 'bg-yellow-100 text-yellow-800' },
+    executed: { label: 'In Effect', cls: 'bg-green-100 text-green-800' },
+    withdrawn: { label: 'Withdrawn', cls: 'bg-gray-100 text-gray-500' }
+  };
+  const TIER = {
+    essential: { label: 'Essential Protection', cls: 'bg-blue-100 text-blue-800' },
+    maximum: { label: 'Maximum Protection', cls: 'bg-purple-100 text-purple-800' }
+  };
+  const money = (n) => Number(n || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+  const date = (v) => {
+    if (!v) return '—';
+    const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(v) ? v + 'T00:00:00' : v);
+    return isNaN(d) ? '—' : d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  };
+  const escapeHtml = (s) => String(s == null ? '' : s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  const partyName = (p) => [p && p.firstName, p && p.lastName].filter(Boolean).join(' ') || '—';
+  const finalPaymentDate = (n) => n.terms.lumpSumDueDate || n.terms.dueDate;
+  // When a delivery goes out, in the time zone it was scheduled in
+  const deliveryTime = (d) => new Date(d.nextAttemptAt || d.sendAt).toLocaleString('en-US', {
+    timeZone: d.timeZone, month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+  });
+  // IANA zones for a time zone picker, the browser's own first
+  const timeZones = () => {
+    const own = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    const all = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone')
+      : ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu', 'UTC'];
+    return [own, ...all.filter((z) => z !== own)];
+  };
+
+  window.TrustLendNotes = {
+    list, get, create, update, remove, timestamp, audit, appendAudit, auditCertificate, invite, invites,
+    payments, recordPayment, voidPayment, payLink, payLinks, verifyIdentity, sensitiveField,
+    deliveries, scheduleDelivery, rescheduleDelivery, cancelDelivery, amendments, proposeAmendment, withdrawAmendment,
+    templates, saveTemplate, deleteTemplate, analytics,
+    STATUS, SIGNING, LEDGER, IDENTITY, DELIVERY, DELIVERY_KINDS, AMENDMENT, TIER, money, date, escapeHtml, partyName, finalPaymentDate,
+    deliveryTime, timeZones
+  };
+})();
@@ -0,0 +1,97 @@
+/**
+ * TrustLend parties.js — everyone on a note: lender, co-lenders, borrower, co-borrowers, guarantors
+ * - Pure ES module (no DOM): api/_utils (notes, signing, documents), create-note.html and the
+ *   signing page
+ * - note.lender and note.borrower stay the primary parties. note.parties lists the others, each
+ *   { id, role, firstName, lastName, email, phone, address, city, state, zip } with a role from
+ *   ADDITIONAL_ROLES; their signatures go in note.signatures under the party's id
+ * - Every party signs: the lender in the wizard, everyone else from their own signing link. The
+ *   note is executed once the last of them has signed
+ * - Borrowers and co-borrowers are jointly and severally liable, guarantors guarantee payment and
+ *   co-lenders hold the note with the lender (partyClauses, printed in the note)
+ */
+export const PARTY_ROLES = {
+  lender: { label: "Lender" },
+  co_lender: { label: "Co-Lender" },
+  borrower: { label: "Borrower" },
+  co_borrower: { label: "Co-Borrower" },
+  guarantor: { label: "Guarantor" },
+};
+
+export const ADDITIONAL_ROLES = ["co_lender", "co_borrower", "guarantor"];
+export const MAX_ADDITIONAL_PARTIES = 8;
+
+// The order parties are listed and sign in the documents: makers first, as on a signature page.
+const ROLE_ORDER = ["borrower", "co_borrower", "guarantor", "lender", "co_lender"];
+
+const fullName = (p) => `${p?.firstName || ""} ${p?.lastName || ""}`.trim();
+
+/**
+ * Everyone on `note` as [{ key, role, label, party }] in ROLE_ORDER. `key` is where the party's
+ * signature goes in note.signatures: "lender", "borrower" or the party's id.
+ */
+export function noteParties(note) {
+  const all = [
+    { key: "borrower", role: "borrower", party: note?.borrower || {} },
+    { key: "lender", role: "lender", party: note?.lender || {} },
+    ...(note?.parties || []).filter((p) => PARTY_ROLES[p.role]).map((p) => ({ key: p.id, role: p.role, party: p })),
+  ];
+  return ROLE_ORDER.flatMap((role) => all.filter((p) => p.role === role).map((p) => ({ ...p, label: PARTY_ROLES[role].label })));
+}
+
+export const findParty = (note, key) => noteParties(note).find((p) => p.key === key) || null;
+
+// The parties still to sign, given `signatures` (the note's own by default).
+export const unsignedParties = (note, signatures = note?.signatures) => noteParties(note).filter((p) => !signatures?.[p.key]);
+export const allSigned = (note, signatures) => !unsignedParties(note, signatures).length;
+
+// "A", "A and B", "A, B and C".
+export function joinNames(names) {
+  const list = names.filter(Boolean);
+  return list.length < 3 ? list.join(" and ") : `${list.slice(0, -1).join(", ")} and ${list[list.length - 1]}`;
+}
+
+const withRoles = (note, roles) => noteParties(note).filter((p) => roles.includes(p.role));
+export const makers = (note) => withRoles(note, ["borrower", "co_borrower"]);
+export const holders = (note) => withRoles(note, ["lender", "co_lender"]);
+export const guarantors = (note) => withRoles(note, ["guarantor"]);
+
+// The names of `parties` for a sentence ("Jane Doe and John Doe").
+export const partyNames = (parties) => joinNames(parties.map((p) => fullName(p.party))) || "—";
+
+/**
+ * The note's wording for more than one borrower or lender, or a guarantor: [{ heading, text }],
+ * empty for a note between one lender and one borrower.
+ */
+export function partyClauses(note) {
+  const clauses = [];
+  const borrowers = makers(note);
+  const lenders = holders(note);
+  const sureties = guarantors(note);
+  if (borrowers.length > 1) {
+    clauses.push({
+      heading: "Joint and Several Liability",
+      text: `${partyNames(borrowers)} each sign this Note as Borrower and are jointly and severally liable for all amounts owed under it. ` +
+        "Lender may demand full payment from any one of them or from all of them, without first proceeding against the others, " +
+        "and a release of, or an extension or other accommodation granted to, one of them does not release the others.",
+    });
+  }
+  if (lenders.length > 1) {
+    clauses.push({
+      heading: "Co-Lenders",
+      text: `${partyNames(lenders)} together hold this Note as Lender. A payment made to any of them is a payment to Lender, ` +
+        "and any of them may give notices and receipts on Lender's behalf.",
+    });
+  }
+  if (sureties.length) {
+    const one = sureties.length === 1;
+    clauses.push({
+      heading: "Guaranty",
+      text: `${partyNames(sureties)} (${one ? "" : "jointly and severally, "}"Guarantor") unconditionally guarantee${one ? "s" : ""} to Lender ` +
+        "the full and punctual payment of all amounts owed under this Note. Guarantor is jointly and severally liable with Borrower; " +
+        "Lender need not first demand payment from or proceed against Borrower or any collateral. Guarantor waives presentment, " +
+        "notice of default and notice of any extension or amendment of this Note, and remains liable after any of them.",
+    });
+  }
+  return clauses;
+}
@@ -0,0 +1,50 @@
+/**
+ * TrustLend plans.js — the plan catalog: what each TrustLend plan costs and which features it includes
+ * - Pure ES module (no DOM): /api/create-payment-intent prices a purchase from it, the server's
+ *   entitlement checks read it, and create-note.html uses it to show what a paid plan unlocks
+ * - Prices are in cents (what Stripe charges). A plan is only paid once the Stripe webhook has
+ *   stored it on the note (note.plan); choosing a tier (note.tier) unlocks nothing by itself
+ * - Moving up from a paid plan costs the difference between the two prices
+ */
+
+export const FEATURES = {
+  contract_pdf: "Promissory note PDF",
+  signing: "Digital signatures (both parties)",
+  email_delivery: "Email delivery & tracking",
+  premium_templates: "Premium contract templates",
+  enhanced_signatures: "Biometric & geofenced signatures",
+  reminders: "Automatic payment reminders",
+  idv: "ID verification",
+  package: "Court evidence package",
+  ucc: "UCC attachment & UCC-1 financing statement",
+};
+
+const ESSENTIAL = ["contract_pdf", "signing", "email_delivery"];
+
+export const PLANS = {
+  essential: { name: "Essential Protection", price: 1499, features: ESSENTIAL },
+  maximum: {
+    name: "Maximum Protection",
+    price: 2999,
+    features: [...ESSENTIAL, "premium_templates", "enhanced_signatures", "reminders", "idv", "package", "ucc"],
+  },
+};
+
+export function planIncludes(planId, feature) {
+  return !!PLANS[planId]?.features.includes(feature);
+}
+
+// The cheapest plan that includes `feature` (what to offer when it is missing).
+export function planFor(feature) {
+  return Object.keys(PLANS)
+    .filter((id) => planIncludes(id, feature))
+    .sort((a, b) => PLANS[a].price - PLANS[b].price)[0] || null;
+}
+
+// Cents still to pay to hold `planId` when `paidPlanId` (or nothing) is already paid; 0 when
+// the paid plan is already the same or a pricier one.
+export function planPrice(planId, paidPlanId) {
+  const plan = PLANS[planId];
+  if (!plan) return null;
+  return Math.max(0, plan.price - (PLANS[paidPlanId]?.price || 0));
+}
@@ -0,0 +1,147 @@
+/**
+ * TrustLend reminders.js — which payment reminders an installment is due for, and their wording
+ * - Pure ES module (no DOM): the reminder job (api/_utils/reminders.js) decides what to send with
+ *   it, and create-note.html uses it to edit and preview the messages
+ * - Kinds: "before_due" (each of settings.daysBefore days ahead), "due" (on the due date) and three
+ *   escalating overdue notices counted from the end of the grace period (terms.lateFee.graceDays):
+ *   the day after it, a week after it, and once the installment is DEFAULT_DAYS past due
+ * - Only the latest reminder an unpaid installment has reached is offered, so a run that was
+ *   missed never sends a backlog of stale notices
+ * - Templates are { subject, text, sms } with {{placeholders}}; a note's own templates
+ *   (note.reminders.templates) replace the defaults kind by kind
+ */
+import { addDays, daysBetween, formatMoney } from "./schedule.js";
+import { DEFAULT_DAYS } from "./ledger.js";
+
+export const REMINDER_KINDS = {
+  before_due: "Payment reminder",
+  due: "Payment due today",
+  overdue: "Overdue notice",
+  overdue_second: "Second overdue notice",
+  overdue_final: "Final notice",
+};
+
+export const DEFAULT_REMINDER_SETTINGS = { enabled: true, daysBefore: [7, 3, 1], sms: false };
+export const MAX_DAYS_BEFORE = 30;
+
+export const TEMPLATE_FIELDS = {
+  borrowerName: "Borrower's name",
+  lenderName: "Lender's name",
+  noteTitle: "Note title",
+  installment: "Installment number",
+  amount: "Amount still owed on the installment",
+  dueDate: "Due date",
+  daysUntilDue: "Days until the due date",
+  daysLate: "Days past due",
+  lateFee: "Late fee charged (or that will be)",
+  lateFeeNotice: "A sentence stating the late fee, empty when the note has none",
+  pastDue: "Everything past due on the note",
+};
+
+export const DEFAULT_TEMPLATES = {
+  before_due: {
+    subject: "Reminder: {{amount}} due {{dueDate}}",
+    text: "Hi {{borrowerName}},\n\nThis is a friendly reminder that payment {{installment}} of {{amount}} on \"{{noteTitle}}\" " +
+      "is due in {{daysUntilDue}} day(s), on {{dueDate}}.\n\nIf you have already paid, thank you and please ignore this message.\n\n{{lenderName}}",
+    sms: "Reminder: {{amount}} to {{lenderName}} is due {{dueDate}} (payment {{installment}}).",
+  },
+  due: {
+    subject: "Payment of {{amount}} is due today",
+    text: "Hi {{borrowerName}},\n\nPayment {{installment}} of {{amount}} on \"{{noteTitle}}\" is due today, {{dueDate}}.\n\n{{lenderName}}",
+    sms: "Your payment of {{amount}} to {{lenderName}} is due today.",
+  },
+  overdue: {
+    subject: "Payment overdue: {{amount}} was due {{dueDate}}",
+    text: "Hi {{borrowerName}},\n\nPayment {{installment}} of {{amount}} on \"{{noteTitle}}\" was due on {{dueDate}} and is now " +
+      "{{daysLate}} day(s) late. {{lateFeeNotice}}\n\nPlease pay as soon as you can or contact {{lenderName}}.",
+    sms: "Your payment of {{amount}} to {{lenderName}} is {{daysLate}} day(s) late. Please pay as soon as you can.",
+  },
+  overdue_second: {
+    subject: "Second notice: {{pastDue}} past due",
+    text: "Hi {{borrowerName}},\n\nPayment {{installment}} on \"{{noteTitle}}\" is {{daysLate}} days past due. {{pastDue}} is now " +
+      "past due in total.\n\nPlease pay or contact {{lenderName}} to arrange payment.",
+    sms: "Second notice: {{pastDue}} owed to {{lenderName}} is past due.",
+  },
+  overdue_final: {
+    subject: "Final notice: \"{{noteTitle}}\" is in default",
+    text: "Hi {{borrowerName}},\n\nPayment {{installment}} on \"{{noteTitle}}\" has been unpaid for {{daysLate}} days, which " +
+      "puts the note in default. {{pastDue}} is past due.\n\nUnder the note {{lenderName}} may now demand the full balance. " +
+      "Please pay or contact {{lenderName}} right away.",
+    sms: "Final notice: your note with {{lenderName}} is in default. {{pastDue}} is past due.",
+  },
+};
+
+// The note's reminder settings over the defaults; daysBefore is de-duplicated, largest first.
+export function reminderSettings(reminders = {}) {
+  const days = Array.isArray(reminders?.daysBefore) ? reminders.daysBefore : DEFAULT_REMINDER_SETTINGS.daysBefore;
+  return {
+    enabled: reminders?.enabled !== undefined ? !!reminders.enabled : DEFAULT_REMINDER_SETTINGS.enabled,
+    daysBefore: [...new Set(days.map((d) => Math.round(Number(d))).filter((d) => d >= 1 && d <= MAX_DAYS_BEFORE))].sort((a, b) => b - a),
+    sms: !!reminders?.sms,
+  };
+}
+
+// [{ kind, date, label }] for an installment due on `dueDate`, in date order.
+export function reminderDates(dueDate, settings, graceDays = 0) {
+  const grace = Math.max(0, Math.round(Number(graceDays) || 0));
+  return [
+    ...settings.daysBefore.map((d) => ({ kind: "before_due", date: addDays(dueDate, -d), label: `${d} day(s) before` })),
+    { kind: "due", date: dueDate, label: "due date" },
+    { kind: "overdue", date: addDays(dueDate, grace + 1), label: "grace period over" },
+    { kind: "overdue_second", date: addDays(dueDate, grace + 8), label: "a week after the grace period" },
+    { kind: "overdue_final", date: addDays(dueDate, Math.max(DEFAULT_DAYS, grace + 8) + 1), label: "default" },
+  ].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * The reminder each unpaid installment of `ledger` (from buildLedger) has reached by `asOf`:
+ * [{ key, kind, label, installment, dueDate, amount, lateFee, daysUntilDue, daysLate }]. `key`
+ * names the installment, kind and (for before_due) date, so a reminder is sent only once.
+ */
+export function dueReminders(ledger, settings, terms = {}, asOf = ledger.asOf) {
+  const out = [];
+  for (const row of ledger.installments) {
+    if (!(row.remaining > 0)) continue;
+    const reached = reminderDates(row.dueDate, settings, terms.lateFee?.graceDays).filter((r) => r.date <= asOf).pop();
+    if (!reached) continue;
+    out.push({
+      key: `${row.number}:${reached.kind}${reached.kind === "before_due" ? `:${reached.date}` : ""}`,
+      kind: reached.kind,
+      label: reached.label,
+      installment: row.number,
+      dueDate: row.dueDate,
+      amount: row.remaining,
+      lateFee: row.lateFee,
+      daysUntilDue: Math.max(0, daysBetween(asOf, row.dueDate)),
+      daysLate: Math.max(0, daysBetween(row.dueDate, asOf)),
+    });
+  }
+  return out;
+}
+
+export function renderTemplate(template, vars) {
+  return String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (vars[name] === undefined || vars[name] === null ? "" : String(vars[name])));
+}
+
+// { subject, text, sms } for `reminder` on `note`, from the note's template for that kind or the default.
+export function reminderMessage(note, reminder, { pastDue = 0 } = {}) {
+  const template = { ...DEFAULT_TEMPLATES[reminder.kind], ...note.reminders?.templates?.[reminder.kind] };
+  const name = (p) => `${p?.firstName || ""} ${p?.lastName || ""}`.trim();
+  const fee = note.terms?.lateFee;
+  const lateFee = reminder.lateFee ? formatMoney(reminder.lateFee)
+    : fee?.enabled && Number(fee.amount) > 0 ? (fee.type === "percentage" ? `${fee.amount}% of the payment` : formatMoney(fee.amount)) : "";
+  const vars = {
+    borrowerName: name(note.borrower) || "there",
+    lenderName: name(note.lender) || "Your lender",
+    noteTitle: note.title || "Promissory Note",
+    installment: reminder.installment,
+    amount: formatMoney(reminder.amount),
+    dueDate: reminder.dueDate,
+    daysUntilDue: reminder.daysUntilDue,
+    daysLate: reminder.daysLate,
+    lateFee: lateFee || formatMoney(0),
+    lateFeeNotice: lateFee ? `A late fee of ${lateFee} applies under the note.` : "",
+    pastDue: formatMoney(pastDue),
+  };
+  return { subject: renderTemplate(template.subject, vars), text: renderTemplate(template.text, vars).replace(/[ \t]+$/gm, ""), sms: renderTemplate(template.sms, vars) };
+}
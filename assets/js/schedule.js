@@ -0,0 +1,280 @@
+/**
+ * TrustLend schedule.js — the single payment-schedule engine
+ * - Pure ES module (no DOM): used by create-note.html, forms.js, contracts.js, the
+ *   integration payload and the api/ functions so every surface shows the same numbers
+ * - Schedules: lump_sum, weekly, biweekly, semimonthly (15th + month end), monthly
+ * - Dates are "YYYY-MM-DD" strings; money is computed in integer cents and returned in dollars
+ * - Monthly dates roll to month end when needed (Jan 31 -> Feb 28 -> Mar 31)
+ * - Interest is optional: "simple" (accrued on the unpaid principal) or "amortizing" (level
+ *   payments); every schedule carries its finance charge and effective APR for disclosure
+ */
+
+export const SCHEDULES = {
+  lump_sum: { label: "Lump Sum Payment", short: "Lump Sum" },
+  weekly: { label: "Weekly Payments", short: "Weekly" },
+  biweekly: { label: "Bi-weekly Payments", short: "Bi-weekly" },
+  semimonthly: { label: "Semi-monthly Payments", short: "Semi-monthly" },
+  monthly: { label: "Monthly Payments", short: "Monthly" },
+};
+
+export const INTEREST_MODES = {
+  none: { label: "No interest (flat fee only)", short: "None" },
+  simple: { label: "Simple interest", short: "Simple" },
+  amortizing: { label: "Amortizing (level payments)", short: "Amortizing" },
+};
+
+// Installments per year, used for the amortizing periodic rate and the APR unit period.
+const PERIODS_PER_YEAR = { weekly: 52, biweekly: 26, semimonthly: 24, monthly: 12 };
+
+export function scheduleLabel(schedule, short = false) {
+  const s = SCHEDULES[schedule];
+  return s ? (short ? s.short : s.label) : "Not set";
+}
+
+// ---- money ----
+export const toCents = (v) => {
+  const n = Number.parseFloat(v);
+  return Number.isFinite(n) ? Math.round(n * 100) : 0;
+};
+export const fromCents = (c) => c / 100;
+export const formatMoney = (n) =>
+  "$" + Number(n || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Splits `total` cents into `n` parts; leftover pennies go on the last part.
+function split(total, n) {
+  if (!n) return [];
+  const base = Math.floor(total / n);
+  const parts = Array(n).fill(base);
+  parts[n - 1] += total - base * n;
+  return parts;
+}
+
+// ---- dates (UTC so results don't depend on the viewer's timezone) ----
+export function parseDate(v) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(v || ""));
+  return m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+}
+export function formatDate(d) {
+  return d ? d.toISOString().slice(0, 10) : "";
+}
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+// "March 5, 2027", as the documents print dates.
+export function longDate(v) {
+  const d = parseDate(v);
+  return d ? `${MONTHS[d.getUTCMonth()]} ${d.getUTCDate()}, ${d.getUTCFullYear()}` : "—";
+}
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+const isMonthEnd = (d) => d.getUTCDate() === daysInMonth(d.getUTCFullYear(), d.getUTCMonth());
+
+export function addDays(v, n) {
+  const d = parseDate(v);
+  if (!d) return "";
+  d.setUTCDate(d.getUTCDate() + n);
+  return formatDate(d);
+}
+
+// `anchorDay` keeps a series on its original day (31 = always month end) instead of drifting
+// after a short month.
+export function addMonths(v, n, anchorDay) {
+  const d = parseDate(v);
+  if (!d) return "";
+  const day = anchorDay || d.getUTCDate();
+  const y = d.getUTCFullYear(), m = d.getUTCMonth() + n;
+  const target = new Date(Date.UTC(y, m, 1));
+  target.setUTCDate(Math.min(day, daysInMonth(target.getUTCFullYear(), target.getUTCMonth())));
+  return formatDate(target);
+}
+
+export function daysBetween(a, b) {
+  const da = parseDate(a), db = parseDate(b);
+  return da && db ? Math.round((db - da) / 864e5) : 0;
+}
+
+// Whole calendar months from `start` to `end`, counting a partial month as one.
+export function termMonths(start, end) {
+  const a = parseDate(start), b = parseDate(end);
+  if (!a || !b || b <= a) return 0;
+  const months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + b.getUTCMonth() - a.getUTCMonth();
+  return b.getUTCDate() > a.getUTCDate() ? months + 1 : months;
+}
+
+// Semi-monthly installments fall on the 15th and the last day of the month.
+function nextSemimonthly(v) {
+  const d = parseDate(v);
+  const y = d.getUTCFullYear(), m = d.getUTCMonth(), day = d.getUTCDate();
+  if (day < 15) return formatDate(new Date(Date.UTC(y, m, 15)));
+  if (day < daysInMonth(y, m)) return formatDate(new Date(Date.UTC(y, m, daysInMonth(y, m))));
+  return formatDate(new Date(Date.UTC(y, m + 1, 15)));
+}
+
+function step(date, schedule, anchorDay) {
+  switch (schedule) {
+    case "weekly": return addDays(date, 7);
+    case "biweekly": return addDays(date, 14);
+    case "semimonthly": return nextSemimonthly(date);
+    case "monthly": return addMonths(date, 1, anchorDay);
+    default: return "";
+  }
+}
+
+// Default first installment for a loan made on `loanDate` (semi-monthly: first 15th or
+// month end at least a week out).
+export function firstPaymentDate(loanDate, schedule) {
+  if (!parseDate(loanDate)) return "";
+  if (schedule === "semimonthly") return nextSemimonthly(addDays(loanDate, 6));
+  if (schedule === "monthly") return addMonths(loanDate, 1);
+  return step(loanDate, schedule);
+}
+
+// Final payment date: explicit dueDate, else loanDate + loanTermMonths.
+function finalDate(terms) {
+  if (parseDate(terms.dueDate)) return formatDate(parseDate(terms.dueDate));
+  const months = Number.parseInt(terms.loanTermMonths, 10);
+  return months > 0 ? addMonths(terms.loanDate, months) : "";
+}
+
+// Which IRS Applicable Federal Rate applies to a term: short (<= 3 years), mid (<= 9), long.
+export function afrTerm(months) {
+  const m = Number(months) || 0;
+  if (m <= 36) return "short";
+  return m <= 108 ? "mid" : "long";
+}
+
+// "none" | "simple" | "amortizing"; a rate without a mode keeps the original simple behaviour.
+export function interestMode(terms = {}) {
+  const rate = Number.parseFloat(terms.interestRate) || 0;
+  if (terms.interestMode === "none" || rate <= 0) return "none";
+  return terms.interestMode === "amortizing" ? "amortizing" : "simple";
+}
+
+export function paymentDates(terms = {}) {
+  const schedule = terms.paymentSchedule;
+  const due = finalDate(terms);
+  if (schedule === "lump_sum") {
+    const d = parseDate(terms.lumpSumDueDate) ? formatDate(parseDate(terms.lumpSumDueDate)) : due;
+    return d ? [d] : [];
+  }
+  if (!SCHEDULES[schedule] || !due) return [];
+
+  let cur = terms.firstPaymentDue && (!terms.loanDate || terms.firstPaymentDue > terms.loanDate)
+    ? formatDate(parseDate(terms.firstPaymentDue))
+    : firstPaymentDate(terms.loanDate, schedule);
+  if (!cur) return [due];
+  const anchor = isMonthEnd(parseDate(cur)) ? 31 : parseDate(cur).getUTCDate();
+  const dates = [];
+  while (cur && cur <= due && dates.length < 1000) {
+    dates.push(cur);
+    cur = step(cur, schedule, anchor);
+  }
+  return dates.length ? dates : [due];
+}
+
+/**
+ * Builds the installment table for a note's terms:
+ *   { principal, flatFee, loanDate, dueDate | loanTermMonths, paymentSchedule,
+ *     firstPaymentDue, lumpSumDueDate, interestMode, interestRate (annual %), feeAllocation }
+ * feeAllocation: "spread" (default) splits the flat fee across installments, "first"/"last"
+ * charges it with that installment.
+ * interestMode "simple": interest accrues actual/365 on the unpaid principal since the previous
+ * due date (or the loan date) and is paid with each installment; principal is split evenly.
+ * interestMode "amortizing": level principal+interest payments at rate/periods-per-year, the
+ * last installment absorbing rounding. A lump sum has one period, so it matches simple.
+ */
+export function buildSchedule(terms = {}) {
+  const dates = paymentDates(terms);
+  const n = dates.length;
+  const principalCents = toCents(terms.principal);
+  const feeCents = toCents(terms.flatFee);
+  const feeParts = terms.feeAllocation === "first" || terms.feeAllocation === "last"
+    ? dates.map((_, i) => ((terms.feeAllocation === "first" ? i === 0 : i === n - 1) ? feeCents : 0))
+    : split(feeCents, n);
+  const mode = interestMode(terms);
+  const rate = mode === "none" ? 0 : Math.max(0, Number.parseFloat(terms.interestRate) || 0) / 100;
+  const perYear = PERIODS_PER_YEAR[terms.paymentSchedule];
+  const amortizing = mode === "amortizing" && perYear && n > 1;
+  const periodic = amortizing ? rate / perYear : 0;
+  const level = amortizing ? Math.round((principalCents * periodic) / (1 - (1 + periodic) ** -n)) : 0;
+  const evenParts = split(principalCents, n);
+
+  let balance = principalCents;
+  let prev = parseDate(terms.loanDate) ? terms.loanDate : null;
+  const totals = { principal: 0, fee: 0, interest: 0, amount: 0 };
+  const installments = dates.map((dueDate, i) => {
+    let interest, principal;
+    if (amortizing) {
+      interest = Math.round(balance * periodic);
+      principal = i === n - 1 ? balance : Math.min(balance, level - interest);
+    } else {
+      interest = rate && prev ? Math.round((balance * rate * Math.max(0, daysBetween(prev, dueDate))) / 365) : 0;
+      principal = evenParts[i];
+    }
+    const amount = principal + feeParts[i] + interest;
+    balance -= principal;
+    prev = dueDate;
+    totals.principal += principal;
+    totals.fee += feeParts[i];
+    totals.interest += interest;
+    totals.amount += amount;
+    return {
+      number: i + 1,
+      dueDate,
+      principal: fromCents(principal),
+      fee: fromCents(feeParts[i]),
+      interest: fromCents(interest),
+      amount: fromCents(amount),
+      balance: fromCents(balance),
+    };
+  });
+
+  return {
+    paymentSchedule: terms.paymentSchedule || "",
+    interestMode: mode,
+    interestRate: rate * 100,
+    count: n,
+    paymentAmount: installments[0]?.amount || 0,
+    firstPaymentDate: dates[0] || "",
+    finalPaymentDate: dates[n - 1] || "",
+    installments,
+    totals: Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, fromCents(v)])),
+    amountFinanced: fromCents(principalCents),
+    financeCharge: fromCents(totals.fee + totals.interest),
+    apr: effectiveApr(principalCents, installments, terms.loanDate, terms.paymentSchedule),
+  };
+}
+
+/**
+ * Annual percentage rate of a schedule, unit-period style: the periodic rate i that discounts
+ * every installment (fee included) back to the amount financed, times the periods per year.
+ * Installments after the first are one whole unit period apart; only the first period may be
+ * odd. Single payments use the whole term as the unit period. Returns a percentage, 2 decimals.
+ */
+export function effectiveApr(principalCents, installments, loanDate, schedule) {
+  if (!principalCents || !installments.length || !parseDate(loanDate)) return 0;
+  const paid = installments.reduce((s, r) => s + toCents(r.amount), 0);
+  if (paid <= principalCents) return 0;
+  const firstDays = Math.max(1, daysBetween(loanDate, installments[0].dueDate));
+  const unitDays = PERIODS_PER_YEAR[schedule] && installments.length > 1 ? 365 / PERIODS_PER_YEAR[schedule] : firstDays;
+  const flows = installments.map((r, k) => ({ cents: toCents(r.amount), t: firstDays / unitDays + k }));
+  const pv = (i) => flows.reduce((s, f) => s + f.cents / (1 + i) ** f.t, 0);
+  let lo = 0, hi = 1;
+  while (pv(hi) > principalCents && hi < 1e6) hi *= 2;
+  for (let k = 0; k < 100; k++) {
+    const mid = (lo + hi) / 2;
+    if (pv(mid) > principalCents) lo = mid; else hi = mid;
+  }
+  return Math.round(((lo + hi) / 2) * (365 / unitDays) * 10000) / 100;
+}
+
+// Flat rows in the shape the #breakdownBody table and PDF payloads have always used, plus the
+// interest/principal split and running balance for the amortization table.
+export function breakdownRows(schedule) {
+  return schedule.installments.map((r) => ({
+    index: String(r.number),
+    date: r.dueDate,
+    amount: r.amount.toFixed(2),
+    principal: r.principal.toFixed(2),
+    fee: r.fee.toFixed(2),
+    interest: r.interest.toFixed(2),
+    balance: r.balance.toFixed(2),
+  }));
+}
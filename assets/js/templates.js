@@ -0,0 +1,377 @@
+/**
+ * TrustLend templates.js — contract templates: the clauses a promissory note is made of
+ * - Pure ES module (no DOM): api/_utils/documents.js prints the note from it, create-note.html
+ *   shows the same sections in its review step and profile.html edits the account's own
+ *   templates (/api/templates)
+ * - A template is { id, name, description, clauses }. Each clause is { id, heading, text, block,
+ *   when }: `text` may use {{placeholders}} (TEMPLATE_VALUES), a `block` clause is generated from
+ *   the note instead (the promise to pay, the Truth in Lending box, the co-party clauses, ...)
+ * - `when` lists conditions on the note's payload (TEMPLATE_FIELDS: the payment schedule, late
+ *   fee, collateral, state, ...); a clause is printed only if all of them hold
+ * - A note keeps a copy of its template (note.template), so editing or deleting a saved template
+ *   never changes a note made from it. "standard" comes with every plan and is always printed as
+ *   built in; the others need a plan with premium_templates when the note is saved
+ */
+import { buildSchedule, formatMoney, INTEREST_MODES, longDate, scheduleLabel, SCHEDULES } from "./schedule.js";
+import { renderTemplate } from "./reminders.js";
+import { stateRules } from "./compliance.js";
+import { COLLATERAL_TYPES, collateralDescription, securityAgreementClause } from "./collateral.js";
+import { guarantors, holders, makers, partyClauses, partyNames } from "./parties.js";
+import { planIncludes } from "./plans.js";
+
+export const MAX_CLAUSES = 40;
+export const MAX_CONDITIONS = 10;
+
+const percent = (n) => `${Number(n || 0).toFixed(2)}%`;
+const stateName = (code) => stateRules(code)?.name || code || "the Lender's state of residence";
+const labels = (catalog) => Object.fromEntries(Object.entries(catalog).map(([k, v]) => [k, v.label]));
+
+// ---- conditions ----
+
+// What a clause's `when` can test, computed from the note by templateFacts(). `values` are the
+// choices of a "choice" field; "state" fields take two-letter state codes.
+export const TEMPLATE_FIELDS = {
+  paymentSchedule: { label: "Payment schedule", type: "choice", values: labels(SCHEDULES) },
+  interestMode: { label: "Interest type", type: "choice", values: labels(INTEREST_MODES) },
+  lateFee: { label: "Late fee charged", type: "flag" },
+  collateral: { label: "Collateral pledged", type: "flag" },
+  collateralType: { label: "Collateral type", type: "choice", values: labels(COLLATERAL_TYPES) },
+  lenderState: { label: "Lender's state", type: "state" },
+  borrowerState: { label: "Borrower's state", type: "state" },
+  principal: { label: "Principal amount", type: "number" },
+  payments: { label: "Number of payments", type: "number" },
+  coBorrowers: { label: "More than one borrower", type: "flag" },
+  guarantor: { label: "Guaranteed", type: "flag" },
+};
+
+export const CONDITION_OPS = { is: "is", not: "is not", in: "is one of", gte: "is at least", lte: "is at most" };
+const OPS_FOR = { flag: ["is"], number: ["is", "gte", "lte"], choice: ["is", "not", "in"], state: ["is", "not", "in"] };
+// The ops a condition on `field` can use.
+export const fieldOps = (field) => OPS_FOR[TEMPLATE_FIELDS[field]?.type] || [];
+
+export function templateFacts(note, schedule = buildSchedule(note?.terms)) {
+  const terms = note?.terms || {};
+  return {
+    paymentSchedule: terms.paymentSchedule || "",
+    interestMode: schedule.interestMode,
+    lateFee: !!terms.lateFee?.enabled && terms.lateFee.amount > 0,
+    collateral: !!note?.collateral,
+    collateralType: note?.collateral?.type || "",
+    lenderState: String(note?.lender?.state || "").toUpperCase(),
+    borrowerState: String(note?.borrower?.state || "").toUpperCase(),
+    principal: Number(terms.principal) || 0,
+    payments: schedule.count,
+    coBorrowers: makers(note).length > 1,
+    guarantor: guarantors(note).length > 0,
+  };
+}
+
+// Why `condition` can't be used ("must be ..."), or null. The op has to suit the field's type and
+// the value the field's values.
+export function conditionProblem({ field, op, value } = {}) {
+  const spec = TEMPLATE_FIELDS[field];
+  if (!spec) return `field must be one of ${Object.keys(TEMPLATE_FIELDS).join(", ")}`;
+  if (!fieldOps(field).includes(op)) return `op must be one of ${fieldOps(field).join(", ")} for ${spec.label.toLowerCase()}`;
+  const values = op === "in" ? value : [value];
+  if (!Array.isArray(values) || !values.length) return "value must be a non-empty list";
+  const [fits, expected] = {
+    flag: () => [(v) => typeof v === "boolean", "true or false"],
+    number: () => [(v) => typeof v === "number" && Number.isFinite(v), "a number"],
+    choice: () => [(v) => Object.hasOwn(spec.values, v), `one of ${Object.keys(spec.values).join(", ")}`],
+    state: () => [(v) => typeof v === "string" && /^[A-Za-z]{2}$/.test(v), "a two-letter state code"],
+  }[spec.type]();
+  return values.every(fits) ? null : `value must be ${expected}`;
+}
+
+function holds({ field, op, value }, facts) {
+  const actual = facts[field];
+  const same = (v) => (typeof v === "string" ? v.toUpperCase() === String(actual).toUpperCase() : v === actual);
+  if (op === "is") return same(value);
+  if (op === "not") return !same(value);
+  if (op === "in") return Array.isArray(value) && value.some(same);
+  if (op === "gte") return actual >= value;
+  if (op === "lte") return actual <= value;
+  return false;
+}
+
+export const clauseApplies = (clause, facts) => (clause.when || []).every((c) => holds(c, facts));
+
+// "Payment schedule is Monthly Payments", for listing a clause's conditions.
+export function describeCondition({ field, op, value }) {
+  const spec = TEMPLATE_FIELDS[field];
+  if (!spec) return "";
+  const show = (v) => (spec.type === "choice" ? spec.values[v] || v : spec.type === "flag" ? (v ? "yes" : "no") : String(v));
+  return `${spec.label} ${CONDITION_OPS[op] || op} ${Array.isArray(value) ? value.map(show).join(", ") : show(value)}`;
+}
+
+// ---- generated clauses ----
+
+export function interestClause(terms, schedule) {
+  const fee = terms.flatFee > 0 ? ` Borrower will also pay a flat fee of ${formatMoney(terms.flatFee)}, included in the payments below.` : "";
+  if (schedule.interestMode === "simple") {
+    return `Interest accrues on the unpaid principal at a fixed rate of ${percent(schedule.interestRate)} per year, calculated as simple interest on the actual number of days elapsed over a 365-day year.${fee}`;
+  }
+  if (schedule.interestMode === "amortizing") {
+    return `Interest accrues on the unpaid principal at a fixed rate of ${percent(schedule.interestRate)} per year and is paid with each installment; the installments are level and fully repay the principal by the final payment date.${fee}`;
+  }
+  return `This Note bears no interest.${fee}`;
+}
+
+export function paymentClause(schedule) {
+  if (!schedule.count) return "The payment dates have not been set.";
+  const last = schedule.installments[schedule.count - 1];
+  if (schedule.count === 1) {
+    return `Borrower will repay the full amount of ${formatMoney(last.amount)} in a single payment due on ${longDate(last.dueDate)}.`;
+  }
+  // Rounding leaves the last installment a few cents off; the others are level unless the fee is front- or back-loaded.
+  const level = schedule.installments.slice(0, -1).every((r) => r.amount === schedule.paymentAmount);
+  return `Borrower will make ${schedule.count} ${scheduleLabel(schedule.paymentSchedule, true).toLowerCase()} payments ` +
+    (level ? `of ${formatMoney(schedule.paymentAmount)} ` : "") +
+    `beginning ${longDate(schedule.firstPaymentDate)}, with the final payment of ${formatMoney(last.amount)} due on ${longDate(last.dueDate)}, ` +
+    "in the amounts and on the dates shown in the attached Payment Schedule.";
+}
+
+export function lateFeeClause(lateFee) {
+  if (!lateFee?.enabled || !(lateFee.amount > 0)) return "No late charge applies to this Note.";
+  const charge = lateFee.type === "percentage" ? `${lateFee.amount}% of the overdue payment` : formatMoney(lateFee.amount);
+  return `If any payment is not received within ${lateFee.graceDays} days after its due date, Borrower will pay a late charge of ${charge} for that payment.`;
+}
+
+// The Truth in Lending box: [label, value] rows.
+export const disclosureRows = (schedule) => [
+  ["Annual Percentage Rate", percent(schedule.apr)],
+  ["Finance Charge", formatMoney(schedule.financeCharge)],
+  ["Amount Financed", formatMoney(schedule.amountFinanced)],
+  ["Total of Payments", formatMoney(schedule.totals.amount)],
+];
+
+function promiseClause(note, schedule) {
+  const joint = makers(note).length > 1;
+  return `For value received, ${partyNames(makers(note))} (${joint ? "jointly and severally, " : ""}"Borrower") promise${joint ? "" : "s"} ` +
+    `to pay to the order of ${partyNames(holders(note))} ("Lender") the principal sum of ` +
+    `${formatMoney(note.terms.principal)}${schedule.financeCharge > 0 ? `, together with a finance charge of ${formatMoney(schedule.financeCharge)}` : ""}, ` +
+    "in lawful money of the United States, on the terms of this Note.";
+}
+
+// Block clauses: (note, schedule, heading) => sections, none when the note has nothing to say.
+const BLOCKS = {
+  promise: { label: "Promise to pay", render: (note, schedule, heading) => [{ heading, text: promiseClause(note, schedule) }] },
+  interest: { label: "Interest and fees", render: (note, schedule, heading) => [{ heading, text: interestClause(note.terms, schedule) }] },
+  payments: { label: "Payment terms", render: (note, schedule, heading) => [{ heading, text: paymentClause(schedule) }] },
+  disclosure: { label: "Truth in Lending box", render: (note, schedule, heading) => [{ heading, box: disclosureRows(schedule) }] },
+  late_charges: { label: "Late charge", render: (note, schedule, heading) => [{ heading, text: lateFeeClause(note.terms.lateFee) }] },
+  security: {
+    label: "Security agreement (collateral)",
+    render: (note, schedule, heading) => (note.collateral ? [{ heading, text: securityAgreementClause(note.collateral) }] : []),
+  },
+  parties: { label: "Co-borrower, co-lender and guaranty clauses", render: (note) => partyClauses(note) },
+};
+export const CLAUSE_BLOCKS = labels(BLOCKS);
+
+// Placeholders a clause's text can use, with what they stand for.
+export const TEMPLATE_VALUES = {
+  borrowerName: "Borrower's name (all borrowers)",
+  lenderName: "Lender's name (all lenders)",
+  principal: "Principal amount",
+  loanDate: "Date of the note",
+  finalDueDate: "Final payment date",
+  paymentAmount: "Regular payment amount",
+  apr: "Annual percentage rate",
+  governingState: "Lender's state",
+  borrowerState: "Borrower's state",
+  collateral: "Collateral description",
+  graceDays: "Late fee grace period (days)",
+};
+
+export function templateValues(note, schedule = buildSchedule(note?.terms)) {
+  return {
+    borrowerName: partyNames(makers(note)),
+    lenderName: partyNames(holders(note)),
+    principal: formatMoney(note.terms?.principal),
+    loanDate: longDate(note.terms?.loanDate),
+    finalDueDate: longDate(schedule.finalPaymentDate),
+    paymentAmount: formatMoney(schedule.paymentAmount),
+    apr: percent(schedule.apr),
+    governingState: stateName(note.lender?.state),
+    borrowerState: stateName(note.borrower?.state),
+    collateral: note.collateral ? collateralDescription(note.collateral) : "—",
+    graceDays: String(note.terms?.lateFee?.graceDays ?? 0),
+  };
+}
+
+// ---- the clause library and the built-in templates ----
+
+const is = (field, value) => ({ field, op: "is", value });
+const not = (field, value) => ({ field, op: "not", value });
+
+export const CLAUSE_LIBRARY = {
+  promise: { heading: "Promise to Pay", block: "promise" },
+  interest: { heading: "Interest and Fees", block: "interest" },
+  payments: { heading: "Payments", block: "payments" },
+  disclosure: { heading: "Truth in Lending Disclosure", block: "disclosure" },
+  late_charges: { heading: "Late Charges", block: "late_charges" },
+  prepayment: {
+    heading: "Prepayment",
+    text: "Borrower may prepay all or any part of this Note at any time without penalty. Prepayment of an amortizing note reduces the interest charged on the remaining balance.",
+  },
+  security: { heading: "Security Agreement", block: "security", when: [is("collateral", true)] },
+  parties: { heading: "Additional Parties", block: "parties" },
+  default: {
+    heading: "Default",
+    text: "If Borrower fails to make any payment within 30 days after it is due, Lender may give Borrower written notice of the default. If the default is not cured within 15 days after that notice, Lender may declare the entire unpaid balance of this Note immediately due and payable.",
+  },
+  governing_law: { heading: "Governing Law", text: "This Note is governed by the laws of {{governingState}}." },
+  electronic_signatures: {
+    heading: "Electronic Signatures and Waivers",
+    text: "The parties agree that this Note may be signed electronically and that electronic signatures have the same effect as handwritten ones. Borrower waives presentment, demand for payment, notice of dishonor and protest. No delay by Lender in exercising a right waives that right.",
+  },
+  business_purpose: {
+    heading: "Business Purpose",
+    text: "Borrower represents that the loan evidenced by this Note is made for business or commercial purposes and not for personal, family or household purposes.",
+  },
+  financial_information: {
+    heading: "Financial Information",
+    text: "While any amount remains unpaid under this Note, Borrower will give Lender, within 30 days of a written request, current financial statements and any other information about Borrower's business that Lender reasonably requests.",
+  },
+  application_of_payments: {
+    heading: "Application of Payments",
+    text: "Each payment is applied first to any late charges then due, then to accrued interest and then to principal.",
+  },
+  installments: {
+    heading: "Installments",
+    text: "Each installment is due on its scheduled date whether or not Lender sends a statement. Lender's acceptance of a late or partial installment does not waive Lender's right to receive every later installment in full and on time.",
+    when: [not("paymentSchedule", "lump_sum")],
+  },
+  collateral_care: {
+    heading: "Care of Collateral",
+    text: "Borrower will keep the Collateral insured against loss for at least the unpaid balance of this Note, with Lender named as loss payee, and will let Lender inspect the Collateral at reasonable times after reasonable notice.",
+    when: [is("collateral", true)],
+  },
+  certificate_of_title: {
+    heading: "Certificate of Title",
+    text: "Within 30 days after the date of this Note, Borrower will have Lender recorded as first lienholder on the certificate of title to the Collateral and give Lender a copy of the title showing the lien.",
+    when: [is("collateralType", "vehicle")],
+  },
+  interest_limit: {
+    heading: "Interest Limit",
+    text: "Lender does not intend to charge interest above the highest rate allowed by law. If any amount charged under this Note exceeds that limit, the excess will be applied to principal or, once principal is paid, refunded to Borrower.",
+    when: [not("interestMode", "none")],
+  },
+  collection_costs: {
+    heading: "Costs of Collection",
+    text: "If Lender refers this Note for collection after a default, Borrower will pay Lender's reasonable costs of collection, including reasonable attorneys' fees and court costs, to the extent the law allows.",
+  },
+  jury_waiver: {
+    heading: "Waiver of Jury Trial",
+    text: "To the extent the law allows, Lender and Borrower each waive the right to a jury trial in any action arising out of this Note.",
+  },
+  california_translation: {
+    heading: "Language of Negotiation",
+    text: "Borrower confirms that this Note was negotiated in English or that, before signing, Borrower received a translation of it in the language in which it was negotiated (California Civil Code Section 1632).",
+    when: [is("borrowerState", "CA")],
+  },
+  notices: {
+    heading: "Notices",
+    text: "Notices under this Note must be in writing and are given when delivered by hand, sent to the email address the party has given or mailed first-class to the party's address shown above.",
+  },
+  entire_agreement: {
+    heading: "Entire Agreement",
+    text: "This Note, with its Payment Schedule, is the entire agreement between Lender and Borrower about this loan. It can be changed only by a written amendment signed by both of them. If any part of this Note is held unenforceable, the rest of it remains in effect.",
+  },
+};
+
+// A clause from the library as a template holds it.
+const libraryClause = (id) => ({ id, heading: "", text: "", ...CLAUSE_LIBRARY[id], when: CLAUSE_LIBRARY[id].when || [] });
+
+const STANDARD_CLAUSES = ["promise", "interest", "payments", "disclosure", "late_charges", "prepayment", "security", "parties", "default", "governing_law", "electronic_signatures"];
+// The standard clauses with `extra` inserted before "default"; only a secured template keeps the
+// security agreement.
+const withClauses = (extra, { secured = false } = {}) => {
+  const base = STANDARD_CLAUSES.filter((id) => secured || id !== "security");
+  const at = base.indexOf("default");
+  return [...base.slice(0, at), ...extra, ...base.slice(at)];
+};
+
+export const DEFAULT_TEMPLATE = "standard";
+
+export const BUILTIN_TEMPLATES = Object.fromEntries(Object.entries({
+  standard: {
+    name: "Standard Promissory Note",
+    description: "The promise to pay, payment terms, disclosures and default terms every note needs.",
+    clauses: STANDARD_CLAUSES,
+  },
+  commercial: {
+    name: "Commercial Loan Agreement",
+    description: "For loans to a business: adds a business-purpose representation, financial reporting, collection costs and a jury waiver.",
+    clauses: withClauses(["business_purpose", "financial_information", "interest_limit", "collection_costs", "jury_waiver", "notices", "entire_agreement"]),
+  },
+  secured: {
+    name: "Secured Note with Collateral",
+    description: "Pledges collateral: adds insurance and inspection of the collateral, and a lien on the title for vehicles.",
+    clauses: withClauses(["collateral_care", "certificate_of_title", "interest_limit", "collection_costs", "california_translation", "entire_agreement"], { secured: true }),
+  },
+  installment: {
+    name: "Installment Loan Agreement",
+    description: "For loans repaid in installments: adds how payments are applied and when installments are due.",
+    clauses: withClauses(["application_of_payments", "installments", "interest_limit", "california_translation", "notices", "entire_agreement"]),
+  },
+}).map(([id, t]) => [id, { id, builtIn: true, ...t, clauses: t.clauses.map(libraryClause) }]));
+
+// Whether the wizard asks for collateral with `template`: one with a security agreement. The
+// standard template has one only so that notes secured before templates existed print as before.
+export const takesCollateral = (template) =>
+  !!template && template.id !== DEFAULT_TEMPLATE && (template.clauses || []).some((c) => c.block === "security");
+
+// ---- templates ----
+
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+
+function cleanCondition(input) {
+  const spec = TEMPLATE_FIELDS[input?.field];
+  if (!spec || conditionProblem(input)) return null;
+  const value = spec.type === "state" ? (Array.isArray(input.value) ? input.value.map((v) => v.toUpperCase()) : input.value.toUpperCase()) : input.value;
+  return { field: input.field, op: input.op, value };
+}
+
+// A template as it is stored: known keys only, clauses with a block or some text, conditions
+// that can be evaluated.
+export function cleanTemplate(input, id = str(input?.id)) {
+  const clauses = (Array.isArray(input?.clauses) ? input.clauses : []).slice(0, MAX_CLAUSES).map((c) => ({
+    id: str(c?.id).slice(0, 64),
+    heading: str(c?.heading).slice(0, 120),
+    text: BLOCKS[c?.block] ? "" : str(c?.text).slice(0, 5000),
+    ...(BLOCKS[c?.block] ? { block: c.block } : {}),
+    when: (Array.isArray(c?.when) ? c.when : []).slice(0, MAX_CONDITIONS).map(cleanCondition).filter(Boolean),
+  })).filter((c) => c.block || c.text);
+  return { id: id.slice(0, 64), name: str(input?.name).slice(0, 100), description: str(input?.description).slice(0, 500), clauses };
+}
+
+// What saving a note keeps of the chosen template: null (the standard one) unless the note's paid
+// plan `planId` includes premium_templates. The check is made when the note is saved, not when it
+// is printed, so paying for a plan later doesn't change a note that was already signed.
+export function savedTemplate(chosen, planId) {
+  if (!chosen?.clauses?.length || chosen.id === DEFAULT_TEMPLATE) return null;
+  return planIncludes(planId, "premium_templates") ? chosen : null;
+}
+
+// The template a note is printed from: its own copy as saved (see savedTemplate), which is also
+// what integrity.canonicalNote hashes.
+export function noteTemplate(note) {
+  const saved = note?.template;
+  return saved?.clauses?.length && saved.id !== DEFAULT_TEMPLATE ? saved : BUILTIN_TEMPLATES[DEFAULT_TEMPLATE];
+}
+
+/**
+ * The sections `template` prints for `note`, in order: [{ heading, text }] or, for the Truth in
+ * Lending box, [{ heading, box: [[label, value]] }]. Clauses whose conditions don't hold, and
+ * blocks with nothing to say, are left out.
+ */
+export function templateSections(template, note) {
+  const schedule = buildSchedule(note.terms);
+  const facts = templateFacts(note, schedule);
+  const values = templateValues(note, schedule);
+  return (template.clauses || []).filter((c) => clauseApplies(c, facts)).flatMap((c) =>
+    (BLOCKS[c.block] ? BLOCKS[c.block].render(note, schedule, c.heading) : [{ heading: c.heading, text: renderTemplate(c.text, values) }]));
+}
+
+export const noteSections = (note) => templateSections(noteTemplate(note), note);
@@ -1,11 +1,29 @@
 // trustlend-exact-integration.js
 // Perfect integration for your existing 6-step form
 // Maps your exact field IDs to PDF generation system
+// Load as <script type="module">; the form is checked with the shared input rules (validation.js).
+// PDFs are rendered server-side from the saved note by /api/pdf/<document>
+
+import { noteProblems } from './validation.js';
+import { PLANS } from './plans.js';
+
+const PDF_FILENAMES = {
+    contract: 'TrustLend_Promissory_Note.pdf',
+    schedule: 'TrustLend_Payment_Schedule.pdf',
+    ucc: 'TrustLend_UCC_Attachment.pdf',
+    ucc1: 'TrustLend_UCC1_Financing_Statement.pdf',
+    package: 'TrustLend_Document_Package.pdf'
+};
+
+// 402 plan_required: the note's paid plan doesn't include this document
+function planMessage(error) {
+    if (error.error !== 'plan_required') return null;
+    const plan = PLANS[error.plan];
+    return `This document needs ${plan ? 'the ' + plan.name : 'a higher'} plan`;
+}
 
 class TrustLendExactIntegration {
     constructor() {
-        // Update this URL when you deploy your API
-        this.API_BASE = 'http://127.0.0.1:5000';
         this.initIntegration();
     }
 
@@ -28,99 +46,11 @@ class TrustLendExactIntegration {
         console.log('🎯 TrustLend PDF Integration Active - Your exact form enhanced!');
     }
 
-    // Map your exact form fields to PDF format
-    collectFormData() {
-        return {
-            lender: {
-                name: this.combineNames('lender'),
-                email: this.getFieldValue('lenderEmail'),
-                phone: this.getFieldValue('lenderPhone'),
-                address: this.getFullAddress('lender')
-            },
-            borrower: {
-                name: this.combineNames('borrower'),
-                email: this.getFieldValue('borrowerEmail'), 
-                phone: this.getFieldValue('borrowerPhone'),
-                address: this.getFullAddress('borrower')
-            },
-            loan: {
-                principal: parseFloat(this.getFieldValue('principal')) || 0,
-                flatFee: parseFloat(this.getFieldValue('flatFee')) || 0,
-                startDate: this.formatDate(this.getFieldValue('loanDate')),
-                termMonths: this.calculateTermFromDates(),
-                paymentFrequency: this.mapPaymentFrequency()
-            },
-            tier: this.getSelectedTier()
-        };
-    }
-
-    // Helper functions using your exact field IDs
-    combineNames(party) {
-        const firstName = this.getFieldValue(`${party}FirstName`);
-        const lastName = this.getFieldValue(`${party}LastName`);
-        return `${firstName} ${lastName}`.trim();
-    }
-
-    getFullAddress(party) {
-        const address = this.getFieldValue(`${party}Address`);
-        const city = this.getFieldValue(`${party}City`);
-        const state = this.getFieldValue(`${party}State`);
-        const zip = this.getFieldValue(`${party}Zip`);
-        const county = this.getFieldValue(`${party}County`);
-        return `${address}, ${city}, ${state} ${zip}, ${county}`.replace(/,\s*,/g, ',').trim();
-    }
-
     getFieldValue(fieldId) {
         const field = document.getElementById(fieldId);
         return field ? field.value.trim() : '';
     }
 
-    formatDate(dateValue) {
-        if (!dateValue) return '';
-        const date = new Date(dateValue);
-        return date.toISOString().split('T')[0]; // YYYY-MM-DD format
-    }
-
-    calculateTermFromDates() {
-        // Use your loanDate and dueDate fields
-        const startDate = this.getFieldValue('loanDate');
-        const dueDate = this.getFieldValue('dueDate');
-        
-        if (!startDate || !dueDate) return 6; // Default
-        
-        const start = new Date(startDate);
-        const end = new Date(dueDate);
-        const diffTime = Math.abs(end - start);
-        const diffMonths = Math.ceil(diffTime / (1000 * 60 * 60 * 24 * 30));
-        
-        return diffMonths || 6;
-    }
-
-    mapPaymentFrequency() {
-        const schedule = this.getFieldValue('paymentSchedule');
-        const mapping = {
-            'lump_sum': 'monthly', // Default for lump sum
-            'monthly': 'monthly',
-            'weekly': 'weekly',
-            'biweekly': 'biweekly'
-        };
-        return mapping[schedule] || 'monthly';
-    }
-
-    getSelectedTier() {
-        // Check if user has selected a tier in Step 5
-        const selectedTierCard = document.querySelector('.tier-card.selected');
-        if (selectedTierCard) {
-            const cardId = selectedTierCard.id;
-            if (cardId.includes('essential')) return 'Essential';
-            if (cardId.includes('maximum')) return 'Maximum';
-            if (cardId.includes('premium')) return 'Premium';
-        }
-        
-        // Fallback - check global variables or default
-        return window.selectedTier || 'Essential';
-    }
-
     // Replace your existing placeholder functions with real PDF generation
     replacePlaceholderFunctions() {
         // Replace downloadContractWithUCC
@@ -128,7 +58,15 @@ class TrustLendExactIntegration {
         
         // Replace other placeholder functions if they exist
         window.downloadMainContract = () => this.generatePDF('contract');
-        window.downloadUCCAttachments = () => this.generatePDF('schedule');
+        window.downloadUCCAttachments = () => this.generateUCCAttachments();
+    }
+
+    // UCC attachment, plus the pre-filled UCC-1 financing statement for secured notes
+    async generateUCCAttachments() {
+        await this.generatePDF('ucc');
+        if (this.collectCollateral()) {
+            await this.generatePDF('ucc1');
+        }
     }
 
     // Enhance Step 6 with additional PDF options
@@ -229,45 +167,46 @@ class TrustLendExactIntegration {
             this.showStatus(`📄 Generating ${type} PDF...`, false);
             this.disableAllButtons(true);
 
-            // Collect and validate form data using your exact fields
-            const formData = this.collectFormData();
-            const validationErrors = this.validateFormData(formData);
+            // Same rules the wizard steps and /api/notes apply (validation.js)
+            const validationErrors = this.validateFormData();
 
             if (validationErrors.length > 0) {
                 this.showStatus(`❌ Please check: ${validationErrors.join(', ')}`, true);
                 return;
             }
 
-            // Make API call
-            const endpoint = type === 'contract' ? '/api/generate/contract' : '/api/generate/schedule';
-            const response = await fetch(`${this.API_BASE}${endpoint}`, {
+            // The server renders from the saved note, so flush pending edits first
+            const noteId = await window.saveNoteForExport();
+            if (!noteId) {
+                throw new Error('Could not save your note');
+            }
+
+            const response = await fetch(`/api/pdf/${type}`, {
                 method: 'POST',
+                credentials: 'same-origin',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(formData)
+                body: JSON.stringify({ noteId })
             });
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+                throw new Error(planMessage(errorData) || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
             }
 
             // Download the PDF
             const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = type === 'contract' ? 
-                'TrustLend_Promissory_Note.pdf' : 
-                'TrustLend_Payment_Schedule.pdf';
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
+            this.downloadBlob(blob, PDF_FILENAMES[type] || 'TrustLend_Document.pdf');
 
             this.showStatus(`✅ ${type.charAt(0).toUpperCase() + type.slice(1)} PDF downloaded!`, false);
 
+            // Fingerprint + signed timestamp of the executed contract
+            if (type === 'contract' && window.recordDocumentTimestamp) {
+                await window.recordDocumentTimestamp()
+                    .catch(error => console.error('Timestamp failed:', error));
+            }
+
             // Add to audit trail (integrate with your existing audit system)
             if (window.addAuditEvent) {
                 window.addAuditEvent(`Downloaded ${type} PDF`, {
@@ -285,54 +224,60 @@ class TrustLendExactIntegration {
         }
     }
 
+    // One ZIP: contract, UCC attachment, execution certificate, audit trail and manifest.json.
+    // The server timestamps the contract it packs, so the manifest matches the note's receipt.
     async generateCompletePDFPackage() {
-        this.showStatus('📦 Generating complete document package...', false);
-        
         try {
-            // Generate both PDFs sequentially
-            await this.generatePDF('contract');
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Brief delay
-            await this.generatePDF('schedule');
-            
+            this.showStatus('📦 Generating complete document package...', false);
+            this.disableAllButtons(true);
+
+            const noteId = await window.saveNoteForExport();
+            if (!noteId) {
+                throw new Error('Could not save your note');
+            }
+
+            const response = await fetch(`/api/notes/${encodeURIComponent(noteId)}/package`, {
+                method: 'POST',
+                credentials: 'same-origin'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(planMessage(errorData) || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const blob = await response.blob();
+            this.downloadBlob(blob, 'TrustLend_Document_Package.zip');
             this.showStatus('✅ Complete package downloaded successfully!', false);
-            
-            // Add to your existing audit trail
-            if (window.addAuditEvent) {
-                window.addAuditEvent('Downloaded complete contract package with UCC attachments', {
-                    includes: ['main_contract', 'payment_schedule', 'ucc_attachments'],
-                    timestamp: new Date().toISOString()
-                });
+
+            // Show the receipt the package was built against
+            if (window.TrustLendNotes && window.showDocumentHash) {
+                const note = await window.TrustLendNotes.get(noteId);
+                window.showDocumentHash((note.timestamps || []).slice(-1)[0] || null);
             }
-            
+
         } catch (error) {
+            console.error('Package generation error:', error);
             this.showStatus(`❌ Package generation failed: ${error.message}`, true);
+        } finally {
+            this.disableAllButtons(false);
         }
     }
 
-    validateFormData(data) {
-        const errors = [];
-
-        // Validate using your exact field requirements
-        if (!data.lender.name || data.lender.name.length < 3) {
-            errors.push('Complete lender name required');
-        }
-        if (!data.lender.email || !data.lender.email.includes('@')) {
-            errors.push('Valid lender email required');
-        }
-        if (!data.borrower.name || data.borrower.name.length < 3) {
-            errors.push('Complete borrower name required');
-        }
-        if (!data.borrower.email || !data.borrower.email.includes('@')) {
-            errors.push('Valid borrower email required');
-        }
-        if (!data.loan.principal || data.loan.principal <= 0) {
-            errors.push('Valid loan principal required');
-        }
-        if (!data.loan.startDate) {
-            errors.push('Loan date required');
-        }
+    downloadBlob(blob, filename) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+    }
 
-        return errors;
+    // Messages for whatever keeps the wizard's note from rendering: steps 1 and 2 plus the loan date
+    validateFormData() {
+        return noteProblems(window.collectNotePayload(), 1, 2, 'document').map(problem => problem.message);
     }
 
     showStatus(message, isError = false) {
@@ -369,6 +314,6 @@ window.trustLendIntegration = new TrustLendExactIntegration();
 // Also create the exact function name your form expects
 window.downloadContractWithUCC = () => window.trustLendIntegration.generateCompletePDFPackage();
 window.downloadMainContract = () => window.trustLendIntegration.generatePDF('contract');
-window.downloadUCCAttachments = () => window.trustLendIntegration.generatePDF('schedule');
+window.downloadUCCAttachments = () => window.trustLendIntegration.generateUCCAttachments();
 
 console.log('🎯 TrustLend Exact Integration Loaded - Your 6-step form is now PDF-enabled!');
@@ -0,0 +1,535 @@
+/**
+ * TrustLend validation.js — the input rules shared by the api/ functions and the pages
+ * - Pure ES module (no DOM): every api/ function reads its body and query through a schema from
+ *   here (readBody / readQuery in api/_utils/json.js), and create-note.html checks the same note
+ *   rules before it saves a draft or leaves a wizard step, so the two can't drift apart
+ * - A schema's check(value, field, errors) returns the cleaned value (unknown object keys are
+ *   dropped) and pushes { field, code, message } for each problem; validate() runs one
+ * - Drafts are saved half-filled, so NOTE only checks what is filled in; NOTE_STEPS adds the
+ *   fields each wizard step needs before the lender can move on
+ * - A rule's `code` replaces the generic one ("invalid_format", "required", ...) so routes keep
+ *   the error codes their pages already handle (signup's "weak_password", ...)
+ */
+import { INTEREST_MODES, SCHEDULES } from "./schedule.js";
+import { COLLATERAL_TYPES } from "./collateral.js";
+import { PAYMENT_METHODS } from "./ledger.js";
+import { PLANS } from "./plans.js";
+import { MAX_DAYS_BEFORE, REMINDER_KINDS } from "./reminders.js";
+import { AMENDMENT_KINDS } from "./amendments.js";
+import { ADDITIONAL_ROLES, MAX_ADDITIONAL_PARTIES } from "./parties.js";
+import { CLAUSE_BLOCKS, conditionProblem, MAX_CLAUSES, MAX_CONDITIONS } from "./templates.js";
+
+export const NOTE_STATUSES = ["draft", "pending_signature", "active", "overdue", "complete", "cancelled"];
+export const MIN_PASSWORD_LENGTH = 8;
+export const GENERIC_CODES = ["required", "invalid_type", "invalid_format", "invalid_value", "too_short", "too_long", "too_small", "too_large", "too_many"];
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ID = /^[\w-]{1,64}$/;
+const MAX_SIGNATURE_IMAGE = 200_000;
+const MAX_PDF_BASE64 = 6 * 1024 * 1024;
+
+const blankText = (v) => v === undefined || v === null || v === "";
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// The shared part of every rule: blank values, `optional`, the label messages start with and
+// the route's own `code` / `message` for any problem. `test` gets the value, a `fail` callback and
+// the field path and error list, which object / list / record pass on to their entries.
+function rule(opts, test, blank = blankText) {
+  const { label = "This field", optional = false, code, message } = opts;
+  return {
+    optional,
+    check(value, field, errors) {
+      const fail = (generic, text) => {
+        errors.push({ field, code: code || generic, message: message || `${label} ${text}` });
+        return value;
+      };
+      if (blank(value)) return optional ? value : fail("required", "is required");
+      return test(value, fail, field, errors);
+    },
+  };
+}
+
+const noValue = (v) => v === undefined || v === null;
+const path = (field, key) => (field ? `${field}.${key}` : key);
+
+export function text(opts = {}) {
+  const { min = 0, max = 500, pattern, format = "is not in the right format", trim = true } = opts;
+  return rule(opts, (v, fail) => {
+    if (typeof v !== "string" && typeof v !== "number") return fail("invalid_type", "must be text");
+    const s = trim ? String(v).trim() : String(v);
+    if (s.length < min) return s ? fail("too_short", `must be at least ${min} characters`) : fail("required", "is required");
+    if (s.length > max) return fail("too_long", `must be at most ${max} characters`);
+    if (pattern && !pattern.test(s)) return fail("invalid_format", format);
+    return v;
+  });
+}
+
+export const email = (opts = {}) => text({ max: 254, pattern: EMAIL, format: "must be a valid email address", ...opts });
+export const id = (opts = {}) => text({ max: 64, pattern: ID, ...opts });
+
+// Numbers may arrive as numeric strings (form values); the cleaned value is a number.
+export function number(opts = {}) {
+  const { min = -Infinity, max = Infinity, integer = false } = opts;
+  return rule(opts, (v, fail) => {
+    const n = typeof v === "number" ? v : typeof v === "string" && /^\s*-?\d+(\.\d+)?\s*$/.test(v) ? Number(v) : NaN;
+    if (!Number.isFinite(n)) return fail("invalid_type", "must be a number");
+    if (integer && !Number.isInteger(n)) return fail("invalid_format", "must be a whole number");
+    if (n < min) return fail("too_small", `must be at least ${min}`);
+    if (n > max) return fail("too_large", `must be at most ${max}`);
+    return n;
+  });
+}
+
+// "YYYY-MM-DD" naming a real calendar day.
+export function date(opts = {}) {
+  return rule(opts, (v, fail) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof v === "string" ? v : "");
+    const d = m && new Date(Date.UTC(+m[1], m[2] - 1, +m[3]));
+    if (!d || d.getUTCMonth() !== m[2] - 1 || d.getUTCDate() !== +m[3]) return fail("invalid_format", "must be a date (YYYY-MM-DD)");
+    return v;
+  });
+}
+
+export function bool(opts = {}) {
+  return rule(opts, (v, fail) => (typeof v === "boolean" ? v : fail("invalid_type", "must be true or false")), noValue);
+}
+
+// One of a list of values, or of an object's keys (SCHEDULES, PLANS, ...).
+export function oneOf(values, opts = {}) {
+  const allowed = Array.isArray(values) ? values : Object.keys(values);
+  return rule(opts, (v, fail) => (allowed.includes(v) ? v : fail("invalid_value", `must be one of ${allowed.join(", ")}`)));
+}
+
+// Any JSON value, capped by its serialized size (free-form details such as an audit entry's).
+export function json(opts = {}) {
+  const { max = 5000 } = opts;
+  return rule(opts, (v, fail) => (JSON.stringify(v).length > max ? fail("too_long", `must be at most ${max} characters`) : v), noValue);
+}
+
+/**
+ * An object with the keys in `shape`. Keys left out (or undefined) are left out of the result too,
+ * so a partial update stays partial; other keys are dropped, or kept as they are with
+ * `unknown: "keep"`.
+ */
+export function object(shape, opts = {}) {
+  return rule(opts, (v, fail, field, errors) => {
+    if (!isObject(v)) return fail("invalid_type", "must be an object");
+    const out = opts.unknown === "keep" ? { ...v } : {};
+    for (const [key, schema] of Object.entries(shape)) {
+      if (v[key] === undefined) {
+        if (!schema.optional) schema.check(undefined, path(field, key), errors);
+        continue;
+      }
+      out[key] = schema.check(v[key], path(field, key), errors);
+    }
+    return out;
+  }, noValue);
+}
+
+export function list(item, opts = {}) {
+  const { max = 100 } = opts;
+  return rule(opts, (v, fail, field, errors) => {
+    if (!Array.isArray(v)) return fail("invalid_type", "must be a list");
+    if (v.length > max) return fail("too_many", `can have at most ${max} entries`);
+    return v.map((x, i) => item.check(x, `${field}[${i}]`, errors));
+  }, noValue);
+}
+
+// A map of `keys` (a list, or a pattern for free-form keys) to values matching `item`.
+export function record(item, opts = {}) {
+  const { keys, max = 200 } = opts;
+  return rule(opts, (v, fail, field, errors) => {
+    if (!isObject(v)) return fail("invalid_type", "must be an object");
+    const entries = Object.entries(v);
+    if (entries.length > max) return fail("too_many", `can have at most ${max} entries`);
+    const out = {};
+    for (const [key, value] of entries) {
+      if (Array.isArray(keys) ? !keys.includes(key) : !keys.test(key)) {
+        errors.push({ field: path(field, key), code: "invalid_value", message: `${key} is not a known field` });
+        continue;
+      }
+      out[key] = item.check(value, path(field, key), errors);
+    }
+    return out;
+  }, noValue);
+}
+
+/**
+ * Checks `value` against `schema`: { value, errors } with the cleaned value and a list of
+ * { field, code, message }, empty when it is valid. `field` is the dotted path ("borrower.email").
+ */
+export function validate(schema, value) {
+  const errors = [];
+  return { value: schema.check(value, "", errors), errors };
+}
+
+// ---- notes ----
+
+const ROLE_LABEL = { lender: "Lender", borrower: "Borrower" };
+
+export const party = (role) => {
+  const l = (name) => `${ROLE_LABEL[role]} ${name}`;
+  return object({
+    firstName: text({ label: l("first name"), max: 100, optional: true }),
+    lastName: text({ label: l("last name"), max: 100, optional: true }),
+    email: email({ label: l("email"), optional: true }),
+    phone: text({ label: l("phone"), max: 30, pattern: /^[\d\s()+.-]{7,}$/, format: "must be a phone number", optional: true }),
+    address: text({ label: l("address"), max: 200, optional: true }),
+    city: text({ label: l("city"), max: 100, optional: true }),
+    state: text({ label: l("state"), max: 2, pattern: /^[A-Za-z]{2}$/, format: "must be a two-letter state code", optional: true }),
+    zip: text({ label: l("ZIP code"), max: 10, pattern: /^\d{5}(-?\d{4})?$/, format: "must be a 5- or 9-digit ZIP code", optional: true }),
+    county: text({ label: l("county"), max: 100, optional: true }),
+    ssnLast4: text({ label: l("SSN last 4"), pattern: /^\d{4}$/, format: "must be 4 digits", optional: true }),
+    dob: date({ label: l("date of birth"), optional: true }),
+    ssn: text({ label: l("SSN"), max: 11, pattern: /^(\d{4}|\d{3}-?\d{2}-?\d{4})$/, format: "must be 9 digits or the last 4", optional: true }),
+  }, { label: ROLE_LABEL[role], optional: true });
+};
+
+// The co-lenders, co-borrowers and guarantors in note.parties (assets/js/parties.js). A new party
+// has no id yet; the server gives it one.
+const PARTY_ID = id({ label: "Party id", pattern: /^pty_[\w-]{1,60}$/, optional: true });
+const ADDITIONAL_PARTY = object({
+  id: PARTY_ID,
+  role: oneOf(ADDITIONAL_ROLES, { label: "Party role" }),
+  firstName: text({ label: "Party first name", max: 100, optional: true }),
+  lastName: text({ label: "Party last name", max: 100, optional: true }),
+  email: email({ label: "Party email", optional: true }),
+  phone: text({ label: "Party phone", max: 30, pattern: /^[\d\s()+.-]{7,}$/, format: "must be a phone number", optional: true }),
+  address: text({ label: "Party address", max: 200, optional: true }),
+  city: text({ label: "Party city", max: 100, optional: true }),
+  state: text({ label: "Party state", max: 2, pattern: /^[A-Za-z]{2}$/, format: "must be a two-letter state code", optional: true }),
+  zip: text({ label: "Party ZIP code", max: 10, pattern: /^\d{5}(-?\d{4})?$/, format: "must be a 5- or 9-digit ZIP code", optional: true }),
+});
+// Where a signature goes in note.signatures: a primary party's role or another party's id.
+const SIGNATURE_KEY = /^(lender|borrower|pty_[\w-]{1,60})$/;
+
+const money = (label, opts = {}) => number({ label, min: 0, max: 100_000_000, optional: true, ...opts });
+
+export const TERMS = object({
+  principal: money("Principal amount"),
+  flatFee: money("Flat fee"),
+  interestMode: oneOf(INTEREST_MODES, { label: "Interest type", optional: true }),
+  interestRate: number({ label: "Interest rate", min: 0, max: 100, optional: true }),
+  loanTermMonths: number({ label: "Loan term", min: 0, max: 600, integer: true, optional: true }),
+  loanDate: date({ label: "Loan date", optional: true }),
+  dueDate: date({ label: "Due date", optional: true }),
+  purpose: text({ label: "Purpose", max: 200, optional: true }),
+  paymentSchedule: oneOf(SCHEDULES, { label: "Payment schedule", optional: true }),
+  firstPaymentDue: date({ label: "First payment date", optional: true }),
+  lumpSumDueDate: date({ label: "Lump sum due date", optional: true }),
+  lateFee: object({
+    enabled: bool({ label: "Late fee", optional: true }),
+    type: oneOf(["flat", "percentage"], { label: "Late fee type", optional: true }),
+    amount: money("Late fee amount"),
+    graceDays: number({ label: "Grace period", min: 0, max: 365, integer: true, optional: true }),
+  }, { label: "Late fee", optional: true }),
+}, { label: "Loan terms", optional: true });
+
+export const COLLATERAL = object({
+  type: oneOf(COLLATERAL_TYPES, { label: "Collateral type", optional: true }),
+  description: text({ label: "Collateral description", max: 2000, optional: true }),
+  serialNumbers: text({ label: "Serial numbers", max: 500, optional: true }),
+  value: money("Collateral value"),
+  location: text({ label: "Collateral location", max: 300, optional: true }),
+}, { label: "Collateral", optional: true });
+
+const signatureImage = (label) => text({ label, max: MAX_SIGNATURE_IMAGE, pattern: /^data:image\/png;base64,/, format: "must be a PNG image", optional: true });
+
+const SIGNATURE = object({
+  method: oneOf(["draw", "type", "click"], { label: "Signature method", optional: true }),
+  name: text({ label: "Signer name", max: 200, optional: true }),
+  image: signatureImage("Signature"),
+  signedAt: text({ label: "Signing time", max: 40, optional: true }),
+}, { label: "Signature", optional: true });
+
+// Saving a note signs for the lender only; the borrower and the other parties sign on their own
+// signing links (SIGN).
+const LENDER_SIGNATURE = rule({ label: "Signatures", optional: true }, (v, fail, field, errors) => {
+  if (!isObject(v)) return fail("invalid_type", "must be an object");
+  for (const key of Object.keys(v).filter((k) => k !== "lender")) {
+    errors.push({ field: path(field, key), code: "signing_link_required", message: "Only the lender signs here; everyone else signs on their signing link" });
+  }
+  return v.lender === undefined ? {} : { lender: SIGNATURE.check(v.lender, path(field, "lender"), errors) };
+}, noValue);
+
+const WIZARD_SIGNATURE = object({
+  method: oneOf(["draw", "type", "click"], { label: "Signature method", optional: true }),
+  typed: text({ label: "Typed signature", max: 200, optional: true }),
+  image: signatureImage("Signature"),
+}, { optional: true });
+
+const wizardValue = rule({ label: "Wizard field", optional: true }, (v, fail) => {
+  if (typeof v === "boolean") return v;
+  if (typeof v !== "string" && typeof v !== "number") return fail("invalid_type", "must be text or true/false");
+  return String(v).length > 2000 ? fail("too_long", "must be at most 2000 characters") : v;
+});
+
+const REMINDER_TEMPLATE = object({
+  subject: text({ label: "Reminder subject", max: 200, optional: true }),
+  text: text({ label: "Reminder message", max: 5000, optional: true }),
+  sms: text({ label: "Reminder text message", max: 320, optional: true }),
+}, { optional: true });
+
+// ---- contract templates (assets/js/templates.js) ----
+
+const TEMPLATE_CONDITION = rule({ label: "Condition" }, (v, fail) => {
+  if (!isObject(v)) return fail("invalid_type", "must be an object");
+  const problem = conditionProblem(v);
+  return problem ? fail("invalid_value", problem) : { field: v.field, op: v.op, value: v.value };
+}, noValue);
+
+const CLAUSE_FIELDS = object({
+  id: text({ label: "Clause id", max: 64, optional: true }),
+  heading: text({ label: "Clause heading", max: 120 }),
+  text: text({ label: "Clause text", max: 5000, optional: true }),
+  block: oneOf(CLAUSE_BLOCKS, { label: "Clause block", optional: true }),
+  when: list(TEMPLATE_CONDITION, { label: "Conditions", max: MAX_CONDITIONS, optional: true }),
+});
+
+// A clause has its own text unless it is one of the generated blocks.
+const TEMPLATE_CLAUSE = rule({ label: "Clause" }, (v, fail, field, errors) => {
+  const clause = CLAUSE_FIELDS.check(v, field, errors);
+  if (isObject(clause) && !clause.block && blankText(clause.text)) {
+    errors.push({ field: path(field, "text"), code: "required", message: "Clause text is required" });
+  }
+  return clause;
+}, noValue);
+
+const templateShape = {
+  name: text({ label: "Template name", max: 100 }),
+  description: text({ label: "Template description", max: 500, optional: true }),
+  clauses: list(TEMPLATE_CLAUSE, { label: "Clauses", max: MAX_CLAUSES }),
+};
+
+// POST /api/templates and PUT /api/templates/:id.
+export const TEMPLATE = object(templateShape);
+
+// POST /api/notes and PATCH /api/notes/:id. Everything is optional: a draft may be half-filled.
+// The status is the server's (drafts go to pending_signature when a signing link is sent and to
+// active once everyone has signed), so it isn't part of a note the client sends.
+export const NOTE = object({
+  title: text({ label: "Title", max: 200, optional: true }),
+  tier: oneOf(PLANS, { label: "Plan", optional: true }),
+  baseVersion: number({ label: "Base version", min: 1, integer: true, optional: true }),
+  lender: party("lender"),
+  borrower: party("borrower"),
+  parties: list(ADDITIONAL_PARTY, { label: "Parties", max: MAX_ADDITIONAL_PARTIES, optional: true }),
+  terms: TERMS,
+  collateral: COLLATERAL,
+  // The chosen template as it stands when the note is saved; null for the standard one.
+  template: object({ id: id({ label: "Template id" }), ...templateShape }, { label: "Template", optional: true }),
+  identity: object({ requiredFor: list(oneOf(["lender", "borrower"], { label: "Party" }), { max: 2, optional: true }) }, { optional: true }),
+  reminders: object({
+    enabled: bool({ label: "Reminders", optional: true }),
+    daysBefore: list(number({ label: "Reminder days", min: 1, max: MAX_DAYS_BEFORE, integer: true }), { label: "Reminder days", max: 10, optional: true }),
+    sms: bool({ label: "Text message reminders", optional: true }),
+    templates: record(REMINDER_TEMPLATE, { label: "Reminder templates", keys: Object.keys(REMINDER_KINDS), optional: true }),
+  }, { label: "Reminders", optional: true }),
+  signatures: LENDER_SIGNATURE,
+  wizard: object({
+    step: number({ label: "Wizard step", min: 1, max: 6, integer: true, optional: true }),
+    fields: record(wizardValue, { label: "Wizard fields", keys: /^[A-Za-z][\w-]{0,63}$/, max: 200, optional: true }),
+    signatures: object({ lender: WIZARD_SIGNATURE }, { optional: true }),
+  }, { label: "Wizard", optional: true }),
+});
+
+// What each wizard step needs on top of NOTE before the lender can continue, and ("document")
+// what the note's documents need besides steps 1 and 2.
+export const NOTE_STEPS = {
+  1: object({
+    terms: object({
+      principal: number({ label: "Principal amount", min: 0.01, message: "Please enter a valid principal amount" }),
+      dueDate: date({ label: "Due date", message: "Please select a due date" }),
+    }),
+  }),
+  2: object({
+    lender: object({
+      firstName: text({ label: "Lender first name" }),
+      lastName: text({ label: "Lender last name" }),
+      email: email({ label: "Lender email" }),
+    }),
+    borrower: object({
+      firstName: text({ label: "Borrower first name" }),
+      lastName: text({ label: "Borrower last name" }),
+      email: email({ label: "Borrower email" }),
+    }),
+    // Everyone signs from their own link, so each party needs a name and an email.
+    parties: list(object({
+      firstName: text({ label: "Party first name" }),
+      lastName: text({ label: "Party last name" }),
+      email: email({ label: "Party email" }),
+    }), { optional: true }),
+  }),
+  document: object({
+    terms: object({ loanDate: date({ label: "Loan date", message: "Please select a loan date" }) }),
+  }),
+};
+
+// Problems with a note payload (collectNotePayload() on the page), plus what `steps` require;
+// one per field.
+export function noteProblems(payload, ...steps) {
+  const errors = validate(NOTE, payload).errors;
+  for (const step of steps) errors.push(...validate(NOTE_STEPS[step], payload).errors);
+  return errors.filter((e, i) => errors.findIndex((x) => x.field === e.field) === i);
+}
+
+// ---- other routes ----
+
+const TOKEN = text({ label: "Token", max: 200, optional: true });
+const NOTE_ID = id({ label: "Note id" });
+
+// The amendment documents also name the amendment.
+export const DOCUMENT_REF = object({ noteId: NOTE_ID, amendmentId: id({ label: "Amendment id", optional: true }) });
+export const NOTES_QUERY = object({
+  status: text({ label: "Status", max: 40, optional: true }),
+  tier: text({ label: "Plan", max: 40, optional: true }),
+  createdAfter: text({ label: "Created after", max: 40, optional: true }),
+  // The dashboard's drill-down filters (matchesFigure in api/_utils/analytics.js)
+  payments: oneOf(["onTime", "late", "missed"], { label: "Payments", optional: true }),
+  due: text({ label: "Due", pattern: /^(past|\d{4}-\d{2})$/, format: "must be past or a month (YYYY-MM)", optional: true }),
+});
+export const TOKEN_QUERY = object({ token: TOKEN });
+export const ANALYTICS_QUERY = object({ asOf: date({ label: "As-of date", code: "invalid_date", optional: true }) });
+
+export const SIGNUP = object({
+  email: email({ label: "Email", code: "invalid_email" }),
+  password: text({ label: "Password", min: MIN_PASSWORD_LENGTH, max: 200, trim: false, code: "weak_password" }),
+  firstName: text({ label: "First name", max: 100, optional: true }),
+  lastName: text({ label: "Last name", max: 100, optional: true }),
+  remember: bool({ label: "Remember me", optional: true }),
+});
+export const SIGNIN = object({
+  email: text({ label: "Email", max: 254, optional: true }),
+  password: text({ label: "Password", max: 200, optional: true }),
+  remember: bool({ label: "Remember me", optional: true }),
+});
+export const RESET_REQUEST = object({ email: text({ label: "Email", max: 254, code: "missing_email" }) });
+export const RESET_CONFIRM = object({
+  token: TOKEN,
+  password: text({ label: "Password", min: MIN_PASSWORD_LENGTH, max: 200, trim: false, code: "weak_password" }),
+});
+
+export const COMPLIANCE_CHECK = object({
+  noteId: id({ label: "Note id", optional: true }),
+  lenderState: text({ label: "Lender state", max: 2, optional: true }),
+  borrowerState: text({ label: "Borrower state", max: 2, optional: true }),
+  terms: TERMS,
+});
+
+export const PLAN_PAYMENT = object({ plan: oneOf(PLANS, { label: "Plan", code: "invalid_plan" }), noteId: NOTE_ID });
+
+export const TIMESTAMP = object({ noteId: NOTE_ID });
+export const VERIFY = object({
+  pdfHash: text({ label: "PDF hash", pattern: /^[0-9a-fA-F]{64}$/, format: "must be a SHA-256 hash", code: "missing_pdf", optional: true }),
+  pdf: text({ label: "PDF", max: MAX_PDF_BASE64, code: "missing_pdf", optional: true }),
+});
+
+export const EVIDENCE = object({
+  noteId: id({ label: "Note id", optional: true }),
+  kind: text({ label: "Kind", max: 100, optional: true }),
+  description: text({ label: "Description", max: 5000, optional: true }),
+  capturedAt: text({ label: "Captured at", max: 40, optional: true }),
+  data: json({ label: "Data", max: 20_000, optional: true }),
+});
+
+export const AUDIT_EVENT = object({
+  action: text({ label: "Action", min: 1, max: 200, code: "missing_action" }),
+  details: json({ label: "Details", max: 5000, optional: true }),
+  clientTime: text({ label: "Client time", max: 40, optional: true }),
+});
+export const AUDIT_QUERY = object({ format: oneOf(["certificate"], { label: "Format", optional: true }) });
+
+// `party` is who signs with the link: "borrower" (the default) or another party's id.
+export const INVITE = object({
+  party: text({ label: "Party", max: 64, pattern: SIGNATURE_KEY, code: "unknown_party", optional: true }),
+  email: email({ label: "Borrower email", code: "missing_email", optional: true }),
+  message: text({ label: "Message", max: 2000, optional: true }),
+});
+
+const SEND_AT = text({ label: "Send time", pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/, format: "must be a date and time (YYYY-MM-DDTHH:mm)", code: "invalid_send_time" });
+const TIME_ZONE = text({ label: "Time zone", max: 100, code: "invalid_time_zone" });
+export const DELIVERY = object({
+  kind: text({ label: "Delivery", max: 20, code: "invalid_kind" }),
+  email: email({ label: "Borrower email", code: "missing_email", optional: true }),
+  message: text({ label: "Message", max: 2000, optional: true }),
+  sendAt: SEND_AT,
+  timeZone: TIME_ZONE,
+});
+export const DELIVERY_TIME = object({ sendAt: SEND_AT, timeZone: TIME_ZONE });
+export const DELIVERY_QUERY = object({ deliveryId: id({ label: "Delivery id", optional: true }) });
+
+export const PAYMENT = object({
+  date: date({ label: "Payment date", code: "invalid_date", optional: true }),
+  amount: number({ label: "Amount", min: 0.01, max: 100_000_000, code: "invalid_amount" }),
+  method: oneOf(PAYMENT_METHODS, { label: "Payment method", optional: true }),
+  memo: text({ label: "Memo", max: 500, optional: true }),
+});
+export const PAYMENTS_QUERY = object({
+  asOf: date({ label: "As-of date", code: "invalid_date", optional: true }),
+  payoffDate: date({ label: "Payoff date", code: "invalid_date", optional: true }),
+  paymentId: id({ label: "Payment id", optional: true }),
+});
+export const PAY_LINK = object({ email: email({ label: "Borrower email", code: "invalid_email", optional: true }) });
+
+export const RECEIPT_QUERY = object({
+  pi: text({ label: "Payment", max: 255, pattern: /^pi_\w+$/, format: "must be a Stripe PaymentIntent id", code: "missing_pi" }),
+});
+
+export const PAY = object({
+  token: TOKEN,
+  amount: number({ label: "Amount", min: 0, max: 100_000_000, code: "invalid_amount" }),
+  method: oneOf(["card", "ach"], { label: "Payment method", optional: true }),
+});
+
+// A signature given on a signing page (the handler checks it is complete).
+const CONSENT = bool({ label: "Consent", code: "consent_required", optional: true });
+const SUBMITTED_SIGNATURE = object({
+  method: oneOf(["draw", "type", "click"], { label: "Signature method", code: "missing_signature" }),
+  name: text({ label: "Signer name", max: 200, optional: true }),
+  image: text({ label: "Signature", max: MAX_SIGNATURE_IMAGE, pattern: /^data:image\/png;base64,/, code: "missing_signature", optional: true }),
+}, { label: "Signature", code: "missing_signature", optional: true });
+
+export const SIGN = object({ token: TOKEN, consent: CONSENT, signature: SUBMITTED_SIGNATURE });
+
+// Only the amendable terms are taken from `terms` (assets/js/amendments.js).
+export const AMENDMENT = object({
+  kind: oneOf(AMENDMENT_KINDS, { label: "Amendment type", optional: true }),
+  reason: text({ label: "Reason", max: 2000, optional: true }),
+  effectiveDate: date({ label: "Effective date", code: "invalid_date", optional: true }),
+  terms: TERMS,
+  consent: CONSENT,
+  signature: SUBMITTED_SIGNATURE,
+  email: email({ label: "Borrower email", code: "missing_email", optional: true }),
+  // Where the other parties' links go, by signature key; each defaults to the party's email
+  emails: record(email({ label: "Party email", code: "missing_email" }), { label: "Party emails", keys: SIGNATURE_KEY, max: 20, optional: true }),
+  message: text({ label: "Message", max: 2000, optional: true }),
+});
+export const AMENDMENT_QUERY = object({ amendmentId: id({ label: "Amendment id", optional: true }) });
+
+export const SENSITIVE_QUERY = object({
+  role: oneOf(["lender", "borrower"], { label: "Party", code: "invalid_role" }),
+  field: oneOf(["dob", "ssn"], { label: "Field", code: "invalid_field" }),
+});
+
+export const IDV_START = object({
+  token: TOKEN,
+  noteId: id({ label: "Note id", optional: true }),
+  role: oneOf(["lender", "borrower"], { label: "Party", code: "invalid_role", optional: true }),
+  returnUrl: text({ label: "Return URL", max: 500, optional: true }),
+});
+export const IDV_MOCK = object({
+  session: text({ label: "Session", max: 200, optional: true }),
+  outcome: text({ label: "Outcome", max: 40, code: "invalid_outcome" }),
+  reason: text({ label: "Reason", max: 500, optional: true }),
+});
+// A verification provider's callback, once its signature checks out: { id, type, data }.
+export const IDV_CALLBACK = object({
+  id: text({ label: "Event id", max: 200 }),
+  type: text({ label: "Event type", max: 100 }),
+  created: number({ label: "Created", optional: true }),
+  data: object({
+    session: text({ label: "Session", max: 200, optional: true }),
+    outcome: text({ label: "Outcome", max: 40, optional: true }),
+    reason: text({ label: "Reason", max: 500, optional: true }),
+  }, { label: "Event data", unknown: "keep", optional: true }),
+}, { unknown: "keep" });
@@ -1,19 +1,14 @@
-// --- TrustLend PDF payload bridge (auto-injected) ---
-function __tl_preparePdfPayload(extra){
-  try {
-    if (typeof buildPdfPayload === 'function') return buildPdfPayload(extra||{});
-    if (typeof collectContractData === 'function') {
-      const base = collectContractData();
-      if (window.noteExportMeta && window.noteExportMeta.receipt) base.paymentReceipt = window.noteExportMeta.receipt;
-      return Object.assign({}, base, extra||{});
-    }
-  } catch(e){ console.warn('preparePdfPayload fallback', e); }
-  return extra||{};
-}
-// --- end bridge ---
-
-// pdf-export.js (POST version) - sends payload to your backend for Documint PDF generation
+// pdf-export.js - downloads a saved note rendered by /api/pdf/<document>
+// Usage: TrustLendPdf.export(noteId, 'contract' | 'schedule' | 'ucc' | 'ucc1' | 'package')
 window.TrustLendPdf = (function(){
+  const FILENAMES = {
+    contract: 'TrustLend_Promissory_Note.pdf',
+    schedule: 'TrustLend_Payment_Schedule.pdf',
+    ucc: 'TrustLend_UCC_Attachment.pdf',
+    ucc1: 'TrustLend_UCC1_Financing_Statement.pdf',
+    package: 'TrustLend_Document_Package.pdf'
+  };
+
   function downloadBlob(blob, filename){
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -24,30 +19,26 @@ window.TrustLendPdf = (function(){
     URL.revokeObjectURL(url);
     a.remove();
   }
-  async function exportViaServer(payload){
+  async function exportViaServer(noteId, kind){
+    kind = kind || 'contract';
     try {
-      const resp = await fetch('/api/pdf', {
+      const resp = await fetch('/api/pdf/' + kind, {
         method: 'POST',
+        credentials: 'same-origin',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
+        body: JSON.stringify({ noteId: noteId })
       });
-      const ct = resp.headers.get('Content-Type') || '';
       if (!resp.ok) {
-        const text = await resp.text().catch(()=>''); 
-        alert('PDF error: ' + text);
+        const json = await resp.json().catch(()=>({}));
+        alert(json.error === 'plan_required'
+          ? 'This document is not included in the plan paid for this note.'
+          : 'PDF error: ' + (json.error || resp.status));
         return;
       }
-      if (ct.includes('application/pdf') || ct.includes('application/octet-stream')) {
-        const blob = await resp.blob();
-        downloadBlob(blob, (payload && payload.title ? payload.title : 'promissory-note') + '.pdf');
-      } else {
-        const json = await resp.json().catch(()=>null);
-        if (json && json.documint && (json.documint.url || json.documint.download_url)) {
-          window.open(json.documint.url || json.documint.download_url, '_blank');
-        } else {
-          alert('PDF created. Check server logs/response for details.');
-          console.log('PDF response:', json);
-        }
+      const blob = await resp.blob();
+      downloadBlob(blob, FILENAMES[kind]);
+      if (kind === 'contract' && window.recordDocumentTimestamp) {
+        window.recordDocumentTimestamp(blob).catch((e) => console.error('Timestamp failed', e));
       }
     } catch (e) {
       console.error(e);
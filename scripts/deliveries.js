@@ -0,0 +1,19 @@
+// Runs the scheduled delivery queue from the command line, against the store and mail transport
+// the environment points at (TRUSTLEND_STORE, MAIL_TRANSPORT, ...):
+//
+//   node scripts/deliveries.js [--now 2026-10-20T13:00:00Z]
+//
+// Prints the run summary as JSON and exits with 1 when any delivery failed for good.
+import { runDeliveries } from "../api/_utils/deliveries.js";
+
+const args = process.argv.slice(2);
+const nowAt = args.indexOf("--now");
+const now = nowAt >= 0 ? new Date(args[nowAt + 1]) : new Date();
+if (Number.isNaN(now.getTime())) {
+  console.error("--now needs a date and time (ISO 8601)");
+  process.exit(2);
+}
+
+const summary = await runDeliveries({ now });
+console.log(JSON.stringify(summary, null, 2));
+process.exit(summary.failed.length ? 1 : 0);
@@ -0,0 +1,20 @@
+// Runs the payment reminder job from the command line, against the store and transports the
+// environment points at (TRUSTLEND_STORE, MAIL_TRANSPORT, SMS_TRANSPORT, ...):
+//
+//   node scripts/reminders.js [--as-of YYYY-MM-DD] [--dry-run]
+//
+// Prints the run summary as JSON and exits with 1 when any reminder failed to send.
+import { runReminders } from "../api/_utils/reminders.js";
+import { validDate } from "../api/_utils/payments.js";
+
+const args = process.argv.slice(2);
+const asOfAt = args.indexOf("--as-of");
+const asOf = asOfAt >= 0 ? args[asOfAt + 1] : undefined;
+if (asOf !== undefined && !validDate(asOf)) {
+  console.error("--as-of needs a date (YYYY-MM-DD)");
+  process.exit(2);
+}
+
+const summary = await runReminders({ asOf, dryRun: args.includes("--dry-run") });
+console.log(JSON.stringify(summary, null, 2));
+process.exit(summary.failed.length ? 1 : 0);
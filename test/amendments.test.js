@@ -0,0 +1,68 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import amendmentsRoute from "../api/notes/[id]/amendments.js";
+import signRoute from "../api/sign.js";
+import { createNote } from "../api/_utils/notes.js";
+import { registerTransport } from "../api/_utils/mailer.js";
+import { getById, insert } from "../api/_utils/store.js";
+import { invoke, sessionCookie } from "./helpers.js";
+
+process.env.TRUSTLEND_STORE = "memory";
+process.env.MAIL_TRANSPORT = "capture";
+
+const LENDER = { id: "usr_lender", email: "lena@example.com", sessionVersion: 0 };
+const TERMS = { principal: 1200, interestMode: "none", loanDate: "2026-06-01", dueDate: "2026-12-01", paymentSchedule: "lump_sum" };
+const SIGNED = { method: "type", name: "Lena Lender", image: "", signedAt: "2026-06-01T12:00:00.000Z" };
+const sent = [];
+
+before(async () => {
+  registerTransport("capture", async (message) => {
+    sent.push(message);
+    return { id: `capture-${sent.length}` };
+  });
+  await insert("users", LENDER);
+});
+
+async function executedNote(guarantorEmail = "gus@example.com") {
+  const base = createNote({ lender: { firstName: "Lena", email: LENDER.email }, borrower: { firstName: "Bo", email: "bo@example.com" }, terms: TERMS }, LENDER.id);
+  return insert("notes", {
+    ...base,
+    parties: [{ id: "pty_gus", role: "guarantor", firstName: "Gus", email: guarantorEmail }],
+    status: "active",
+    signatures: { lender: SIGNED, borrower: { ...SIGNED, name: "Bo" }, pty_gus: { ...SIGNED, name: "Gus" } },
+  });
+}
+const propose = (id, body) => invoke(amendmentsRoute, { method: "POST", query: { id }, headers: { cookie: sessionCookie(LENDER) }, body });
+const tokenFor = (to) => sent.findLast((m) => m.to === to).text.match(/sign\.html\?token=(\S+)/)[1];
+const sign = (token, name) => invoke(signRoute, { method: "POST", body: { token, consent: true, signature: { method: "type", name } } });
+
+test("an amendment takes effect only once every party on the note has signed it", async () => {
+  const note = await executedNote();
+  const proposed = await propose(note.id, {
+    kind: "extension", terms: { dueDate: "2027-03-01" }, consent: true, signature: { method: "type", name: "Lena Lender" },
+  });
+  assert.equal(proposed.status, 201);
+  assert.deepEqual(proposed.json.invites.map((i) => [i.party, i.email]), [["borrower", "bo@example.com"], ["pty_gus", "gus@example.com"]]);
+  assert.deepEqual(Object.keys(proposed.json.amendment.signatures).sort(), ["borrower", "lender", "pty_gus"]);
+
+  const byBorrower = await sign(tokenFor("bo@example.com"), "Bo");
+  assert.deepEqual([byBorrower.status, byBorrower.json.amendment.status], [200, "pending"]);
+  assert.equal((await getById("notes", note.id)).terms.dueDate, "2026-12-01");
+
+  const byGuarantor = await sign(tokenFor("gus@example.com"), "Gus");
+  assert.deepEqual([byGuarantor.status, byGuarantor.json.amendment.status], [200, "executed"]);
+  const stored = await getById("notes", note.id);
+  assert.equal(stored.terms.dueDate, "2027-03-01");
+  assert.deepEqual(Object.keys(stored.amendments[0].signatures).filter((k) => stored.amendments[0].signatures[k]).sort(), ["borrower", "lender", "pty_gus"]);
+});
+
+test("every party needs an address for their amendment link", async () => {
+  const note = await executedNote("");
+  const body = { kind: "extension", terms: { dueDate: "2027-03-01" }, consent: true, signature: { method: "type", name: "Lena Lender" } };
+  const res = await propose(note.id, body);
+  assert.deepEqual([res.status, res.json.error, res.json.party], [400, "missing_email", "pty_gus"]);
+  assert.deepEqual((await getById("notes", note.id)).amendments, []);
+
+  const addressed = await propose(note.id, { ...body, emails: { pty_gus: "gus@example.com" } });
+  assert.deepEqual(addressed.json.invites.map((i) => i.email), ["bo@example.com", "gus@example.com"]);
+});
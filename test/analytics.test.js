@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchesFigure, portfolioSummary } from "../api/_utils/analytics.js";
+import { createNote, withLedgerStatus } from "../api/_utils/notes.js";
+
+const AS_OF = "2026-10-19";
+const pay = (date, amount) => ({ id: `p_${date}`, date, amount, method: "cash" });
+
+// Six monthly payments of $200 from July: the first paid early, the second late, September's and
+// October's not at all, November's and December's still to come.
+const monthly = createNote({
+  title: "Monthly",
+  terms: { principal: 1200, interestMode: "none", loanDate: "2026-06-01", firstPaymentDue: "2026-07-01", paymentSchedule: "monthly", loanTermMonths: 6 },
+}, "usr_lender");
+// Paid off four days late
+const repaid = createNote({
+  title: "Repaid",
+  terms: { principal: 500, interestMode: "none", loanDate: "2026-01-01", dueDate: "2026-03-01", paymentSchedule: "lump_sum" },
+}, "usr_lender");
+// Due beyond the twelve months of the cash flow
+const longTerm = createNote({
+  title: "Long term",
+  terms: { principal: 1000, interestMode: "none", loanDate: "2026-10-01", dueDate: "2027-12-01", paymentSchedule: "lump_sum" },
+}, "usr_lender");
+const draft = createNote({ title: "Draft", terms: { principal: 300 } }, "usr_lender");
+
+const NOTES = [
+  { ...monthly, status: "active", tier: "maximum", payments: [pay("2026-06-30", 200), pay("2026-08-10", 200)] },
+  { ...repaid, status: "active", payments: [pay("2026-03-05", 500)] },
+  { ...longTerm, status: "active" },
+  { ...draft, tier: "maximum" },
+].map((n) => withLedgerStatus(n, AS_OF));
+const titles = (filter) => NOTES.filter((n) => matchesFigure(n, filter, AS_OF)).map((n) => n.title);
+
+test("the portfolio summary adds up the ledgers of the notes in repayment", () => {
+  const summary = portfolioSummary(NOTES, AS_OF);
+  assert.deepEqual([summary.notes, summary.inRepayment, summary.outstandingPrincipal, summary.outstanding], [4, 3, 1800, 1800]);
+  assert.deepEqual(summary.feesEarned, { total: 0, lateFees: 0 });
+
+  const { months, pastDue, later } = summary.cashFlow;
+  assert.deepEqual([months.length, months[0].month, months.at(-1).month], [12, "2026-10", "2027-09"]);
+  assert.deepEqual(months.filter((m) => m.expected).map((m) => [m.month, m.expected, m.installments]), [["2026-11", 200, 1], ["2026-12", 200, 1]]);
+  assert.deepEqual([pastDue, later], [400, 1000]);
+
+  assert.deepEqual(summary.payments, { onTime: 1, late: 2, missed: 2, counted: 5, onTimeRate: 0.2, lateRate: 0.8 });
+  assert.deepEqual(summary.byStatus.filter((r) => r.count).map((r) => [r.status, r.count, r.principal]), [
+    ["draft", 1, 300], ["active", 1, 1000], ["overdue", 1, 1200], ["complete", 1, 500],
+  ]);
+  assert.deepEqual(summary.byTier.map((r) => [r.tier, r.count, r.principal]), [["essential", 2, 1500], ["maximum", 2, 1500]]);
+});
+
+test("each drill-down filter keeps the notes behind its figure", () => {
+  assert.deepEqual(titles({}), ["Monthly", "Repaid", "Long term", "Draft"]);
+  assert.deepEqual(titles({ payments: "onTime" }), ["Monthly"]);
+  assert.deepEqual(titles({ payments: "late" }), ["Monthly", "Repaid"]);
+  assert.deepEqual(titles({ payments: "missed" }), ["Monthly"]);
+  assert.deepEqual(titles({ due: "past" }), ["Monthly"]);
+  assert.deepEqual(titles({ due: "2026-11" }), ["Monthly"]);
+  assert.deepEqual(titles({ due: "2026-10" }), []);
+  assert.deepEqual(titles({ due: "2027-12" }), ["Long term"]);
+});
@@ -0,0 +1,107 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { deliveryTime, MAX_ATTEMPTS, newDelivery, runDeliveries, zonedTime } from "../api/_utils/deliveries.js";
+import { registerTransport } from "../api/_utils/mailer.js";
+import { createNote } from "../api/_utils/notes.js";
+import { getById, insert } from "../api/_utils/store.js";
+
+process.env.TRUSTLEND_STORE = "memory";
+process.env.MAIL_TRANSPORT = "deliveries-test";
+
+const iso = (local, zone) => zonedTime(local, zone)?.toISOString() ?? null;
+
+test("a wall-clock time resolves in its time zone, across daylight saving", () => {
+  assert.equal(iso("2026-01-15T09:00", "America/New_York"), "2026-01-15T14:00:00.000Z");
+  assert.equal(iso("2026-07-15T09:00", "America/New_York"), "2026-07-15T13:00:00.000Z");
+  assert.equal(iso("2026-07-15T09:00", "Asia/Kolkata"), "2026-07-15T03:30:00.000Z");
+  assert.equal(iso("2026-07-15T09:00", "UTC"), "2026-07-15T09:00:00.000Z");
+  // The last hour before and the first after the spring-forward change
+  assert.equal(iso("2026-03-08T01:30", "America/New_York"), "2026-03-08T06:30:00.000Z");
+  assert.equal(iso("2026-03-08T03:30", "America/New_York"), "2026-03-08T07:30:00.000Z");
+  // 02:30 never happens that night; it lands next to the gap, on 01:30 standard time
+  assert.equal(iso("2026-03-08T02:30", "America/New_York"), "2026-03-08T06:30:00.000Z");
+  // 01:30 happens twice when the clocks fall back; the first one (still daylight time) is taken
+  assert.equal(iso("2026-11-01T01:30", "America/New_York"), "2026-11-01T05:30:00.000Z");
+});
+
+test("malformed times, impossible dates and unknown zones are refused", () => {
+  for (const [local, zone] of [
+    ["2026-02-30T09:00", "UTC"], ["2026-13-01T09:00", "UTC"], ["2026-01-01T24:00", "UTC"], ["2026-01-01T09:60", "UTC"],
+    ["2026-01-01 09:00", "UTC"], ["", "UTC"], ["2026-01-01T09:00", "Mars/Olympus_Mons"], ["2026-01-01T09:00", ""],
+  ]) assert.equal(zonedTime(local, zone), null, `${local} ${zone}`);
+
+  const now = new Date("2026-10-19T12:00:00.000Z");
+  const problem = (input) => deliveryTime(input, now).problem?.[1].error;
+  assert.equal(problem({ sendAt: "2026-10-20T09:00", timeZone: "Nowhere/City" }), "invalid_time_zone");
+  assert.equal(problem({ sendAt: "2026-10-20T9:00", timeZone: "UTC" }), "invalid_send_time");
+  assert.equal(problem({ sendAt: "2026-10-19T07:59", timeZone: "America/New_York" }), "send_time_past");
+  assert.equal(problem({ sendAt: "2027-10-20T09:00", timeZone: "UTC" }), "send_time_too_far");
+  assert.deepEqual(deliveryTime({ sendAt: "2026-10-19T08:30", timeZone: "America/New_York" }, now), {
+    sendAt: "2026-10-19T12:30:00.000Z", localTime: "2026-10-19T08:30", timeZone: "America/New_York",
+  });
+});
+
+const sent = [];
+let failing = false;
+before(() => registerTransport("deliveries-test", async (message) => {
+  if (failing) throw new Error("mail provider down");
+  sent.push(message);
+  return { id: `m${sent.length}` };
+}));
+
+const SEND_AT = "2026-10-20T13:00:00.000Z";
+const SIGNED = { method: "type", name: "Lena", image: "", signedAt: "2026-10-01T12:00:00.000Z" };
+const at = (minutes) => new Date(Date.parse(SEND_AT) + minutes * 60 * 1000);
+
+async function scheduledInvite({ note: noteFields, ...fields } = {}) {
+  const base = createNote({ lender: { firstName: "Lena" }, borrower: { firstName: "Bo", email: "bo@example.com" } }, "usr_lender");
+  const delivery = newDelivery(
+    { kind: "invite", email: "bo@example.com", baseUrl: "http://localhost", createdBy: "usr_lender" },
+    { sendAt: SEND_AT, localTime: "2026-10-20T09:00", timeZone: "America/New_York" },
+  );
+  return insert("notes", { ...base, signatures: { lender: SIGNED, borrower: null }, deliveries: [{ ...delivery, ...fields }], ...noteFields });
+}
+const stored = async (note) => (await getById("notes", note.id)).deliveries[0];
+
+test("the queue sends a delivery once its time has come, and only once", async () => {
+  const note = await scheduledInvite();
+  assert.deepEqual((await runDeliveries({ now: at(-1) })).sent, []);
+
+  const [first, second] = await Promise.all([runDeliveries({ now: at(1) }), runDeliveries({ now: at(1) })]);
+  assert.equal(first.sent.length + second.sent.length, 1);
+  assert.deepEqual(sent.filter((m) => m.to === "bo@example.com").length, 1);
+  assert.deepEqual([(await stored(note)).status, (await stored(note)).attempts], ["sent", 1]);
+  assert.deepEqual((await runDeliveries({ now: at(60) })).sent, []);
+});
+
+test("a failed send is retried after 5 and 30 minutes, then marked failed", async () => {
+  const note = await scheduledInvite();
+  failing = true;
+  try {
+    assert.equal((await runDeliveries({ now: at(1) })).retrying.length, 1);
+    assert.deepEqual([(await stored(note)).status, (await stored(note)).nextAttemptAt], ["scheduled", at(6).toISOString()]);
+    assert.deepEqual((await runDeliveries({ now: at(5) })).retrying, []);
+
+    assert.equal((await runDeliveries({ now: at(6) })).retrying.length, 1);
+    assert.equal((await stored(note)).nextAttemptAt, at(36).toISOString());
+
+    const last = await runDeliveries({ now: at(36) });
+    assert.deepEqual([last.retrying, last.failed.map((f) => f.error)], [[], ["mail provider down"]]);
+    assert.deepEqual([(await stored(note)).status, (await stored(note)).attempts], ["failed", MAX_ATTEMPTS]);
+  } finally {
+    failing = false;
+  }
+  assert.deepEqual((await runDeliveries({ now: at(120) })).sent, []);
+});
+
+test("a delivery that can't succeed fails at once, and an abandoned claim is picked up again", async () => {
+  const signed = await scheduledInvite({ note: { signatures: { lender: SIGNED, borrower: SIGNED } } });
+  const done = await runDeliveries({ now: at(1) });
+  assert.deepEqual(done.failed.map((f) => [f.noteId, f.error]), [[signed.id, "already_signed"]]);
+  assert.deepEqual([(await stored(signed)).status, (await stored(signed)).attempts], ["failed", 1]);
+
+  const stuck = await scheduledInvite({ status: "sending", attempts: 1, claimedAt: at(0).toISOString() });
+  assert.deepEqual((await runDeliveries({ now: at(5) })).sent, []);
+  assert.deepEqual((await runDeliveries({ now: at(11) })).sent.map((s) => s.noteId), [stuck.id]);
+  assert.deepEqual([(await stored(stuck)).status, (await stored(stuck)).attempts], ["sent", 2]);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DOCUMENTS, renderNoteDocument } from "../api/_utils/documents.js";
+import { matchSnapshot, pdfContent } from "./helpers.js";
+
+// Renders are a function of the stored note alone (api/_utils/pdfwriter.js), so each document
+// is snapshotted as its drawing operators. After an intended layout or wording change, update
+// the snapshots with UPDATE_SNAPSHOTS=1 npm test and review the diff.
+const SIGNED_AT = "2026-01-02T15:04:05.000Z";
+const signature = (name) => ({ method: "type", name, image: "", signedAt: SIGNED_AT });
+const TERMS = {
+  principal: 5000, flatFee: 50, interestMode: "amortizing", interestRate: 6, loanDate: "2026-01-02", firstPaymentDue: "2026-02-01",
+  paymentSchedule: "monthly", loanTermMonths: 6, purpose: "Used car", lateFee: { enabled: true, type: "flat", amount: 25, graceDays: 10 },
+};
+const PERSON = { email: "", phone: "", address: "1 Main St", zip: "94110", county: "", ssnLast4: "" };
+
+const UNSECURED = {
+  id: "note_unsecured",
+  title: "Personal Loan",
+  status: "active",
+  tier: "essential",
+  lender: { ...PERSON, firstName: "Lena", lastName: "Lender", city: "San Francisco", state: "CA" },
+  borrower: { ...PERSON, firstName: "Bo", lastName: "Borrower", city: "Austin", state: "TX" },
+  terms: TERMS,
+  collateral: null,
+  template: null,
+  signatures: { lender: signature("Lena Lender"), borrower: signature("Bo Borrower") },
+  createdAt: "2026-01-01T09:00:00.000Z",
+};
+
+const AMENDED = { ...TERMS, loanTermMonths: 8 };
+const SECURED = {
+  ...UNSECURED,
+  id: "note_secured",
+  title: "Truck Loan",
+  status: "complete",
+  tier: "maximum",
+  plan: { id: "maximum" },
+  parties: [
+    { ...PERSON, id: "pty_cob", role: "co_borrower", firstName: "Cy", lastName: "Cosigner", city: "Austin", state: "TX" },
+    { ...PERSON, id: "pty_gua", role: "guarantor", firstName: "Gia", lastName: "Guarantor", city: "Dallas", state: "TX" },
+  ],
+  collateral: { type: "vehicle", description: "2019 Ford F-150", vin: "1FTEW1EP5KFA00000", year: "2019", make: "Ford", model: "F-150" },
+  template: { id: "secured", name: "Secured Loan", description: "", clauses: [] },
+  signatures: {
+    ...UNSECURED.signatures, pty_cob: signature("Cy Cosigner"), pty_gua: signature("Gia Guarantor"),
+  },
+  terms: AMENDED,
+  amendments: [{
+    id: "amd_1", number: 1, kind: "extension", status: "executed", reason: "Borrower asked for two more months.",
+    effectiveDate: "2026-03-01", previousTerms: TERMS, terms: AMENDED, hash: "a".repeat(64),
+    signatures: { ...UNSECURED.signatures, pty_cob: signature("Cy Cosigner"), pty_gua: signature("Gia Guarantor") },
+    createdAt: SIGNED_AT, executedAt: SIGNED_AT,
+  }],
+  payments: [{ id: "pay_1", date: "2026-04-15", amount: 5200, method: "check", memo: "" }],
+  release: { paidOn: "2026-04-15", issuedAt: "2026-04-15T12:00:00.000Z" },
+};
+
+const EVENTS = [
+  { seq: 1, at: "2026-01-01T09:00:00.000Z", action: "Note created", details: "", actor: { id: "usr_1", email: "lena@example.com" }, ip: "127.0.0.1", userAgent: "test", prevHash: "0".repeat(64), hash: "b".repeat(64) },
+];
+
+const cases = [
+  ["unsecured", UNSECURED, ["contract", "schedule", "certificate", "ucc"]],
+  ["secured", SECURED, ["contract", "schedule", "ucc", "ucc1", "amendment", "release", "ucc3"]],
+];
+
+for (const [name, note, kinds] of cases) {
+  for (const kind of kinds) {
+    test(`${name} ${kind} matches its snapshot`, () => {
+      const options = { events: EVENTS, amendment: DOCUMENTS[kind].perAmendment ? note.amendments[0] : null };
+      const pdf = renderNoteDocument(kind, note, options);
+      assert.ok(pdf.subarray(0, 8).toString("latin1").startsWith("%PDF-1.4"));
+      assert.ok(renderNoteDocument(kind, note, options).equals(pdf), "rendering twice gives the same bytes");
+      matchSnapshot(`${name}-${kind}.txt`, pdfContent(pdf));
+    });
+  }
+}
+
+test("an amended note's contract keeps the terms it was signed with", () => {
+  const original = pdfContent(renderNoteDocument("contract", { ...SECURED, terms: TERMS, amendments: [] }));
+  assert.equal(pdfContent(renderNoteDocument("contract", SECURED)), original);
+});
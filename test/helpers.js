@@ -0,0 +1,62 @@
+// Shared by the test files (npm test runs test/*.test.js).
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { Readable } from "node:stream";
+import { fileURLToPath } from "node:url";
+import { SESSION_COOKIE, signToken } from "../api/_utils/auth.js";
+
+const SNAPSHOTS = path.join(path.dirname(fileURLToPath(import.meta.url)), "__snapshots__");
+
+// Compares `actual` (a string) with test/__snapshots__/<name>. A missing snapshot is written,
+// except under CI; UPDATE_SNAPSHOTS=1 rewrites them all after an intended change.
+export function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOTS, name);
+  const exists = fs.existsSync(file);
+  if (process.env.UPDATE_SNAPSHOTS || (!exists && !process.env.CI)) {
+    fs.mkdirSync(SNAPSHOTS, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(exists, `snapshot ${name} is missing; run the tests once outside CI to write it`);
+  assert.equal(actual, fs.readFileSync(file, "utf8"), `${name} no longer matches its snapshot`);
+}
+
+// The readable part of a PDF from api/_utils/pdfwriter.js: its info dictionary and each page's
+// drawing operators (the streams are deflated, images are left out).
+export function pdfContent(pdf) {
+  const text = pdf.toString("latin1");
+  const pages = [];
+  for (const m of text.matchAll(/<< ([^>]*?)\/Filter \/FlateDecode \/Length (\d+) >>\nstream\n/g)) {
+    if (m[1].includes("/Subtype /Image")) continue;
+    const start = m.index + m[0].length;
+    pages.push(zlib.inflateSync(pdf.subarray(start, start + Number(m[2]))).toString("latin1"));
+  }
+  const info = /\/Title <[0-9A-F]*> \/Author <[0-9A-F]*> \/Producer \([^)]*\)/.exec(text)?.[0] || "";
+  return [info, ...pages.map((ops, i) => `--- page ${i + 1} ---\n${ops}`)].join("\n") + "\n";
+}
+
+// Runs an API function (its default export) the way Vercel would, without a server. `body` is sent
+// as JSON and `raw` as is (webhooks); resolves to { status, headers, json }.
+export async function invoke(handler, { method = "GET", query = {}, headers = {}, body, raw } = {}) {
+  const payload = raw ?? (body === undefined ? "" : JSON.stringify(body));
+  const req = Readable.from(payload ? [Buffer.from(payload)] : []);
+  Object.assign(req, { method, query, url: "/", headers: { host: "localhost", ...headers }, socket: { remoteAddress: "127.0.0.1" } });
+  const chunks = [];
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; },
+    end(chunk) { if (chunk) chunks.push(Buffer.from(chunk)); },
+  };
+  await handler(req, res);
+  const text = Buffer.concat(chunks).toString("utf8");
+  return { status: res.statusCode, headers: res.headers, json: text ? JSON.parse(text) : null };
+}
+
+// The Cookie header of a signed-in `user` (already in the store).
+export function sessionCookie(user) {
+  return `${SESSION_COOKIE}=${signToken({ sub: user.id, ver: user.sessionVersion || 0 }, 60 * 60)}`;
+}
@@ -0,0 +1,50 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import mockEndpoint from "../api/idv/mock.js";
+import { idvProvider, mockProvider } from "../api/_utils/idv.js";
+import { insert } from "../api/_utils/store.js";
+import { invoke } from "./helpers.js";
+
+process.env.TRUSTLEND_STORE = "memory";
+const ENV = { ...process.env };
+afterEach(() => {
+  for (const key of ["NODE_ENV", "IDV_PROVIDER", "IDV_WEBHOOK_SECRET"]) {
+    if (ENV[key] === undefined) delete process.env[key];
+    else process.env[key] = ENV[key];
+  }
+});
+
+test("identity verification is off without a webhook secret", () => {
+  delete process.env.IDV_WEBHOOK_SECRET;
+  assert.equal(idvProvider(), null);
+});
+
+test("the mock provider is the default outside production", () => {
+  process.env.IDV_WEBHOOK_SECRET = "idv-secret";
+  delete process.env.IDV_PROVIDER;
+  assert.equal(idvProvider(), mockProvider);
+  process.env.IDV_PROVIDER = "unknown";
+  assert.equal(idvProvider(), null);
+});
+
+test("production refuses the mock provider, by default or by name", async () => {
+  process.env.IDV_WEBHOOK_SECRET = "idv-secret";
+  process.env.NODE_ENV = "production";
+  delete process.env.IDV_PROVIDER;
+  assert.equal(idvProvider(), null);
+  process.env.IDV_PROVIDER = "mock";
+  assert.equal(idvProvider(), null);
+
+  await insert("idvSessions", { id: "idv_prod", provider: "mock", providerSessionId: "mock_prod", status: "pending" });
+  const res = await invoke(mockEndpoint, { method: "POST", body: { session: "mock_prod", outcome: "verified" } });
+  assert.deepEqual([res.status, res.json.error], [404, "not_found"]);
+});
+
+test("outside production the mock page gets a callback the webhook accepts", async () => {
+  process.env.IDV_WEBHOOK_SECRET = "idv-secret";
+  await insert("idvSessions", { id: "idv_dev", provider: "mock", providerSessionId: "mock_dev", status: "pending" });
+  const res = await invoke(mockEndpoint, { method: "POST", body: { session: "mock_dev", outcome: "verified" } });
+  assert.equal(res.status, 200);
+  const event = mockProvider.verifyWebhook(Buffer.from(res.json.payload), { "x-idv-signature": res.json.signature });
+  assert.deepEqual(mockProvider.parseEvent(event), { sessionId: "mock_dev", outcome: "verified", reason: "" });
+});
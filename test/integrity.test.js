@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { appendAudit, auditCertificate, auditEvents, verifyChain } from "../api/_utils/audit.js";
+import { issueReceipt, verifyDocument, verifyReceipt } from "../api/_utils/timestamp.js";
+import { canonicalJson, documentHash } from "../assets/js/integrity.js";
+
+// The development signing key and the audit chains live in the store.
+process.env.TRUSTLEND_STORE = "memory";
+
+const NOTE = {
+  id: "note_integrity",
+  title: "Loan",
+  lender: { firstName: "Lena" },
+  borrower: { firstName: "Bo" },
+  terms: { principal: 1000, loanDate: "2026-01-01", dueDate: "2027-01-01" },
+  signatures: {},
+  createdAt: "2026-01-01T00:00:00.000Z",
+};
+const PDF = Buffer.from("%PDF-1.4 contract");
+
+test("canonicalJson sorts keys and drops undefined", () => {
+  assert.equal(canonicalJson({ b: 1, a: [{ d: undefined, c: null }] }), '{"a":[{"c":null}],"b":1}');
+});
+
+test("the document hash covers the agreement, not drafts or receipts", async () => {
+  const base = await documentHash(NOTE, PDF);
+  assert.equal((await documentHash({ ...NOTE, wizard: { step: 3 }, timestamps: [{}] }, PDF)).hash, base.hash);
+  assert.notEqual((await documentHash({ ...NOTE, terms: { ...NOTE.terms, principal: 1001 } }, PDF)).hash, base.hash);
+  assert.notEqual((await documentHash(NOTE, Buffer.from("%PDF-1.4 other"))).hash, base.hash);
+});
+
+test("a receipt verifies until any signed field changes", async () => {
+  const receipt = await issueReceipt(NOTE, PDF);
+  assert.equal(receipt.pdfSize, PDF.length);
+  assert.equal(await verifyReceipt(receipt), true);
+  assert.equal(await verifyReceipt({ ...receipt, pdfHash: "0".repeat(64) }), false);
+  assert.equal(await verifyReceipt({ ...receipt, signedAt: "2020-01-01T00:00:00.000Z" }), false);
+  assert.equal(await verifyReceipt({ ...receipt, signature: "" }), false);
+});
+
+test("the audit chain detects edited, dropped and reordered events", async () => {
+  for (const action of ["Note created", "Lender signed", "Borrower signed"]) await appendAudit(NOTE.id, { action });
+  const events = await auditEvents(NOTE.id);
+  assert.deepEqual(verifyChain(events), { valid: true, brokenAt: null, head: events[2].hash });
+  assert.equal(verifyChain([events[0], { ...events[1], action: "Nothing happened" }, events[2]]).brokenAt, 2);
+  assert.equal(verifyChain([events[0], events[2]]).brokenAt, 2);
+  assert.equal(verifyChain([events[1], events[0], events[2]]).brokenAt, 1);
+
+  const certificate = await auditCertificate(NOTE, events);
+  assert.equal(certificate.chain.valid, true);
+  assert.equal(await verifyDocument(certificate), true);
+  assert.equal(await verifyDocument({ ...certificate, events: events.slice(1) }), false);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildLedger, payoffQuote } from "../assets/js/ledger.js";
+
+// $1,200 over six months at 10% simple interest with a $60 fee: the first installment is
+// $200 principal + $10 fee + $9.86 interest.
+const TERMS = {
+  principal: 1200, flatFee: 60, interestMode: "simple", interestRate: 10, loanDate: "2026-06-01", firstPaymentDue: "2026-07-01",
+  paymentSchedule: "monthly", loanTermMonths: 6, lateFee: { enabled: true, type: "flat", amount: 15, graceDays: 5 },
+};
+const pay = (date, amount, id = date) => ({ id, date, amount, method: "cash" });
+
+test("a partial payment goes to interest, then the fee, then principal", () => {
+  const ledger = buildLedger(TERMS, [pay("2026-07-01", 15)], "2026-07-01");
+  assert.equal(ledger.installments[0].paid, 15);
+  assert.equal(ledger.installments[0].status, "due");
+  assert.equal(ledger.totals.principalBalance, 1200);
+  // $9.86 interest and $5.14 of the $10 fee
+  assert.equal(ledger.payoff.fees, 54.86);
+  assert.equal(ledger.payoff.interest, 0);
+});
+
+test("paying a few days early counts as the regular payment", () => {
+  const ledger = buildLedger(TERMS, [pay("2026-06-25", 219.86)], "2026-07-02");
+  assert.deepEqual(
+    ledger.installments.slice(0, 2).map((i) => [i.status, i.paidOn]),
+    [["paid", "2026-06-25"], ["upcoming", null]],
+  );
+  assert.equal(ledger.totals.principalBalance, 1000);
+  assert.equal(ledger.status, "current");
+});
+
+test("a late fee is assessed once the grace period ends, and the note defaults after 30 days", () => {
+  assert.equal(buildLedger(TERMS, [], "2026-07-06").totals.lateFees, 0);
+
+  const late = buildLedger(TERMS, [], "2026-07-07");
+  assert.equal(late.status, "late");
+  assert.equal(late.daysPastDue, 6);
+  assert.deepEqual(late.entries.map((e) => [e.type, e.date, e.amount]), [["late_fee", "2026-07-07", 15]]);
+  assert.equal(late.totals.pastDue, 234.86);
+
+  const defaulted = buildLedger(TERMS, [], "2026-08-10");
+  assert.equal(defaulted.status, "defaulted");
+  assert.equal(defaulted.totals.lateFees, 30);
+});
+
+test("a percentage late fee is a share of the installment", () => {
+  const terms = { ...TERMS, lateFee: { enabled: true, type: "percentage", amount: 5, graceDays: 0 } };
+  assert.equal(buildLedger(terms, [], "2026-07-02").totals.lateFees, 10.99);
+});
+
+test("late fees are paid before the next installment", () => {
+  const ledger = buildLedger(TERMS, [pay("2026-07-10", 234.86)], "2026-07-10");
+  assert.equal(ledger.installments[0].lateFeePaid, 15);
+  assert.equal(ledger.installments[0].remaining, 0);
+  assert.deepEqual(ledger.entries.at(-1).applied, { installments: 219.86, lateFees: 15, principal: 0 });
+  assert.equal(ledger.status, "current");
+});
+
+test("money beyond the next installment prepays principal, latest installment first", () => {
+  const ledger = buildLedger(TERMS, [pay("2026-07-01", 219.86), pay("2026-07-20", 500)], "2026-07-20");
+  assert.deepEqual(ledger.entries.at(-1).applied, { installments: 218.49, lateFees: 0, principal: 281.51 });
+  assert.equal(ledger.totals.principalBalance, 518.49);
+  const last = ledger.installments.at(-1);
+  assert.ok(last.remaining < last.amount);
+  assert.equal(ledger.installments[2].remaining, 216.79);
+});
+
+test("a payment covering the payoff quote closes the note and keeps the change unapplied", () => {
+  const payments = [pay("2026-07-01", 219.86)];
+  const quote = payoffQuote(TERMS, payments, "2026-07-16");
+  // Unpaid principal and fees plus 15 days of interest on $1,000
+  assert.deepEqual(quote, { date: "2026-07-16", principal: 1000, interest: 4.11, fees: 50, lateFees: 0, total: 1054.11 });
+
+  const ledger = buildLedger(TERMS, [...payments, pay("2026-07-16", 1059.11)], "2026-07-16");
+  assert.equal(ledger.status, "paid_in_full");
+  assert.equal(ledger.totals.outstanding, 0);
+  assert.equal(ledger.entries.at(-1).unapplied, 5);
+  assert.equal(ledger.totals.paid, 1273.97);
+});
+
+test("payments after the as-of date are left out", () => {
+  const ledger = buildLedger(TERMS, [pay("2026-07-01", 219.86), pay("2026-08-01", 218.49)], "2026-07-15");
+  assert.equal(ledger.totals.paid, 219.86);
+  assert.equal(ledger.nextDue.dueDate, "2026-08-01");
+});
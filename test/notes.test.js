@@ -0,0 +1,102 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import noteRoute from "../api/notes/[id]/index.js";
+import { createNote } from "../api/_utils/notes.js";
+import { getById, insert, update } from "../api/_utils/store.js";
+import { BUILTIN_TEMPLATES, noteTemplate } from "../assets/js/templates.js";
+import { invoke, sessionCookie } from "./helpers.js";
+
+process.env.TRUSTLEND_STORE = "memory";
+
+const LENDER = { id: "usr_lender", email: "lena@example.com", sessionVersion: 0 };
+const TERMS = { principal: 1200, interestMode: "none", loanDate: "2026-06-01", dueDate: "2026-12-01", paymentSchedule: "lump_sum" };
+const SIGNED = { method: "type", name: "Lena Lender", image: "", signedAt: "2026-06-01T12:00:00.000Z" };
+
+before(() => insert("users", LENDER));
+
+async function note(fields = {}) {
+  const base = createNote({ lender: { firstName: "Lena" }, borrower: { firstName: "Bo" }, terms: TERMS }, LENDER.id);
+  return insert("notes", { ...base, ...fields });
+}
+const patch = (id, body) => invoke(noteRoute, { method: "PATCH", query: { id }, headers: { cookie: sessionCookie(LENDER) }, body });
+
+test("an executed note's agreement can't be changed by saving it", async () => {
+  const executed = await note({ status: "active", signatures: { lender: SIGNED, borrower: { ...SIGNED, name: "Bo" } } });
+  for (const body of [
+    { terms: { principal: 5000 } },
+    { borrower: { firstName: "Someone" } },
+    { parties: [{ role: "guarantor", firstName: "Gus" }] },
+    { collateral: { type: "vehicle", description: "2019 Honda Civic" } },
+    { template: BUILTIN_TEMPLATES.secured },
+    { signatures: { lender: null } },
+  ]) {
+    const res = await patch(executed.id, body);
+    assert.deepEqual([res.status, res.json.error], [409, "note_executed"], JSON.stringify(body));
+  }
+  const stored = await getById("notes", executed.id);
+  assert.deepEqual([stored.terms.principal, stored.borrower.firstName, stored.version], [1200, "Bo", executed.version]);
+
+  const renamed = await patch(executed.id, { title: "Car loan", reminders: { enabled: false } });
+  assert.deepEqual([renamed.status, renamed.json.note.title], [200, "Car loan"]);
+});
+
+test("a draft's agreement still saves", async () => {
+  const draft = await note();
+  const res = await patch(draft.id, { terms: { principal: 5000 }, borrower: { firstName: "Bea" } });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.json.note.terms.principal, res.json.note.borrower.firstName], [5000, "Bea"]);
+});
+
+test("saving a note signs for the lender only", async () => {
+  const draft = await note({ parties: [{ id: "pty_gus", role: "guarantor", firstName: "Gus" }] });
+  for (const key of ["borrower", "pty_gus"]) {
+    const res = await patch(draft.id, { signatures: { lender: SIGNED, [key]: SIGNED } });
+    assert.deepEqual([res.status, res.json.error, res.json.fields.map((f) => f.field)], [400, "signing_link_required", [`signatures.${key}`]]);
+  }
+  const signed = await patch(draft.id, { signatures: { lender: SIGNED } });
+  assert.equal(signed.status, 200);
+  assert.deepEqual(signed.json.note.signatures, { lender: SIGNED, borrower: null });
+});
+
+test("the status is the server's, whatever the client sends", async () => {
+  const draft = await note();
+  const res = await patch(draft.id, { status: "active", title: "Loan" });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.json.note.status, res.json.note.title], ["draft", "Loan"]);
+  assert.equal((await getById("notes", draft.id)).status, "draft");
+});
+
+test("a premium template is kept only when the note's paid plan covers it", async () => {
+  const unpaid = await note();
+  const saved = await patch(unpaid.id, { template: BUILTIN_TEMPLATES.secured });
+  assert.equal(saved.json.note.template, null);
+  // Paying later doesn't change what the note prints until the template is saved again.
+  await update("notes", unpaid.id, { plan: { id: "maximum", paymentIntent: "pi_later", paidAt: "2026-06-02T00:00:00.000Z" } });
+  assert.equal(noteTemplate(await getById("notes", unpaid.id)).id, "standard");
+
+  const paid = await note({ plan: { id: "maximum", paymentIntent: "pi_paid", paidAt: "2026-06-02T00:00:00.000Z" } });
+  const premium = await patch(paid.id, { template: BUILTIN_TEMPLATES.secured });
+  assert.equal(premium.json.note.template.id, "secured");
+  // ...and a note keeps what it was saved with, whatever its plan says now.
+  await update("notes", paid.id, { plan: null });
+  assert.equal(noteTemplate(await getById("notes", paid.id)).id, "secured");
+
+  const essential = await note({ plan: { id: "essential", paymentIntent: "pi_essential", paidAt: "2026-06-02T00:00:00.000Z" } });
+  assert.equal((await patch(essential.id, { template: BUILTIN_TEMPLATES.installment })).json.note.template, null);
+});
+
+test("changing a note waiting for signatures voids every signature but the lender's", async () => {
+  const waiting = await note({
+    status: "pending_signature",
+    parties: [{ id: "pty_cy", role: "co_borrower", firstName: "Cy" }],
+    signatures: { lender: SIGNED, borrower: { ...SIGNED, name: "Bo" }, pty_cy: null },
+    signing: { status: "signed", signedAt: SIGNED.signedAt },
+  });
+  const unchanged = await patch(waiting.id, { title: "Car loan", terms: { principal: 1200 } });
+  assert.deepEqual([unchanged.status, unchanged.json.note.signatures.borrower?.name], [200, "Bo"]);
+
+  const res = await patch(waiting.id, { terms: { principal: 9000 } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.note.signatures, { lender: SIGNED, borrower: null, pty_cy: null });
+  assert.deepEqual([res.json.note.signing, res.json.note.status], [null, "draft"]);
+});
@@ -0,0 +1,110 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import pay from "../api/pay.js";
+import createPaymentIntent from "../api/create-payment-intent.js";
+import receipt from "../api/receipt/[pi].js";
+import { createPayLink } from "../api/_utils/payments.js";
+import { getById, insert, update } from "../api/_utils/store.js";
+import { invoke, sessionCookie } from "./helpers.js";
+import { startStripeMock } from "./stripe.js";
+
+process.env.TRUSTLEND_STORE = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_pay";
+process.env.STRIPE_PUBLISHABLE_KEY = "pk_test_pay";
+
+const TERMS = {
+  principal: 1200, flatFee: 60, interestMode: "simple", interestRate: 10, loanDate: "2026-06-01", firstPaymentDue: "2026-07-01",
+  paymentSchedule: "monthly", loanTermMonths: 6,
+};
+const LENDER = { id: "usr_lender", email: "lena@example.com", sessionVersion: 0 };
+const OTHER = { id: "usr_other", email: "otto@example.com", sessionVersion: 0 };
+
+let mock;
+before(async () => {
+  mock = await startStripeMock();
+  process.env.STRIPE_API_BASE = mock.url;
+  await insert("users", LENDER);
+  await insert("users", OTHER);
+});
+after(() => mock.close());
+
+async function note(id, fields = {}) {
+  return insert("notes", {
+    id, ownerId: LENDER.id, title: "Car loan", status: "active", tier: "essential",
+    lender: { firstName: "Lena" }, borrower: { firstName: "Bo" }, terms: TERMS, payments: [], receipts: [],
+    createdAt: "2026-06-01T00:00:00.000Z", ...fields,
+  });
+}
+
+test("the pay link shows the balance, and a payment starts a PaymentIntent for the note", async () => {
+  await note("note_pay");
+  const { link, token } = await createPayLink(await getById("notes", "note_pay"), { email: "bo@example.com", sentBy: LENDER.id });
+
+  const view = await invoke(pay, { query: { token } });
+  assert.equal(view.status, 200);
+  assert.deepEqual([view.json.note.lender, view.json.note.borrower, view.json.note.publishableKey], ["Lena", "Bo", "pk_test_pay"]);
+
+  const res = await invoke(pay, { method: "POST", body: { token, amount: 219.86, method: "ach" } });
+  assert.equal(res.status, 200);
+  const intent = mock.intents.get(res.json.paymentIntent.id);
+  assert.equal(res.json.clientSecret, intent.client_secret);
+  assert.deepEqual(
+    [intent.amount, intent.currency, intent.payment_method_types, intent.receipt_email, intent.metadata],
+    [21986, "usd", ["us_bank_account"], "bo@example.com", { kind: "repayment", noteId: "note_pay", payLinkId: link.id, method: "ach" }],
+  );
+  assert.ok((await getById("payLinks", link.id)).lastUsedAt);
+});
+
+test("pay rejects bad tokens, inactive notes and amounts outside the balance", async () => {
+  await note("note_pay_limits");
+  const { token } = await createPayLink(await getById("notes", "note_pay_limits"), { sentBy: LENDER.id });
+  const count = mock.intents.size;
+
+  assert.equal((await invoke(pay, { query: { token: "nope" } })).json.error, "invalid_token");
+  assert.equal((await invoke(pay, { method: "POST", body: { token, amount: 0.25 } })).json.error, "invalid_amount");
+  const over = await invoke(pay, { method: "POST", body: { token, amount: 5000 } });
+  assert.deepEqual([over.status, over.json.error], [409, "exceeds_balance"]);
+
+  await createPayLink(await getById("notes", "note_pay_limits"), { sentBy: LENDER.id });
+  assert.equal((await invoke(pay, { query: { token } })).json.error, "link_replaced");
+
+  await note("note_pay_draft", { status: "draft" });
+  const draft = await createPayLink(await getById("notes", "note_pay_draft"), { sentBy: LENDER.id });
+  assert.equal((await invoke(pay, { query: { token: draft.token } })).json.error, "note_not_active");
+  assert.equal(mock.intents.size, count);
+});
+
+test("a plan purchase is priced from the catalog, less a plan already paid", async () => {
+  await note("note_plan", { plan: { id: "essential", paymentIntent: "pi_old", paidAt: "2026-06-01T00:00:00.000Z" } });
+  const headers = { cookie: sessionCookie(LENDER) };
+  const res = await invoke(createPaymentIntent, { method: "POST", headers, body: { plan: "maximum", noteId: "note_plan" } });
+  assert.equal(res.status, 200);
+  const intent = mock.intents.get(res.json.summary.id);
+  assert.deepEqual([intent.amount, intent.metadata], [1500, { kind: "plan", plan: "maximum", noteId: "note_plan" }]);
+
+  const again = await invoke(createPaymentIntent, { method: "POST", headers, body: { plan: "essential", noteId: "note_plan" } });
+  assert.deepEqual([again.status, again.json.error], [409, "plan_already_paid"]);
+  const other = await invoke(createPaymentIntent, { method: "POST", headers: { cookie: sessionCookie(OTHER) }, body: { plan: "maximum", noteId: "note_plan" } });
+  assert.equal(other.status, 404);
+});
+
+test("a receipt is only shown to the owner of the note it was paid on", async () => {
+  await note("note_receipt");
+  const headers = { cookie: sessionCookie(LENDER) };
+  const started = await invoke(createPaymentIntent, { method: "POST", headers, body: { plan: "essential", noteId: "note_receipt" } });
+  const pi = started.json.summary.id;
+  Object.assign(mock.intents.get(pi), { status: "succeeded", latest_charge: "ch_receipt" });
+
+  const res = await invoke(receipt, { query: { pi }, headers });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.json.id, res.json.amount, res.json.status, res.json.kind, res.json.noteId], [pi, 1499, "succeeded", "plan", "note_receipt"]);
+  assert.deepEqual(res.json.charges.map((c) => [c.id, c.paid, c.receipt_url]), [["ch_receipt", true, "https://pay.stripe.com/receipts/ch_receipt"]]);
+
+  assert.equal((await invoke(receipt, { query: { pi } })).status, 401);
+  assert.equal((await invoke(receipt, { query: { pi }, headers: { cookie: sessionCookie(OTHER) } })).json.error, "not_found");
+  assert.equal((await invoke(receipt, { query: { pi: "pi_unknown" }, headers })).status, 404);
+  assert.equal((await invoke(receipt, { query: { pi: "ch_receipt" }, headers })).json.error, "missing_pi");
+
+  await update("notes", "note_receipt", { ownerId: OTHER.id });
+  assert.equal((await invoke(receipt, { query: { pi }, headers })).status, 404);
+});
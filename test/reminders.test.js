@@ -0,0 +1,72 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { runReminders } from "../api/_utils/reminders.js";
+import { registerTransport } from "../api/_utils/mailer.js";
+import { createNote } from "../api/_utils/notes.js";
+import { getById, insert } from "../api/_utils/store.js";
+import { buildLedger } from "../assets/js/ledger.js";
+import { dueReminders, reminderSettings } from "../assets/js/reminders.js";
+
+process.env.TRUSTLEND_STORE = "memory";
+process.env.MAIL_TRANSPORT = "reminders-test";
+
+// Six monthly payments from July 1 with a five-day grace period: the first installment's
+// reminders fall 7, 3 and 1 days ahead, on the due date, the day after the grace period (July 7),
+// a week after that (July 14) and once it is in default (August 1).
+const TERMS = {
+  principal: 1200, interestMode: "none", loanDate: "2026-06-01", firstPaymentDue: "2026-07-01",
+  paymentSchedule: "monthly", loanTermMonths: 6, lateFee: { enabled: true, type: "flat", amount: 15, graceDays: 5 },
+};
+const SETTINGS = reminderSettings({});
+const first = (asOf, payments = []) => dueReminders(buildLedger(TERMS, payments, asOf), SETTINGS, TERMS, asOf).find((r) => r.installment === 1);
+
+test("each unpaid installment gets the latest reminder it has reached", () => {
+  assert.equal(first("2026-06-23"), undefined);
+  assert.deepEqual(
+    ["2026-06-24", "2026-06-28", "2026-06-30", "2026-07-01", "2026-07-06", "2026-07-07", "2026-07-14", "2026-08-01"].map((d) => first(d).key),
+    [
+      "1:before_due:2026-06-24", "1:before_due:2026-06-28", "1:before_due:2026-06-30", "1:due",
+      "1:due", "1:overdue", "1:overdue_second", "1:overdue_final",
+    ],
+  );
+  const late = first("2026-07-07");
+  assert.deepEqual([late.daysLate, late.daysUntilDue, late.lateFee], [6, 0, 15]);
+  assert.equal(first("2026-06-28").daysUntilDue, 3);
+});
+
+test("a paid installment gets no reminders and custom days replace the defaults", () => {
+  assert.equal(first("2026-07-07", [{ id: "p1", date: "2026-06-30", amount: 200, method: "cash" }]), undefined);
+  const settings = reminderSettings({ daysBefore: [10, 10, 0, 45] });
+  assert.deepEqual(settings.daysBefore, [10]);
+  assert.deepEqual(dueReminders(buildLedger(TERMS, [], "2026-06-21"), settings, TERMS).map((r) => r.key), ["1:before_due:2026-06-21"]);
+});
+
+const sent = [];
+let failing = false;
+before(() => registerTransport("reminders-test", async (message) => {
+  if (failing) throw new Error("mail provider down");
+  sent.push(message);
+  return { id: `m${sent.length}` };
+}));
+
+test("the reminder job sends each reminder once, and again only after a failed send", async () => {
+  const base = createNote({ borrower: { firstName: "Bo", email: "bo@example.com" }, terms: TERMS }, "usr_lender");
+  const note = await insert("notes", { ...base, status: "active", plan: { id: "maximum" } });
+  await insert("notes", { ...createNote({ borrower: { email: "no-plan@example.com" }, terms: TERMS }, "usr_lender"), status: "active" });
+
+  failing = true;
+  const failed = await runReminders({ asOf: "2026-07-07" });
+  assert.deepEqual([failed.sent.length, failed.failed.map((f) => f.key)], [0, ["1:overdue"]]);
+  assert.equal(await getById("reminders", `${note.id}:1:overdue`), null);
+
+  failing = false;
+  const run = await runReminders({ asOf: "2026-07-07" });
+  assert.deepEqual([run.notes, run.sent.map((s) => s.key)], [1, ["1:overdue"]]);
+  assert.deepEqual(sent.map((m) => m.to), ["bo@example.com"]);
+  assert.deepEqual((await getById("reminders", `${note.id}:1:overdue`)).channels, ["email to bo@example.com"]);
+
+  const rerun = await runReminders({ asOf: "2026-07-09" });
+  assert.deepEqual([rerun.sent, sent.length], [[], 1]);
+  const dry = await runReminders({ asOf: "2026-07-14", dryRun: true });
+  assert.deepEqual([dry.sent.map((s) => s.key), sent.length], [["1:overdue_second"], 1]);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addMonths, buildSchedule, daysBetween, toCents } from "../assets/js/schedule.js";
+
+const rows = (schedule, ...keys) => schedule.installments.map((r) => keys.map((k) => r[k]));
+const cents = (schedule, key) => schedule.installments.reduce((s, r) => s + toCents(r[key]), 0);
+
+test("toCents rounds to whole cents and treats junk as zero", () => {
+  assert.equal(toCents("19.99"), 1999);
+  assert.equal(toCents(0.1 + 0.2), 30);
+  assert.equal(toCents("abc"), 0);
+  assert.equal(toCents(undefined), 0);
+});
+
+test("monthly dates roll to month end and back", () => {
+  assert.equal(addMonths("2026-01-31", 1), "2026-02-28");
+  assert.equal(addMonths("2024-01-31", 1), "2024-02-29");
+  assert.equal(addMonths("2026-02-28", 1, 31), "2026-03-31");
+  const s = buildSchedule({ principal: 300, loanDate: "2026-01-15", firstPaymentDue: "2026-01-31", dueDate: "2026-04-30", paymentSchedule: "monthly" });
+  assert.deepEqual(s.installments.map((r) => r.dueDate), ["2026-01-31", "2026-02-28", "2026-03-31", "2026-04-30"]);
+});
+
+test("principal is split evenly with the leftover pennies on the last installment", () => {
+  const s = buildSchedule({ principal: 1000, loanDate: "2026-01-01", paymentSchedule: "monthly", loanTermMonths: 3 });
+  assert.deepEqual(rows(s, "principal", "balance"), [[333.33, 666.67], [333.33, 333.34], [333.34, 0]]);
+  assert.equal(cents(s, "principal"), 100000);
+  assert.equal(s.totals.amount, 1000);
+  assert.equal(s.apr, 0);
+});
+
+test("a flat fee is spread the same way, or charged with the first or last installment", () => {
+  const terms = { principal: 1000, flatFee: 10, loanDate: "2026-01-01", paymentSchedule: "monthly", loanTermMonths: 3 };
+  assert.deepEqual(rows(buildSchedule(terms), "fee"), [[3.33], [3.33], [3.34]]);
+  assert.deepEqual(rows(buildSchedule({ ...terms, feeAllocation: "first" }), "fee"), [[10], [0], [0]]);
+  assert.deepEqual(rows(buildSchedule({ ...terms, feeAllocation: "last" }), "fee"), [[0], [0], [10]]);
+  const s = buildSchedule(terms);
+  assert.equal(s.financeCharge, 10);
+  assert.equal(s.totals.amount, 1010);
+});
+
+test("simple interest accrues actual/365 on the unpaid principal since the previous due date", () => {
+  const s = buildSchedule({
+    principal: 1200, interestMode: "simple", interestRate: 10, loanDate: "2026-06-01", firstPaymentDue: "2026-07-01",
+    paymentSchedule: "monthly", loanTermMonths: 6,
+  });
+  // $1,200 for 30 days, then $1,000 for 31 days, ...
+  assert.equal(s.installments[0].interest, Math.round((120000 * 0.1 * daysBetween("2026-06-01", "2026-07-01")) / 365) / 100);
+  assert.deepEqual(rows(s, "interest"), [[9.86], [8.49], [6.79], [4.93], [3.4], [1.64]]);
+  assert.equal(s.totals.interest, 35.11);
+  assert.equal(cents(s, "amount"), toCents(s.totals.amount));
+});
+
+test("amortizing payments are level and the last one absorbs the rounding", () => {
+  const s = buildSchedule({ principal: 1000, interestMode: "amortizing", interestRate: 12, loanDate: "2026-01-01", paymentSchedule: "monthly", loanTermMonths: 12 });
+  const amounts = s.installments.map((r) => r.amount);
+  assert.ok(amounts.slice(0, -1).every((a) => a === 88.85));
+  assert.equal(amounts.at(-1), 88.84);
+  assert.equal(cents(s, "principal"), 100000);
+  assert.equal(s.installments.at(-1).balance, 0);
+  assert.equal(s.totals.interest, 66.19);
+  assert.ok(Math.abs(s.apr - 12) < 0.1, `APR ${s.apr}`);
+});
+
+test("a lump sum is one installment with the whole fee", () => {
+  const s = buildSchedule({ principal: 500, flatFee: 50, loanDate: "2026-01-01", paymentSchedule: "lump_sum", lumpSumDueDate: "2026-06-01" });
+  assert.deepEqual(rows(s, "dueDate", "amount"), [["2026-06-01", 550]]);
+  assert.equal(s.financeCharge, 50);
+});
+
+test("every schedule's installments add up to its totals", () => {
+  for (const paymentSchedule of ["weekly", "biweekly", "semimonthly", "monthly"]) {
+    for (const interestMode of ["none", "simple", "amortizing"]) {
+      const s = buildSchedule({ principal: 2345.67, flatFee: 12.34, interestMode, interestRate: 7.5, loanDate: "2026-03-10", paymentSchedule, loanTermMonths: 7 });
+      assert.equal(cents(s, "principal"), 234567, `${paymentSchedule}/${interestMode}`);
+      assert.equal(cents(s, "fee"), 1234, `${paymentSchedule}/${interestMode}`);
+      assert.equal(cents(s, "amount"), toCents(s.totals.amount), `${paymentSchedule}/${interestMode}`);
+      assert.equal(s.installments.at(-1).balance, 0, `${paymentSchedule}/${interestMode}`);
+    }
+  }
+});
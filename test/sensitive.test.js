@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { fieldContext, isSealed, open, revealField, seal } from "../api/_utils/sensitive.js";
+
+// k2 seals; k1 is an older key that must still open what it sealed before the rotation.
+const OLD_KEY = crypto.randomBytes(32);
+process.env.FIELD_ENCRYPTION_KEYS = `k2:${crypto.randomBytes(32).toString("base64")},k1:${OLD_KEY.toString("base64")}`;
+
+function sealWithOldKey(plaintext, context) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", OLD_KEY, iv);
+  cipher.setAAD(Buffer.from(context));
+  const data = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return ["enc", "v1", "k1", iv.toString("base64url"), data.toString("base64url"), cipher.getAuthTag().toString("base64url")].join(":");
+}
+
+test("a sealed value opens only in its own context", () => {
+  const context = fieldContext("note_1", "borrower", "ssn");
+  const sealed = seal("123-45-6789", context);
+  assert.ok(isSealed(sealed));
+  assert.ok(sealed.startsWith("enc:v1:k2:"));
+  assert.ok(!sealed.includes("6789"));
+  assert.equal(open(sealed, context), "123-45-6789");
+  assert.equal(open(sealed, fieldContext("note_2", "borrower", "ssn")), null);
+  assert.equal(open(sealed, fieldContext("note_1", "lender", "ssn")), null);
+});
+
+test("each seal uses a fresh IV", () => {
+  assert.notEqual(seal("1990-01-01", "c"), seal("1990-01-01", "c"));
+});
+
+test("tampered, truncated or unknown-key values don't open", () => {
+  const sealed = seal("1990-01-01", "c");
+  const parts = sealed.split(":");
+  const flipped = Buffer.from(parts[4], "base64url");
+  flipped[0] ^= 1;
+  assert.equal(open([...parts.slice(0, 4), flipped.toString("base64url"), parts[5]].join(":"), "c"), null);
+  assert.equal(open(parts.slice(0, 5).join(":"), "c"), null);
+  assert.equal(open(sealed.replace(":k2:", ":k9:"), "c"), null);
+  assert.equal(open("1990-01-01", "c"), null);
+});
+
+test("values sealed before a key rotation still open", () => {
+  const context = fieldContext("note_1", "borrower", "dob");
+  const note = { id: "note_1", sensitive: { borrower: { dob: sealWithOldKey("1990-01-01", context) } } };
+  assert.equal(revealField(note, "borrower", "dob"), "1990-01-01");
+  assert.equal(revealField(note, "borrower", "ssn"), null);
+});
@@ -0,0 +1,95 @@
+// Stripe for the payment tests: the fixture events Stripe sends (test/fixtures/stripe, as replayed by
+// `stripe trigger`), signed like the real webhook, and a local mock of the PaymentIntents API that
+// api/_utils/stripe.js talks to through STRIPE_API_BASE.
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Stripe from "stripe";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "stripe");
+
+// The fixture event `type` with its PaymentIntent overridden by `intent` (metadata, amount, ...).
+export function fixtureEvent(type, { id, intent = {} } = {}) {
+  const event = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${type}.json`), "utf8"));
+  return { ...event, id: id || event.id, data: { object: { ...event.data.object, ...intent } } };
+}
+
+// The raw body and Stripe-Signature header of `event`, signed with `secret`.
+export function signEvent(event, secret = process.env.STRIPE_WEBHOOK_SECRET) {
+  const payload = JSON.stringify(event);
+  return { payload, signature: Stripe.webhooks.generateTestHeaderString({ payload, secret }) };
+}
+
+// "a[b][0]=c" form fields (how the Stripe client encodes parameters) back into objects.
+function parseForm(body) {
+  const out = {};
+  for (const [key, value] of new URLSearchParams(body)) {
+    const [head, ...rest] = key.split("[").map((k) => k.replace(/]$/, ""));
+    let target = out;
+    let field = head;
+    for (const k of rest) {
+      target = target[field] ||= {};
+      field = k;
+    }
+    target[field] = value;
+  }
+  return out;
+}
+
+const list = (v) => (v && typeof v === "object" ? Object.values(v) : v ? [v] : []);
+
+/**
+ * Starts the mock on a free port and resolves to { url, intents, close }. It implements what the
+ * API uses: POST /v1/payment_intents and GET /v1/payment_intents/<id> (expand[]=latest_charge
+ * inlines the charge). `intents` maps id to each PaymentIntent, so tests can inspect or seed them.
+ */
+export async function startStripeMock() {
+  const intents = new Map();
+  let seq = 0;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const send = (status, json) => {
+        res.writeHead(status, { "content-type": "application/json", "request-id": `req_mock_${++seq}` });
+        res.end(JSON.stringify(json));
+      };
+      const notFound = () => send(404, { error: { type: "invalid_request_error", code: "resource_missing", message: "No such payment_intent" } });
+
+      if (req.method === "POST" && url.pathname === "/v1/payment_intents") {
+        const params = parseForm(body);
+        const id = `pi_mock${String(++seq).padStart(4, "0")}`;
+        const intent = {
+          id, object: "payment_intent",
+          amount: Number(params.amount), amount_received: 0, currency: params.currency,
+          client_secret: `${id}_secret_mock`, created: Math.floor(Date.now() / 1000),
+          description: params.description || null, receipt_email: params.receipt_email || null,
+          metadata: params.metadata || {}, payment_method_types: list(params.payment_method_types),
+          automatic_payment_methods: params.automatic_payment_methods ? { enabled: params.automatic_payment_methods.enabled === "true" } : null,
+          latest_charge: null, status: "requires_payment_method",
+        };
+        intents.set(id, intent);
+        return send(200, intent);
+      }
+      const match = /^\/v1\/payment_intents\/([^/]+)$/.exec(url.pathname);
+      if (req.method === "GET" && match) {
+        const intent = intents.get(decodeURIComponent(match[1]));
+        if (!intent) return notFound();
+        const expand = url.searchParams.getAll("expand[]").concat(url.searchParams.getAll("expand[0]"));
+        const charge = intent.latest_charge && expand.includes("latest_charge")
+          ? { id: intent.latest_charge, object: "charge", paid: true, created: intent.created, receipt_url: `https://pay.stripe.com/receipts/${intent.latest_charge}`, balance_transaction: `txn_${intent.id}` }
+          : intent.latest_charge;
+        return send(200, { ...intent, latest_charge: charge });
+      }
+      return notFound();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    intents,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
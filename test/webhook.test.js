@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import webhook from "../api/stripe/webhook.js";
+import { auditEvents } from "../api/_utils/audit.js";
+import { getById, insert } from "../api/_utils/store.js";
+import { invoke } from "./helpers.js";
+import { fixtureEvent, signEvent } from "./stripe.js";
+
+process.env.TRUSTLEND_STORE = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_webhook";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_webhook";
+
+const TERMS = {
+  principal: 1200, flatFee: 60, interestMode: "simple", interestRate: 10, loanDate: "2026-06-01", firstPaymentDue: "2026-07-01",
+  paymentSchedule: "monthly", loanTermMonths: 6,
+};
+
+async function note(id, fields = {}) {
+  return insert("notes", {
+    id, ownerId: "usr_lender", title: "Car loan", status: "active", tier: "essential",
+    lender: { firstName: "Lena" }, borrower: { firstName: "Bo" }, terms: TERMS, payments: [], receipts: [],
+    createdAt: "2026-06-01T00:00:00.000Z", ...fields,
+  });
+}
+
+function post(event, signature) {
+  const signed = signEvent(event);
+  return invoke(webhook, { method: "POST", raw: signed.payload, headers: { "stripe-signature": signature ?? signed.signature } });
+}
+
+const actions = async (noteId) => (await auditEvents(noteId)).map((e) => [e.action, e.details]);
+
+test("events without a valid Stripe signature are rejected", async () => {
+  const event = fixtureEvent("payment_intent.succeeded");
+  assert.equal((await post(event, "t=1,v1=deadbeef")).status, 400);
+  assert.equal((await post(event, "")).json.error, "invalid_signature");
+  const forged = signEvent(event, "whsec_someone_else");
+  const res = await invoke(webhook, { method: "POST", raw: forged.payload, headers: { "stripe-signature": forged.signature } });
+  assert.equal(res.status, 400);
+  assert.equal((await invoke(webhook, { method: "GET" })).status, 405);
+});
+
+test("a plan payment marks the plan paid on the note, once per event", async () => {
+  await note("note_plan");
+  const event = fixtureEvent("payment_intent.succeeded", {
+    id: "evt_plan", intent: { id: "pi_plan", amount: 2999, amount_received: 2999, metadata: { kind: "plan", plan: "maximum", noteId: "note_plan" } },
+  });
+  assert.deepEqual((await post(event)).json, { received: true });
+  assert.deepEqual((await post(event)).json, { received: true, duplicate: true });
+
+  const paid = await getById("notes", "note_plan");
+  assert.equal(paid.tier, "maximum");
+  assert.deepEqual(paid.plan, { id: "maximum", paymentIntent: "pi_plan", paidAt: new Date(event.data.object.created * 1000).toISOString() });
+  assert.deepEqual(paid.receipts.map((r) => [r.type, r.reference, r.amount]), [["plan", "pi_plan", 29.99]]);
+  assert.deepEqual(await actions("note_plan"), [["Plan payment received", "maximum plan, $29.99 (pi_plan)"]]);
+});
+
+test("a late confirmation for a cheaper plan doesn't replace a pricier one", async () => {
+  await note("note_upgraded", { tier: "maximum", plan: { id: "maximum", paymentIntent: "pi_maximum", paidAt: "2026-06-02T00:00:00.000Z" } });
+  await post(fixtureEvent("payment_intent.succeeded", {
+    id: "evt_essential", intent: { id: "pi_essential", amount: 1499, amount_received: 1499, metadata: { kind: "plan", plan: "essential", noteId: "note_upgraded" } },
+  }));
+  const after = await getById("notes", "note_upgraded");
+  assert.equal(after.plan.id, "maximum");
+  assert.deepEqual(after.receipts.map((r) => r.reference), ["pi_essential"]);
+});
+
+test("a borrower repayment is posted to the ledger once per PaymentIntent", async () => {
+  await note("note_repay");
+  const intent = { id: "pi_repay", amount: 21986, amount_received: 21986, metadata: { kind: "repayment", noteId: "note_repay", payLinkId: "pl_1", method: "ach" } };
+  const event = fixtureEvent("payment_intent.succeeded", { id: "evt_repay", intent });
+  assert.equal((await post(event)).status, 200);
+  // Stripe may send the same PaymentIntent again under a new event id.
+  assert.equal((await post({ ...event, id: "evt_repay_again" })).status, 200);
+
+  const { payments } = await getById("notes", "note_repay");
+  assert.deepEqual(
+    payments.map((p) => [p.date, p.amount, p.method, p.memo, p.reference, p.recordedBy]),
+    [["2026-06-21", 219.86, "ach", "Paid online", "pi_repay", "stripe"]],
+  );
+  assert.deepEqual((await actions("note_repay")).map(([action]) => action), ["Payment recorded"]);
+});
+
+test("a failed payment goes to the audit trail and changes nothing else", async () => {
+  await note("note_failed");
+  await post(fixtureEvent("payment_intent.payment_failed", {
+    intent: { id: "pi_failed", amount: 5000, metadata: { kind: "repayment", noteId: "note_failed", method: "card" } },
+  }));
+  const after = await getById("notes", "note_failed");
+  assert.deepEqual([after.payments, after.receipts, after.plan], [[], [], undefined]);
+  assert.deepEqual(await actions("note_failed"), [["Online payment failed", "$50.00: Your card was declined. (pi_failed)"]]);
+});
+
+test("events for unknown notes or other types are acknowledged and ignored", async () => {
+  const stray = fixtureEvent("payment_intent.succeeded", { id: "evt_stray", intent: { metadata: { kind: "plan", plan: "maximum", noteId: "note_missing" } } });
+  assert.deepEqual((await post(stray)).json, { received: true });
+  const other = { ...fixtureEvent("payment_intent.succeeded", { id: "evt_other" }), type: "charge.refunded" };
+  assert.deepEqual((await post(other)).json, { received: true });
+});
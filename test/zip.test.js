@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { crc32, createZip } from "../api/_utils/zip.js";
+
+// Reads the archive back through its central directory: [{ name, data, crc }].
+function readZip(zip) {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let at = zip.readUInt32LE(end + 16);
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(at), 0x02014b50);
+    const crc = zip.readUInt32LE(at + 16);
+    const packedSize = zip.readUInt32LE(at + 20);
+    const nameLength = zip.readUInt16LE(at + 28);
+    const local = zip.readUInt32LE(at + 42);
+    const name = zip.subarray(at + 46, at + 46 + nameLength).toString("utf8");
+    assert.equal(zip.readUInt32LE(local), 0x04034b50);
+    const start = local + 30 + zip.readUInt16LE(local + 26);
+    files.push({ name, crc, data: zlib.inflateRawSync(zip.subarray(start, start + packedSize)) });
+    at += 46 + nameLength;
+  }
+  return files;
+}
+
+test("crc32 matches the standard check value", () => {
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test("entries come back in order with their names, bytes and checksums", () => {
+  const entries = [
+    { name: "manifest.json", data: JSON.stringify({ ok: true }), date: new Date("2026-01-02T03:04:06Z") },
+    { name: "Ünïcode note.pdf", data: Buffer.from("%PDF-1.4\n".repeat(100)), date: new Date("2026-01-02T03:04:06Z") },
+  ];
+  const files = readZip(createZip(entries));
+  assert.deepEqual(files.map((f) => f.name), ["manifest.json", "Ünïcode note.pdf"]);
+  assert.equal(files[0].data.toString(), '{"ok":true}');
+  assert.ok(files[1].data.equals(entries[1].data));
+  assert.ok(files.every((f) => f.crc === crc32(f.data)));
+});
+
+test("the same entries always give the same archive", () => {
+  const entries = () => [{ name: "a.txt", data: "a", date: new Date("2026-05-06T07:08:10Z") }];
+  assert.ok(createZip(entries()).equals(createZip(entries())));
+});